@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// navlog CLI: parse flight release PDFs (or plain-text dumps) without a browser.
+//
+//   navlog parse release.pdf [more.pdf ...] [--json] [--mode tokens|columns]
+//
+// --json prints { file, profileId, mode, fpl, waypoints, alternateWaypoints } per file
+// (an array when several files are given). Exit code 1 if any file fails to parse.
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+import {
+  fuelUnit,
+  PARSER_MODES,
+  parseReleasePdf,
+  parseReleaseText,
+  reconcileRoute,
+} from "../src/navlog/index.js";
+
+const USAGE = `Usage: navlog parse <release.pdf|release.txt>... [--json] [--mode ${PARSER_MODES.join("|")}]`;
+
+function parseArgs(argv) {
+  const opts = { command: "", files: [], json: false, mode: "tokens" };
+  const args = [...argv];
+  opts.command = args.shift() || "";
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--json") opts.json = true;
+    else if (a === "--mode") opts.mode = args.shift() || "";
+    else if (a.startsWith("--mode=")) opts.mode = a.slice("--mode=".length);
+    else if (a === "-h" || a === "--help") opts.command = "help";
+    else if (a.startsWith("-")) throw new Error(`Unknown option ${a}`);
+    else opts.files.push(a);
+  }
+  if (!PARSER_MODES.includes(opts.mode)) {
+    throw new Error(`--mode must be one of ${PARSER_MODES.join(", ")}`);
+  }
+  return opts;
+}
+
+async function loadPdfjsNode() {
+  // on load pdf.js warns (console.log) that `canvas` is missing for rendering
+  // polyfills; we only read text, so drop that noise
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const mod = await import("pdfjs-dist/legacy/build/pdf.js");
+    return mod.default ?? mod;
+  } finally {
+    console.log = log;
+  }
+}
+
+async function parseFile(file, mode, getPdfjs) {
+  const buf = await readFile(file);
+  if (path.extname(file).toLowerCase() === ".txt") {
+    return parseReleaseText(buf.toString("utf8"), { mode });
+  }
+
+  // pdf.js prints font warnings with console.log: keep stdout clean for --json
+  const log = console.log;
+  console.log = console.error;
+  try {
+    return await parseReleasePdf(new Uint8Array(buf), { pdfjs: await getPdfjs(), mode });
+  } finally {
+    console.log = log;
+  }
+}
+
+function printTable(file, res) {
+  console.log(`${file}: FPL ${res.fpl.dep || "-"}@${res.fpl.depTimeHHMM || "----"}${
+    res.fpl.flightDate ? ` ${res.fpl.flightDate}` : ""
+  } -> ${
+    res.fpl.dest || "-"
+  } ALT ${res.fpl.alt || "-"} (format ${res.profileId}, ${res.mode})`);
+  const cols = ["IDENT", "DIST", "FL", "T_TME", "TBO", "FRMG", "DSTN", "coord"];
+  console.log(cols.map((c) => c.padEnd(8)).join(" "));
+  for (const w of res.waypoints) {
+    console.log(cols.map((c) => String(w[c] || "-").padEnd(8)).join(" "));
+  }
+  const route = reconcileRoute(res.fpl, res.waypoints);
+  if (route.ok) {
+    const diffs = [
+      ...route.navlogOnly.map((p) => `${p.ident} (navlog only)`),
+      ...route.routeOnly.map((p) => `${p.ident} (route only)`),
+      ...route.levelMismatches.map((m) => `${m.ident} FL${m.navlogFL}/FL${m.fplFL}`),
+    ];
+    console.log(`route check: ${diffs.length ? diffs.join(", ") : "ok"}`);
+  }
+  if (res.alternateWaypoints.length) {
+    console.log(`alternate: ${res.alternateWaypoints.map((w) => w.IDENT).join(" ")}`);
+  }
+  if (res.fpl.fuelPlan) {
+    const fuel = Object.entries(res.fpl.fuelPlan)
+      .filter(([, v]) => v != null)
+      .map(([k, v]) => `${k} ${(v / 10).toFixed(1)}`);
+    console.log(`fuel plan (${fuelUnit(res.fpl.fuelUnit).label}): ${fuel.join(", ")}`);
+  }
+  const { weather, notams, performance } = res.briefing;
+  if (weather.tafs.length || notams.length) {
+    console.log(
+      `briefing: TAF ${weather.tafs.map((t) => t.station).join(" ") || "-"}, ` +
+        `${notams.length} NOTAM, ${performance.takeoff.length + performance.landing.length} performance`
+    );
+  }
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+  if (opts.command === "help") {
+    console.log(USAGE);
+    return 0;
+  }
+  if (opts.command !== "parse" || !opts.files.length) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let pdfjs = null;
+  const getPdfjs = async () => (pdfjs ??= await loadPdfjsNode());
+
+  const results = [];
+  let failed = false;
+  for (const file of opts.files) {
+    let res;
+    try {
+      res = await parseFile(file, opts.mode, getPdfjs);
+    } catch (err) {
+      res = { ok: false, error: String(err?.message || err) };
+    }
+    if (!res.ok) {
+      failed = true;
+      console.error(`${file}: ${res.error}`);
+    }
+    results.push({ file, ...res });
+  }
+
+  if (opts.json) {
+    const out = results.map(({ file, ok, error, profileId, mode, fpl, waypoints, alternateWaypoints }) =>
+      ok
+        ? { file, ok, profileId, mode, fpl, waypoints, alternateWaypoints }
+        : { file, ok, error }
+    );
+    console.log(JSON.stringify(out.length === 1 ? out[0] : out, null, 2));
+  } else {
+    for (const r of results) if (r.ok) printTable(r.file, r);
+  }
+
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -1,4 +1,36 @@
 import React, { useMemo, useRef } from "react";
+import {
+  convertFuel,
+  coordToDecimal,
+  criticalPoints,
+  decimalToCoord,
+  EMPTY_FPL,
+  describeSpeed,
+  EMPTY_BRIEFING,
+  estimateMagVarDeg,
+  formatAdsCReport,
+  formatCpdlcPositionReport,
+  formatPositionReport,
+  FUEL_UNITS,
+  fplNumberFromRaw,
+  fuelPlanTakeoffSum,
+  fuelUnit,
+  greatCircleNm,
+  ITEM18_INDICATORS,
+  latLonPositionName,
+  navlogDigitsToTenths,
+  notamActiveAt,
+  parseAirportList,
+  parseReleasePdf,
+  printedFuelToDisplay,
+  reconcileRoute,
+  rescaleNavlogTenths,
+  routeGeometry,
+  tafAtTime,
+  unwrapLongitudes,
+  wrapDeg180,
+} from "./navlog/index.js";
+import { loadPdfjs } from "./pdfjs";
 
 /**
  * NavlogTracker (UI adapted from your provided component)
@@ -6,24 +38,37 @@ import React, { useMemo, useRef } from "react";
  * Inline reducer version:
  * ✅ Replaces useState with useReducer (state.waypoints / state.computed / state.actualTO / state.fpl)
  * ✅ Uses your existing UI layout and modal flow
- * ✅ Keeps your exact 2-line header + X-aware parser
+ * ✅ Keeps your exact 2-line header + X-aware parser (as the "default" format profile)
+ * ✅ Optional column-position parser mode (values assigned by header x, blanks stay blank)
  * ✅ Planned ETA = ICAO Item 13 (dep time) + T/TME
+ * ✅ Full ICAO FPL decode (Items 7-10, 13, 15, 16, 18) in a collapsible panel
+ * ✅ Item 15 route vs navlog fixes + cruise level cross-check
+ * ✅ Offline SVG route map from the parsed coordinates (passed / next / upcoming)
+ * ✅ Great-circle DIST / MC / DTGO check against the coordinates (mag var in Settings)
+ * ✅ Fuel trend chart: FRMG vs AFOB vs projection (least-squares burn rate) to destination
+ * ✅ Reserve policy (final reserve / alternate / contingency / min diversion) + escalating alerts
+ * ✅ Release fuel summary (TRIP / CONT / ALTN / FINRES / EXTRA / TAXI / TOF / BLOCK) + T/O fuel check
+ * ✅ Fuel units (kg / lb, x1000 / x100 / x1) detected from the release or chosen per session;
+ *    T/O fuel and AFOB can be entered in another unit (converted, original kept)
+ * ✅ Undo / redo of pilot entries + append-only audit log (CSV, annotated PDF, session)
+ * ✅ Navlog edit mode: correct any parsed cell (parsed value kept), export corrections JSON
+ * ✅ Reroute: skip / direct-to / insert / move waypoints; ETA and fuel re-propagate over new legs
+ * ✅ ETP / PNR between chosen adequate airports (TAS + wind, updated fuel) as virtual navlog rows
+ * ✅ Position report per waypoint (text + CPDLC / ADS-C preview), copyable
+ * ✅ Briefing panels: METAR / TAF (validity at our destination / alternate ETA), NOTAMs
+ *    (active at ETA), takeoff / landing performance
+ * ✅ Times are absolute (DOF/ or release date): no midnight wrap, +1 day marker on ETAs
  * ✅ Planned fuel = FRMG (tenths)
  * ✅ Planned burn = TBO (tenths)
  * ✅ Updated fuel = Actual TO fuel - TBO (tenths) OR propagated from last actual anchor
  * ✅ Guardrails for negative / increasing fuel + FIR T/TME vs EET/
+ * ✅ Session snapshot in localStorage after every action (resume after reload)
+ * ✅ Annotated PDF export (pdf-lib) of ATA / AFOB / ABO / B_DIFF / F_DIFF / EFOA
+ * ✅ pdf.js worker bundled locally + service worker app shell (works offline)
+ * ✅ Alternate section parsed + DIVERT continues propagation onto the alternate leg
+ * ✅ Release parsing lives in ./navlog (headless, shared with the bin/navlog.mjs CLI)
  */
 
-// ---------------------- Lazy-load pdf.js (legacy) ----------------------
-async function loadPdfjs() {
-  const pdfjsLib = await import("pdfjs-dist/legacy/build/pdf");
-  try {
-    const v = pdfjsLib.version || "3.11.174";
-    pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${v}/pdf.worker.min.js`;
-  } catch {}
-  return pdfjsLib;
-}
-
 // ---------------------- Helpers (UI) ----------------------
 const headerStyle = {
   padding: "12px",
@@ -36,46 +81,6 @@ const mono = {
     "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
 };
 
-function normalizeSpaces(s) {
-  return String(s || "")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-function rowText(row) {
-  return normalizeSpaces(row.cells.map((c) => c.text).join(" "));
-}
-function isPlaceholder(x) {
-  return (
-    x === "..." ||
-    x === "...." ||
-    x === "---" ||
-    x === "----" ||
-    x === "------" ||
-    x === "--/---"
-  );
-}
-function extractCoordFromText(t) {
-  const m = String(t).match(
-    /([NS]\d{1,2}\s+\d{1,2}(?:\.\d+)?\s+[EW]\d{2,3}\s+\d{1,2}(?:\.\d+)?)/
-  );
-  return m ? m[1].trim() : "";
-}
-function isPureCoordRow(t) {
-  return /^[NS]\d{1,2}\s+\d{1,2}(?:\.\d+)?\s+[EW]\d{2,3}\s+\d{1,2}(?:\.\d+)?$/.test(
-    String(t).trim()
-  );
-}
-function isFormattingOnlyRow(t) {
-  const u = String(t).toUpperCase().trim();
-  return /^-?\s*_?\s*FL\s*[-–]\s*\d{2,3}\s*$/.test(u);
-}
-function extractFirIdent(t) {
-  const m = String(t)
-    .toUpperCase()
-    .match(/FIR\s*-?>\s*([A-Z0-9]{3,6})\s*(?:<-)?/);
-  return m ? `-${m[1]}` : "";
-}
-
 // Time helpers (support HHMM, HH.MM, HH:MM)
 function timeToMinutesFlexible(timeStr) {
   if (!timeStr) return null;
@@ -125,11 +130,62 @@ function tTmeToMinutes(tTme) {
   return hh * 60 + mm;
 }
 
-// Fuel helpers (tenths)
-function digitsToTenths(raw) {
+// Absolute time model: every computed time is "absolute minutes" = minutes since
+// 1970-01-01 00:00Z when the flight date is known (fpl.flightDate: DOF/ or release
+// date), else minutes since 00:00Z of the departure day. HHMM entries are resolved
+// to the occurrence nearest a reference time, so nothing wraps at midnight.
+const DAY_MIN = 24 * 60;
+
+// signed difference a - b in minutes, folded into (-12h, +12h] for midnight wrap
+function wrappedMinutesDiff(a, b) {
+  let d = (((a - b) % DAY_MIN) + DAY_MIN) % DAY_MIN;
+  if (d > DAY_MIN / 2) d -= DAY_MIN;
+  return d;
+}
+function flightDayStartMin(fpl) {
+  const m = String(fpl?.flightDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 60000 : 0;
+}
+// "0005" near 23:50 on day D -> 00:05 on day D+1
+function resolveHHMMNear(hhmm, refAbsMin) {
+  const m = timeToMinutesFlexible(hhmm);
+  if (m == null || refAbsMin == null) return null;
+  return refAbsMin + wrappedMinutesDiff(m, refAbsMin);
+}
+// fpl.depAbsMin: the alternate leg departs from an absolute time on the main route
+function departureAbsMin(fpl) {
+  if (fpl?.depAbsMin != null) return fpl.depAbsMin;
+  const depMin = timeToMinutesFlexible(fpl?.depTimeHHMM);
+  return depMin == null ? null : flightDayStartMin(fpl) + depMin;
+}
+function takeoffAbsMin(fpl, actualTO) {
+  const depAbs = departureAbsMin(fpl);
+  if (depAbs != null) return resolveHHMMNear(actualTO?.time, depAbs);
+  const toMin = timeToMinutesFlexible(actualTO?.time);
+  return toMin == null ? null : flightDayStartMin(fpl) + toMin;
+}
+// days after the flight date (0 = same UTC day)
+function dayOffsetOf(absMin, fpl) {
+  if (absMin == null) return 0;
+  return Math.floor((absMin - flightDayStartMin(fpl)) / DAY_MIN);
+}
+// "0020" + 1 -> "00.20 +1"
+function etaWithDayMarker(hhmm, dayOffset) {
+  const t = hhmmToDisplayHHdotMM(hhmm);
+  if (!t || !dayOffset) return t;
+  return `${t} ${dayOffset > 0 ? "+" : ""}${dayOffset}`;
+}
+// full UTC timestamp for tooltips, only when the calendar date is actually known
+function absMinToUtcLabel(absMin, fpl) {
+  if (absMin == null || !fpl?.flightDate) return "";
+  return `${new Date(absMin * 60000).toISOString().slice(0, 16).replace("T", " ")}Z`;
+}
+
+// Fuel helpers (tenths of the release fuel unit, see ./navlog/units.js)
+function digitsToTenths(raw, unit) {
   const s = String(raw || "").replace(/\D/g, "");
   if (!s) return 0;
-  const n = Number(s);
+  const n = navlogDigitsToTenths(s, unit);
   return Number.isFinite(n) ? n : 0;
 }
 function uiFuelToTenths(uiStr) {
@@ -145,546 +201,529 @@ function eetHHMMToTtmeDisplay(eetHHMM) {
   if (!eetHHMM || !/^\d{4}$/.test(eetHHMM)) return "";
   return `${eetHHMM.slice(0, 2)}.${eetHHMM.slice(2, 4)}`;
 }
-function computePlannedETA(actualTO_HHMM, t_tme) {
-  if (!actualTO_HHMM || !t_tme) return "";
-
-  // Parse actual TO time
-  const toStr = String(actualTO_HHMM).padStart(4, "0");
-  const toHH = parseInt(toStr.slice(0, 2), 10);
-  const toMM = parseInt(toStr.slice(2, 4), 10);
-
-  // Parse T_TME (format "HH.MM")
-  const parts = String(t_tme).split(".");
-  const addHH = parseInt(parts[0] || "0", 10);
-  const addMM = parseInt(parts[1] || "0", 10);
-
-  if (isNaN(toHH) || isNaN(toMM) || isNaN(addHH) || isNaN(addMM)) {
-    return "";
-  }
-
-  // Convert everything to minutes
-  let totalMinutes = toHH * 60 + toMM + addHH * 60 + addMM;
-
-  // Wrap around 24h
-  totalMinutes = totalMinutes % (24 * 60);
-
-  const etaHH = Math.floor(totalMinutes / 60);
-  const etaMM = totalMinutes % 60;
-
-  return String(etaHH).padStart(2, "0") + String(etaMM).padStart(2, "0");
-}
 // --- helpers (keep these where your other helpers are) ---
-function fuelDigitsToTenthsOrNull(s) {
+function fuelDigitsToTenthsOrNull(s, unit) {
   const str = String(s || "").trim();
   if (!str) return null;
   if (/^[.\-]+$/.test(str)) return null;
   if (!/^\d+$/.test(str)) return null;
-  return digitsToTenths(str);
+  return digitsToTenths(str, unit);
+}
+
+// Fuel typed in the session's entry unit -> release display units ("X.Y"), keeping what
+// was typed as { value, unit } when a conversion happened. Entry unit "" = release unit.
+function fuelFromEntry(typed, entryUnitId, releaseUnitId) {
+  const entry = fuelUnit(entryUnitId || releaseUnitId);
+  const release = fuelUnit(releaseUnitId);
+  const s = String(typed ?? "").trim();
+  if (entry.id === release.id || !s || !Number.isFinite(Number(s))) {
+    return { fuel: typed, fuelEntry: null };
+  }
+  return {
+    fuel: convertFuel(s, entry, release).toFixed(1),
+    fuelEntry: { value: typed, unit: entry.id },
+  };
+}
+// ...and back: a stored value shown in the entry unit (the typed text when it matches)
+function fuelForEntry(fuel, fuelEntry, entryUnitId, releaseUnitId) {
+  const entry = fuelUnit(entryUnitId || releaseUnitId);
+  const release = fuelUnit(releaseUnitId);
+  if (fuelEntry && fuelEntry.unit === entry.id) return fuelEntry.value;
+  const s = String(fuel ?? "").trim();
+  if (entry.id === release.id || !s || !Number.isFinite(Number(s))) return fuel;
+  return convertFuel(s, release, entry).toFixed(1);
+}
+function formatFuelEntry(fuelEntry) {
+  return fuelEntry ? `${fuelEntry.value} ${fuelUnit(fuelEntry.unit).label}` : "";
+}
+
+// fpl re-read under another release fuel unit: the navlog digits stay, their meaning changes
+function fplWithFuelUnit(fpl, unitId) {
+  const from = fpl.fuelUnit;
+  const fuelPlan = fpl.fuelPlan
+    ? Object.fromEntries(
+        Object.entries(fpl.fuelPlan).map(([k, v]) => [k, rescaleNavlogTenths(v, from, unitId)])
+      )
+    : fpl.fuelPlan;
+  return {
+    ...fpl,
+    fuelUnit: unitId,
+    fuelPlan,
+    estLandingFuelTenths: fpl.estLandingFuelRaw
+      ? printedFuelToDisplay(fpl.estLandingFuelRaw, unitId)
+      : fpl.estLandingFuelTenths,
+  };
 }
 function diffTenthsOrNull(aTenths, bTenths) {
   if (aTenths == null || bTenths == null) return null;
   return aTenths - bTenths;
 }
 
-// ---------------------- PDF rows extraction (X-aware) ----------------------
-async function extractPdfRows(arrayBuffer) {
-  const pdfjsLib = await loadPdfjs();
-  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-  const yTol = 2.0;
-  const gapTol = 10;
-
-  const rows = [];
-  for (let p = 1; p <= pdf.numPages; p++) {
-    const page = await pdf.getPage(p);
-    const content = await page.getTextContent();
-
-    const linesByY = new Map();
-    for (const it of content.items) {
-      const str = (it.str ?? "").toString();
-      if (!str.trim()) continue;
+// ---------------------- Reserve policy ----------------------
+// Operator minimums for the fuel on landing. Each value comes from Settings (X.Y, like
+// the T/O fuel entry) or, when left blank, from the release fuel summary (fpl.fuelPlan,
+// tenths). Levels escalate: eating into contingency < below the minimum diversion
+// fuel < below final reserve.
+const RESERVE_LEVELS = [
+  { level: 1, key: "contingency", label: "Contingency" },
+  { level: 2, key: "diversion", label: "Min diversion" },
+  { level: 3, key: "finalReserve", label: "Final reserve" },
+];
 
-      const tr = it.transform;
-      const x = tr?.[4] ?? 0;
-      const y = tr?.[5] ?? 0;
+// settings strings ("6.0") -> tenths, null when blank
+function settingFuelTenthsOrNull(v) {
+  const s = String(v ?? "").trim();
+  return s && Number.isFinite(Number(s)) ? uiFuelToTenths(s) : null;
+}
 
-      const yKey = Math.round(y / yTol) * yTol;
-      if (!linesByY.has(yKey)) linesByY.set(yKey, []);
-      linesByY.get(yKey).push({ x, text: str.trim() });
+// -> { finalReserve, alternate, contingency, minDiversion, sources, thresholds }
+//    thresholds: [{ level, key, label, tenths }] for the levels that can be computed
+function reservePolicy(settings, fpl) {
+  const plan = fpl?.fuelPlan || {};
+  const sources = {};
+  const pick = (settingKey, planKey) => {
+    const entered = settingFuelTenthsOrNull(settings?.[settingKey]);
+    if (entered != null) {
+      sources[planKey] = "settings";
+      return entered;
     }
-
-    const ys = Array.from(linesByY.keys()).sort((a, b) => b - a);
-    for (const y of ys) {
-      const items = (linesByY.get(y) || []).sort((a, b) => a.x - b.x);
-
-      const merged = [];
-      for (const it of items) {
-        const last = merged[merged.length - 1];
-        if (!last) merged.push({ x: it.x, text: it.text });
-        else if (it.x - last.x < gapTol)
-          last.text = normalizeSpaces(last.text + " " + it.text);
-        else merged.push({ x: it.x, text: it.text });
-      }
-      rows.push({ page: p, y, cells: merged });
+    if (plan[planKey] != null) {
+      sources[planKey] = "release";
+      return plan[planKey];
     }
+    return null;
+  };
 
-    rows.push({
-      page: p,
-      y: -999999,
-      cells: [{ x: 0, text: "__PAGE_BREAK__" }],
-    });
-  }
-  return rows;
+  const finalReserve = pick("finalReserveFuel", "finalReserve");
+  const alternate = pick("alternateFuel", "alternate");
+  const contingency = pick("contingencyFuel", "contingency");
+  const minDiversion = pick("minDiversionFuel", "minDiversion");
+
+  // fuel to reach the alternate and land there with final reserve
+  const altPlusReserve =
+    finalReserve == null && alternate == null ? null : (finalReserve || 0) + (alternate || 0);
+  const byKey = {
+    contingency:
+      contingency == null || altPlusReserve == null ? null : altPlusReserve + contingency,
+    diversion: minDiversion ?? altPlusReserve,
+    finalReserve,
+  };
+
+  return {
+    finalReserve,
+    alternate,
+    contingency,
+    minDiversion,
+    sources,
+    thresholds: RESERVE_LEVELS.filter((l) => byKey[l.key] != null).map((l) => ({
+      ...l,
+      tenths: byKey[l.key],
+    })),
+  };
 }
 
-// ---------------------- Section slicer ----------------------
-function sliceRowsRequestedSection(rows) {
-  const startRe = /PIC\s+\.{10,}|\(FPL-/;
-  const endStr = "----------------------- ALTERNATE";
+// highest level whose threshold the fuel is below (0 = above all of them)
+function reserveBreach(fuelTenths, policy) {
+  if (fuelTenths == null) return null;
+  return policy.thresholds.reduce((acc, t) => (fuelTenths < t.tenths ? t.level : acc), 0);
+}
 
-  let start = -1;
-  let end = -1;
+function reserveThreshold(policy, level) {
+  return policy.thresholds.find((t) => t.level === level) || null;
+}
 
-  for (let i = 0; i < rows.length; i++) {
-    const t = rowText(rows[i]);
-    if (start === -1 && startRe.test(t)) start = i;
-    if (start !== -1 && t.includes(endStr)) {
-      end = i;
-      break;
-    }
-  }
+// ---------------------- Guardrails (validation rules) ----------------------
+// Each rule looks at one computed row plus running context (previous actual entry)
+// and returns a message when violated. Flags land in row._derived.flags as
+// { type, severity, message } so the table can badge them and the summary can group them.
+const FLAG = {
+  FUEL_INCREASING: "FUEL_INCREASING",
+  NEGATIVE_UPDATED_FUEL: "NEGATIVE_UPDATED_FUEL",
+  AFOB_BELOW_DSTN: "AFOB_BELOW_DSTN",
+  FIR_EET_MISMATCH: "FIR_EET_MISMATCH",
+  TIME_BEFORE_PREVIOUS: "TIME_BEFORE_PREVIOUS",
+  DIST_MISMATCH: "DIST_MISMATCH",
+  MC_MISMATCH: "MC_MISMATCH",
+  DTGO_MISMATCH: "DTGO_MISMATCH",
+  RESERVE_CONTINGENCY: "RESERVE_CONTINGENCY",
+  RESERVE_DIVERSION: "RESERVE_DIVERSION",
+  RESERVE_FINAL: "RESERVE_FINAL",
+};
 
-  if (start === -1 || end === -1 || end <= start) {
-    return {
-      ok: false,
-      error:
-        'Could not find start ("PIC ...." or "(FPL-") and/or end marker ("ALTERNATE").',
-    };
-  }
-  return { ok: true, slicedRows: rows.slice(start, end) };
-}
+const FLAG_LABELS = {
+  [FLAG.FUEL_INCREASING]: "Fuel increasing",
+  [FLAG.NEGATIVE_UPDATED_FUEL]: "Negative updated fuel",
+  [FLAG.AFOB_BELOW_DSTN]: "AFOB below DSTN",
+  [FLAG.FIR_EET_MISMATCH]: "FIR T/TME vs EET/",
+  [FLAG.TIME_BEFORE_PREVIOUS]: "Time before previous",
+  [FLAG.DIST_MISMATCH]: "DIST vs great circle",
+  [FLAG.MC_MISMATCH]: "MC vs great circle",
+  [FLAG.DTGO_MISMATCH]: "DTGO vs great circle",
+  [FLAG.RESERVE_CONTINGENCY]: "Into contingency",
+  [FLAG.RESERVE_DIVERSION]: "Below min diversion",
+  [FLAG.RESERVE_FINAL]: "Below final reserve",
+};
 
-// ---------------------- Exact header detection ----------------------
-const HEADER_LINE_1 =
-  "IDENT  DIST MC  FL  WIND   CMP  TAS/MAC TIME  ETA ATA TBO  FRMG EFB";
-const HEADER_LINE_2 =
-  "FRQ    DTGO MH      W/S    OAT  G/S     T/TME REV REM ABO  AFOB DSTN";
+const FIR_EET_TOLERANCE_MIN = 5;
 
-function normalizeHeaderLine(s) {
-  return String(s).toUpperCase().replace(/\s+/g, " ").trim();
-}
-function findExactTwoLineHeader(rows) {
-  const h1 = normalizeHeaderLine(HEADER_LINE_1);
-  const h2 = normalizeHeaderLine(HEADER_LINE_2);
-  for (let i = 0; i < rows.length - 1; i++) {
-    const a = normalizeHeaderLine(rowText(rows[i]));
-    const b = normalizeHeaderLine(rowText(rows[i + 1]));
-    if (a === h1 && b === h2) return i;
-  }
-  return -1;
-}
-
-// ---------------------- Locked output keys ----------------------
-const LOCKED_KEYS = [
-  "coord",
-  "IDENT",
-  "DIST",
-  "MC",
-  "FL",
-  "WIND",
-  "CMP",
-  "TAS",
-  "MAC",
-  "TIME",
-  "ETA",
-  "ATA",
-  "TBO",
-  "FRMG",
-  "EFB",
-  "FRQ",
-  "DTGO",
-  "MH",
-  "W_S",
-  "OAT",
-  "G_S",
-  "T_TME",
-  "REV",
-  "REM",
-  "ABO",
-  "AFOB",
-  "DSTN",
-  "__raw",
-];
+// Geometry checks (navlog cells vs great circle between the parsed coordinates):
+// a leg is flagged when off by more than max(NM, PCT of the computed value).
+// Airway legs are close to great circle at navlog leg lengths; DTGO accumulates
+// rounding, hence the looser limit.
+const GEO_DIST_TOLERANCE = { nm: 3, pct: 0.03 };
+const GEO_DTGO_TOLERANCE = { nm: 10, pct: 0.03 };
+const GEO_COURSE_TOLERANCE_DEG = 5;
 
-function emptyLockedRow() {
-  const o = {};
-  for (const k of LOCKED_KEYS) o[k] = "";
-  return o;
+function navlogNumberOrNull(s) {
+  const str = String(s || "").trim();
+  return /^\d+$/.test(str) ? Number(str) : null;
 }
-function orderedObject(rec) {
-  const o = {};
-  for (const k of LOCKED_KEYS) o[k] = rec[k] ?? "";
-  return o;
+function outsideTolerance(navlog, computed, tol) {
+  return Math.abs(navlog - computed) > Math.max(tol.nm, computed * tol.pct);
+}
+function formatMagVar(v) {
+  return `${Math.abs(v).toFixed(0)}°${v >= 0 ? "E" : "W"}`;
 }
 
-// ---------------------- Parse: ONE row per waypoint (continuation absorbed) ----------------------
-function parseWaypointsOneRowPerIdent(slicedRows) {
-  const headerIdx = findExactTwoLineHeader(slicedRows);
-  if (headerIdx === -1) {
-    return {
-      ok: false,
-      error: "Exact 2-line header not found (must match your header exactly).",
-    };
-  }
-
-  let currentCoord = "";
-  let currentIdent = "";
-
-  const acc = new Map(); // ident -> record
-  const rawByIdent = new Map(); // ident -> raw lines
-
-  const setAcc = (ident, patch) => {
-    const cur = acc.get(ident) || emptyLockedRow();
-    acc.set(ident, { ...cur, ...patch });
-  };
+export const GUARDRAIL_RULES = [
+  {
+    type: FLAG.FUEL_INCREASING,
+    severity: "error",
+    check(r, ctx) {
+      if (!r._actualFuel || ctx.prevFuelTenths == null) return null;
+      const afob = uiFuelToTenths(r._actualFuel);
+      if (afob <= ctx.prevFuelTenths) return null;
+      return `AFOB ${tenthsToUi(afob)} > ${tenthsToUi(ctx.prevFuelTenths)} at ${
+        ctx.prevFuelIdent
+      }`;
+    },
+  },
+  {
+    type: FLAG.NEGATIVE_UPDATED_FUEL,
+    severity: "error",
+    check(r, ctx) {
+      // before T/O fuel is entered updated fuel is just -TBO: nothing to check yet
+      if (!ctx.hasTakeoffFuel) return null;
+      const u = r._derived?.updatedFuelTenths;
+      if (u == null || u >= 0) return null;
+      return `Updated fuel ${tenthsToUi(u)}`;
+    },
+  },
+  {
+    type: FLAG.AFOB_BELOW_DSTN,
+    severity: "warn",
+    check(r, ctx) {
+      if (!r._actualFuel) return null;
+      const dstn = fuelDigitsToTenthsOrNull(r.DSTN, ctx.fpl?.fuelUnit);
+      const afob = uiFuelToTenths(r._actualFuel);
+      if (dstn == null || afob >= dstn) return null;
+      return `AFOB ${tenthsToUi(afob)} < DSTN ${tenthsToUi(dstn)}`;
+    },
+  },
+  {
+    type: FLAG.FIR_EET_MISMATCH,
+    severity: "warn",
+    check(r, ctx) {
+      const ident = String(r.IDENT || "");
+      if (!ident.startsWith("-")) return null;
+      const eet = ctx.fpl?.eetByFir?.[ident.slice(1)];
+      const eetMin = tTmeToMinutes(eetHHMMToTtmeDisplay(eet));
+      const tmeMin = tTmeToMinutes(r.T_TME);
+      if (eetMin == null || tmeMin == null) return null;
+      const d = tmeMin - eetMin;
+      if (Math.abs(d) <= FIR_EET_TOLERANCE_MIN) return null;
+      return `T/TME ${r.T_TME} vs EET/ ${eetHHMMToTtmeDisplay(eet)} (${
+        d > 0 ? "+" : ""
+      }${d} min)`;
+    },
+  },
+  {
+    type: FLAG.TIME_BEFORE_PREVIOUS,
+    severity: "error",
+    check(r, ctx) {
+      const t = r._derived?.actualAbsMin;
+      if (t == null || ctx.prevTimeAbs == null) return null;
+      if (t >= ctx.prevTimeAbs) return null;
+      return `ATA ${minutesToHHMM(t)} earlier than ${minutesToHHMM(
+        ctx.prevTimeAbs
+      )} at ${ctx.prevTimeIdent}`;
+    },
+  },
+  {
+    type: FLAG.DIST_MISMATCH,
+    severity: "warn",
+    check(r, ctx) {
+      const g = ctx.geo[ctx.index];
+      const dist = navlogNumberOrNull(r.DIST);
+      if (g?.legNm == null || dist == null) return null;
+      if (!outsideTolerance(dist, g.legNm, GEO_DIST_TOLERANCE)) return null;
+      return `DIST ${dist} vs ${g.legNm.toFixed(0)} NM computed`;
+    },
+  },
+  {
+    type: FLAG.MC_MISMATCH,
+    severity: "warn",
+    check(r, ctx) {
+      const g = ctx.geo[ctx.index];
+      const mc = navlogNumberOrNull(r.MC);
+      if (g?.trueCourse == null || mc == null || ctx.magVarDeg == null) return null;
+      if (g.legNm < 1) return null;
+      const expected = (g.trueCourse - ctx.magVarDeg + 360) % 360;
+      if (Math.abs(wrapDeg180(mc - expected)) <= GEO_COURSE_TOLERANCE_DEG) return null;
+      const mcComputed = String(Math.round(expected) % 360).padStart(3, "0");
+      return `MC ${r.MC} vs ${mcComputed} computed (TC ${g.trueCourse.toFixed(0)} − ${formatMagVar(
+        ctx.magVarDeg
+      )})`;
+    },
+  },
+  {
+    type: FLAG.DTGO_MISMATCH,
+    severity: "warn",
+    check(r, ctx) {
+      const g = ctx.geo[ctx.index];
+      const dtgo = navlogNumberOrNull(r.DTGO);
+      if (g?.dtgoNm == null || dtgo == null) return null;
+      if (!outsideTolerance(dtgo, g.dtgoNm, GEO_DTGO_TOLERANCE)) return null;
+      return `DTGO ${dtgo} vs ${g.dtgoNm.toFixed(0)} NM computed`;
+    },
+  },
+  reserveRule(FLAG.RESERVE_CONTINGENCY, 1, "warn", "contingency in use"),
+  reserveRule(FLAG.RESERVE_DIVERSION, 2, "error", "alternate no longer covered"),
+  reserveRule(FLAG.RESERVE_FINAL, 3, "error", "MAYDAY FUEL"),
+];
 
-  // ---- helpers (more universal parsing) ----
-  const isFreqToken = (s) => /^\d{1,3}\.\d{2}$/.test(s || "");
-  const isIntToken = (s) => /^-?\d+$/.test(s || "");
-  const isFLToken = (s) => /^\d{2,3}$/.test(s || "");
-  const isMachToken = (s) =>
-    /^M\.?\d{2,3}$/i.test(s || "") || /^\.\d{2,3}$/.test(s || "");
-  const isWindToken = (s) => /^-?\d{1,3}\/-?\d{1,3}$/.test(s || "");
-  const cleanTok = (s) => String(s || "").replace(/[|,;]+$/g, "");
-  const isIdentToken = (s) => {
-    if (!s) return false;
-    if (isIntToken(s)) return false;
-    if (/^__PAGE_BREAK__$/i.test(s)) return false;
-    const t = cleanTok(s);
-    // 3..8 chars typical fixes/airports; allow hyphen
-    return /^[A-Z0-9][A-Z0-9-]{2,7}$/i.test(t);
+// At each AFOB entry, the landing fuel it projects (EFOA) against the reserve policy.
+// Only the highest level breached is flagged, so alerts escalate instead of piling up.
+function reserveRule(type, level, severity, consequence) {
+  return {
+    type,
+    severity,
+    check(r, ctx) {
+      const efoa = r._derived?.efoaTenths;
+      if (!r._actualFuel || efoa == null) return null;
+      const efoaTenths = Math.round(efoa * 10);
+      if (reserveBreach(efoaTenths, ctx.reserve) !== level) return null;
+      const t = reserveThreshold(ctx.reserve, level);
+      return `EFOA ${tenthsToUi(efoaTenths)} < ${t.label.toLowerCase()} ${tenthsToUi(
+        t.tenths
+      )}: ${consequence}`;
+    },
   };
+}
 
-  function classifyMainLine(toks) {
-    // IDENT DIST MC FL WIND CMP ...
-    const t0 = toks[0] || "";
-    const t1 = toks[1] || "";
-    if (!isIdentToken(t0)) return false;
-    if (!(isIntToken(t1) || /^\d+(\.\d+)?$/.test(t1))) return false;
-
-    // heuristics: look for FL-ish or Mach/TAS-ish in early tokens
-    let sawFL = false;
-    let sawMachOrTAS = false;
-
-    for (let i = 2; i < Math.min(toks.length, 10); i++) {
-      const tok = toks[i] || "";
-      if (isFLToken(tok)) sawFL = true;
-      if (isMachToken(tok)) sawMachOrTAS = true;
-      // TAS often 2-3 digits and appears after CMP, so treat later numeric as TAS-ish
-      if (/^\d{2,3}$/.test(tok) && i >= 5) sawMachOrTAS = true;
-      if (isWindToken(tok)) {
-        // wind is supportive but not required
-      }
-    }
-
-    return sawFL || sawMachOrTAS;
+// settings.magVarDeg: user-entered variation (°, E positive); blank = estimate it
+// from the navlog's own MC column (then MC flags only catch outlier legs).
+function magVarInUse(rows, geo, settings) {
+  const entered = String(settings?.magVarDeg ?? "").trim();
+  if (entered && Number.isFinite(Number(entered))) {
+    return { deg: Number(entered), source: "settings" };
   }
+  const est = estimateMagVarDeg(rows, geo);
+  return est == null ? null : { deg: est, source: "navlog" };
+}
 
-  function mapLineToFields(t) {
-    const toks = t.split(/\s+/).filter(Boolean);
-    if (!toks.length) return { type: "other", ident: "", fields: {} };
-
-    // FIR label line
-    if (/^FIR\b/i.test(t) || /FIR->/i.test(t)) {
-      const fir = extractFirIdent(t);
-      return { type: "fir", ident: fir || "", fields: { IDENT: fir || "" } };
-    }
-
-    // Frequency line (starts with 116.60)
-    if (isFreqToken(toks[0])) {
-      return {
-        type: "freq",
-        ident: "",
-        fields: {
-          FRQ: toks[0] || "",
-          DTGO: toks[1] || "",
-          MH: toks[2] || "",
-          W_S: toks[3] || "",
-          OAT: toks[4] || "",
-          G_S: toks[5] || "",
-          T_TME: toks[6] || "",
-          REV: toks[7] || "",
-          REM: toks[8] || "",
-          ABO: toks[9] || "",
-          AFOB: toks[10] || "",
-          DSTN: toks[11] || "",
-        },
-      };
-    }
-
-    // Continuation line (often starts with DTGO)
-    if (isIntToken(toks[0]) && toks.length >= 5) {
-      const looksLikeMH = /^\d{3}$/.test(toks[1] || "");
-      const looksLikeWS = /^-?\d{1,3}$/.test(toks[2] || "");
-      if (looksLikeMH || looksLikeWS) {
-        const dtgo = toks[0] || "";
-        const mh = toks[1] || "";
-        const ws = toks[2] || "";
-        const oat = toks[3] || "";
-        const gs = toks[4] || "";
-        const ttme = toks[5] || "";
-
-        const tail = toks.slice(6);
-        const dstn = tail.length ? tail[tail.length - 1] : "";
-
-        return {
-          type: "cont",
-          ident: "",
-          fields: {
-            DTGO: dtgo,
-            MH: mh,
-            W_S: ws,
-            OAT: oat,
-            G_S: gs,
-            T_TME: ttme,
-            REV: tail[0] || "",
-            REM: tail[1] || "",
-            ABO: tail[2] || "",
-            AFOB: tail[3] || "",
-            DSTN: dstn,
-          },
-        };
-      }
-    }
-
-    // Main line
-    // Main line (starts with IDENT)
-    if (classifyMainLine(toks)) {
-      const ident = cleanTok(toks[0] || "");
-      const dist = toks[1] || "";
-      const mc = toks[2] || "";
-      const fl = toks[3] || "";
-      const wind = toks[4] || "";
-      const cmp = toks[5] || "";
-
-      const tail = toks.slice(6);
-
-      // Tail layout you want:
-      // TAS MAC TIME ETA ATA TBO FRMG EFB
-      // TAS: usually 2-3 digits (e.g. 277)
-      // MAC: can be CLB/DES/CRZ/... or a number or M.xxx etc
-      // TIME: usually 1-3 digits (e.g. 007)
-
-      const TAS = tail[0] || "";
-      const MAC = tail[1] || "";
-      const TIME = tail[2] || "";
-
-      const ETA = tail[3] || "";
-      const ATA = tail[4] || "";
-      const TBO = tail[5] || "";
-      const FRMG = tail[6] || "";
-      const EFB = tail[7] || "";
-
-      return {
-        type: "main",
-        ident,
-        fields: {
-          IDENT: ident,
-          DIST: dist,
-          MC: mc,
-          FL: fl,
-          WIND: wind,
-          CMP: cmp,
-
-          // ✅ split fields
-          TAS: TAS,
-          MAC: MAC,
-          TIME: TIME,
-
-          ETA: ETA,
-          ATA: ATA,
-          TBO: TBO,
-          FRMG: FRMG,
-          EFB: EFB,
-        },
-      };
-    }
+// DIST / MC / DTGO check the navlog as printed: after a reroute, the geometry is still
+// taken along the planned sequence (parsed rows in id order, inserted rows have none).
+function plannedGeometry(rows) {
+  if (!isRerouted(rows)) return routeGeometry(rows);
+  const order = rows
+    .map((r, i) => i)
+    .filter((i) => !rows[i]._inserted)
+    .sort((a, b) => rows[a].id - rows[b].id);
+  const geo = routeGeometry(order.map((i) => rows[i]));
+  const out = rows.map(() => null);
+  order.forEach((i, k) => {
+    out[i] = geo[k];
+  });
+  return out;
+}
 
-    return { type: "other", ident: "", fields: {} };
-  }
+export function applyGuardrails(rows, fpl, actualTO, toAbsMin, settings) {
+  const toFuel = String(actualTO?.fuel || "").trim();
+  const geo = plannedGeometry(rows);
+  const magVar = magVarInUse(rows, geo, settings);
+  const ctx = {
+    fpl,
+    reserve: reservePolicy(settings, fpl),
+    geo,
+    magVarDeg: magVar ? magVar.deg : null,
+    index: 0,
+    hasTakeoffFuel: !!toFuel,
+    prevFuelTenths: toFuel ? uiFuelToTenths(toFuel) : null,
+    prevFuelIdent: "T/O",
+    prevTimeAbs: toAbsMin,
+    prevTimeIdent: "T/O",
+  };
 
-  // Iterate after header
-  for (let i = headerIdx + 2; i < slicedRows.length; i++) {
-    const row = slicedRows[i];
-    const t = rowText(row);
-    if (!t || t === "__PAGE_BREAK__") continue;
-
-    // ✅ DO NOT parse "xxx FIELD" coordinate header lines at all
-    // (do not set coord, do not set ident, do not add raw)
-    if (/^\s*[A-Z0-9]{1,8}\s+FIELD\b/i.test(t)) continue;
-
-    // Coordinate capture (but not on FIELD lines due to skip above)
-    const coord = extractCoordFromText(t);
-    if (coord) {
-      currentCoord = coord;
-      if (isPureCoordRow(t)) continue;
+  return rows.map((r, index) => {
+    ctx.index = index;
+    const flags = [];
+    for (const rule of GUARDRAIL_RULES) {
+      const message = rule.check(r, ctx);
+      if (message) flags.push({ type: rule.type, severity: rule.severity, message });
     }
 
-    if (isFormattingOnlyRow(t)) continue;
-
-    const parsed = mapLineToFields(t);
-
-    // Decide ident rules based on line type
-    let ident = "";
-
-    if (parsed.type === "main" || parsed.type === "fir") {
-      ident = parsed.ident || parsed.fields.IDENT || "";
-      if (!ident && parsed.type === "fir") {
-        const fir = extractFirIdent(t);
-        if (fir) ident = fir;
-      }
-      if (ident) currentIdent = ident; // update only when we truly saw a new ident
-    } else if (parsed.type === "freq" || parsed.type === "cont") {
-      // carry-forward ONLY for continuation/freq lines
-      ident = currentIdent || "";
-    } else {
-      // never carry-forward for random lines
-      continue;
+    if (r._actualFuel) {
+      ctx.prevFuelTenths = uiFuelToTenths(r._actualFuel);
+      ctx.prevFuelIdent = r.IDENT;
     }
-
-    if (!ident) continue;
-
-    if (!acc.has(ident)) {
-      const base = emptyLockedRow();
-      base.coord = currentCoord || "";
-      base.IDENT = ident;
-      acc.set(ident, base);
-      rawByIdent.set(ident, []);
+    const t = r._derived?.actualAbsMin;
+    if (t != null) {
+      ctx.prevTimeAbs = t;
+      ctx.prevTimeIdent = r.IDENT;
     }
 
-    const cur = acc.get(ident);
-
-    if (!cur.coord && currentCoord) setAcc(ident, { coord: currentCoord });
+    return {
+      ...r,
+      _derived: { ...r._derived, flags, geo: geo[index] ? { ...geo[index], magVar } : null },
+    };
+  });
+}
 
-    // Fill rule: fill empty; replace placeholders with real values
-    const patch = {};
-    const fields = parsed.fields || {};
-    for (const [k, v] of Object.entries(fields)) {
-      if (k === "IDENT") continue;
-      if (v === undefined) continue;
+function hasFlag(flags, type) {
+  return (flags || []).some((f) => f.type === type);
+}
 
-      if (cur[k] === "" || cur[k] == null) patch[k] = v;
-      else if (isPlaceholder(cur[k]) && v && !isPlaceholder(v)) patch[k] = v;
-    }
+// ---------------------- Reroute (skipped / inserted / moved waypoints) ----------------------
+// T/TME and TBO are cumulative along the planned sequence. Once waypoints are skipped
+// (direct-to), inserted or moved, each row's cumulative time / burn is rebuilt from its
+// leg: a leg flown as planned keeps the navlog's own increment; a new leg is timed from
+// its distance (entered, else great circle between the coordinates) at the ground speed
+// and burns at the planned rate of the leg it replaces. Inserted rows may carry the
+// leg as entered by the pilot in `_leg: { dist, time, burn }` (NM, minutes, fuel X.Y).
+
+function isRerouted(rows) {
+  return (rows || []).some(
+    (r, i) => r._skipped || r._inserted || (i > 0 && r.id != null && r.id < rows[i - 1].id)
+  );
+}
 
-    setAcc(ident, patch);
-    rawByIdent.get(ident).push(t);
-  }
+function numberOrNull(s) {
+  const t = String(s ?? "").trim();
+  return t && Number.isFinite(Number(t)) ? Number(t) : null;
+}
 
-  const waypoints = [];
-  for (const [ident, rec] of acc.entries()) {
-    rec.__raw = (rawByIdent.get(ident) || []).join(" | ");
-    waypoints.push(orderedObject(rec));
+// -> per row { tmeMin, burnTenths, leg, revised } (null for a skipped row), where leg is
+//    { nm, min, burnTenths } for a rebuilt leg and revised says the row moved off the plan
+function revisedPlan(rows, unit) {
+  const navTme = (r) => tTmeToMinutes(r.T_TME);
+  const navBurn = (r) => digitsToTenths(r.TBO, unit) || null;
+
+  if (!isRerouted(rows)) {
+    return rows.map((r) => ({
+      tmeMin: navTme(r),
+      burnTenths: navBurn(r) || 0,
+      leg: null,
+      revised: false,
+    }));
   }
 
-  return { ok: true, waypoints };
-}
+  // planned sequence = parsed rows in id order; averages over the whole plan
+  const planned = rows.filter((r) => !r._inserted).sort((a, b) => a.id - b.id);
+  const plannedPrev = new Map(planned.map((r, k) => [r.id, k ? planned[k - 1] : null]));
+  const timed = planned.filter((r) => navTme(r) != null);
+  const burned = planned.filter((r) => navBurn(r) != null);
+  const lastTimed = timed[timed.length - 1];
+  const lastBurned = burned[burned.length - 1];
+  const planMin = lastTimed ? navTme(lastTimed) : null;
+  const planNm = planned.reduce((acc, r) => acc + (numberOrNull(r.DIST) || 0), 0);
+  const planGs = planMin ? (planNm / planMin) * 60 : null;
+  const planRate =
+    lastBurned && navTme(lastBurned) ? navBurn(lastBurned) / navTme(lastBurned) : null;
+
+  // navlog increment from the previous planned row (burn from the previous row with a TBO)
+  const plannedLeg = (r) => {
+    const k = planned.indexOf(r);
+    const prevTimed = [...planned.slice(0, k)].reverse().find((p) => navTme(p) != null);
+    const prevBurned = [...planned.slice(0, k)].reverse().find((p) => navBurn(p) != null);
+    const min = navTme(r) == null ? null : navTme(r) - (prevTimed ? navTme(prevTimed) : 0);
+    const burn = navBurn(r) == null ? null : navBurn(r) - (prevBurned ? navBurn(prevBurned) : 0);
+    return { min, burn };
+  };
 
-// ---------------------- ICAO (FPL) parse (Item 13/16 + EET/FIR) ----------------------
-function parseIcaoFplFromText(text) {
-  const t = String(text || "");
+  let prev = null; // previous row flown
+  let cumMin = 0;
+  let cumBurn = 0;
+  let offMin = 0; // revised - navlog, carried along unchanged legs
+  let offBurn = 0;
 
-  // ✅ Parse EST LANDING FUEL (anywhere in the document text, not inside the (FPL-...) block)
-  // Matches examples:
-  // "EST LANDING FUEL 12.3"
-  // "EST. LANDING FUEL: 12.3"
-  // "EST LANDING FUEL 15"
-  let estLandingFuelTenths = null;
-  {
-    const mFuel = t.match(
-      /\bEST\.?\s+LANDING\s+FUEL\b[^0-9]*([0-9]+(?:\.[0-9]+)?)/i
-    );
-    if (mFuel) {
-      const v = parseFloat(mFuel[1]) / 1000;
-      if (Number.isFinite(v)) estLandingFuelTenths = Math.round(v * 10) / 10;
+  return rows.map((r) => {
+    if (r._skipped) return null;
+    const asPlanned = !r._inserted && (plannedPrev.get(r.id) || null) === prev;
+
+    if (asPlanned) {
+      const t = navTme(r);
+      const b = navBurn(r);
+      const out = {
+        tmeMin: t == null ? null : t + offMin,
+        burnTenths: b == null ? 0 : b + offBurn,
+        leg: null,
+        revised: offMin !== 0 || offBurn !== 0,
+      };
+      if (out.tmeMin != null) cumMin = out.tmeMin;
+      if (b != null) cumBurn = out.burnTenths;
+      prev = r;
+      return out;
     }
-  }
 
-  // Existing FPL parse
-  const m = t.match(/\(FPL-[\s\S]*?\)/);
-  if (!m)
+    // new leg prev -> r
+    const entered = r._leg || {};
+    const a = prev ? coordToDecimal(prev.coord) : null;
+    const b = coordToDecimal(r.coord);
+    const nm = numberOrNull(entered.dist) ?? (a && b ? greatCircleNm(a, b) : null);
+    const gs = numberOrNull(r.G_S) || numberOrNull(prev?.G_S) || planGs;
+    const own = r._inserted ? null : plannedLeg(r);
+    const ownRate = own?.min > 0 && own.burn != null ? own.burn / own.min : null;
+
+    let min = numberOrNull(entered.time);
+    if (min == null && nm != null && gs) min = (nm / gs) * 60;
+    if (min == null) min = own?.min ?? 0; // nothing to go on: keep the planned increment
+    min = Math.round(min);
+
+    const enteredBurn = numberOrNull(entered.burn);
+    const burn =
+      enteredBurn != null
+        ? Math.round(enteredBurn * 10)
+        : Math.round(min * (ownRate ?? planRate ?? 0));
+
+    cumMin += min;
+    cumBurn += burn;
+    if (!r._inserted) {
+      if (navTme(r) != null) offMin = cumMin - navTme(r);
+      if (navBurn(r) != null) offBurn = cumBurn - navBurn(r);
+    }
+    prev = r;
     return {
-      ok: false,
-      fpl: {
-        dep: "",
-        dest: "",
-        alt: "",
-        depTimeHHMM: "",
-        eetByFir: {},
-        estLandingFuelTenths, // ✅ still return it even if FPL block missing
-      },
+      tmeMin: cumMin,
+      burnTenths: cumBurn,
+      leg: { nm: nm == null ? null : Math.round(nm), min, burnTenths: burn },
+      revised: true,
     };
-
-  const fpl = m[0].replace(/\s+/g, " ").trim();
-
-  // Item 13: -PANC1230-
-  const dep13 = fpl.match(/-([A-Z]{4})(\d{4})-/);
-  const dep = dep13 ? dep13[1] : "";
-  const depTimeHHMM = dep13 ? dep13[2] : "";
-
-  // Item 16: ...-KORD0450 KRFD-
-  const item16 = fpl.match(/-([A-Z]{4})(\d{4})\s+([A-Z]{4})-/);
-  const dest = item16 ? item16[1] : "";
-  const alt = item16 ? item16[3] : "";
-
-  // EET/CZEG0034 KZMP0316
-  const eetByFir = {};
-  const eet = fpl.match(/EET\/([^-\)]*)/);
-  if (eet) {
-    const pairs = eet[1].trim().split(/\s+/);
-    for (const p of pairs) {
-      const mm = p.match(/^([A-Z0-9]{3,6})(\d{4})$/);
-      if (mm) eetByFir[mm[1]] = mm[2];
-    }
-  }
-
-  return {
-    ok: true,
-    fpl: {
-      dep,
-      dest,
-      alt,
-      depTimeHHMM,
-      eetByFir,
-      estLandingFuelTenths, // ✅ added
-      raw: fpl,
-    },
-  };
+  });
 }
 
-// Returns tenths (e.g., 12.3 -> 123) or null
-function parseEstLandingFuelTenthsFromRows(rows) {
-  const rx = /\bEST\.?\s+LANDING\s+FUEL\b[^0-9]*([0-9]+(?:\.[0-9])?)/i;
-
-  for (const r of rows) {
-    const t = typeof r === "string" ? r : rowText(r);
-    const m = String(t || "").match(rx);
-    if (!m) continue;
-
-    const v = parseFloat(m[1]);
-    if (isFinite(v)) return Math.round(v * 10);
-  }
-
-  return null;
+// planned T/O fuel implied by the navlog (FRMG + TBO of the first row carrying both)
+function navlogTakeoffTenths(rows, unit) {
+  const r = (rows || []).find(
+    (x) => !x._inserted && digitsToTenths(x.FRMG, unit) && digitsToTenths(x.TBO, unit)
+  );
+  return r ? digitsToTenths(r.FRMG, unit) + digitsToTenths(r.TBO, unit) : null;
 }
 
 // ---------------------- NEW: compute planned/updated/actual + validation + guardrails ----------------------
-function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
-  const depMin = timeToMinutesFlexible(fpl?.depTimeHHMM);
-  const toMin = timeToMinutesFlexible(actualTO?.time); // actual TO HHMM
+export function computeDerivedLocked(
+  rows,
+  fpl,
+  actualTO,
+  estLandingFuelTenths,
+  settings = DEFAULT_SETTINGS
+) {
+  const depAbs = departureAbsMin(fpl);
+  const toAbs = takeoffAbsMin(fpl, actualTO); // actual TO, absolute
   const toFuelTenths = uiFuelToTenths(actualTO?.fuel); // actual TO fuel in tenths
 
   let timeBiasMin = 0;
+  let lastAbsMin = depAbs ?? toAbs; // resolves ATAs on rows without T/TME
 
   // fuel propagation anchor
   let hasFuelAnchor = false;
@@ -694,17 +733,12 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
   // prefer explicit param, otherwise fall back to fpl.estLandingFuelTenths
   const estLF = estLandingFuelTenths ?? fpl?.estLandingFuelTenths ?? null;
 
-  function computePlannedETAHHMM_fromActualTO(toMinLocal, t_tme) {
-    const tmeMin = tTmeToMinutes(t_tme);
-    if (toMinLocal == null || tmeMin == null) return "";
-    return minutesToHHMM((toMinLocal + tmeMin) % (24 * 60));
-  }
-
-  // Helpers for navlog digits
+  // Helpers for navlog digits (read under the release fuel unit)
+  const unit = fpl?.fuelUnit;
   function fuelDigitsToTenthsOrNull(s) {
     const str = String(s || "").trim();
     if (!str || /^[.\-]+$/.test(str) || !/^\d+$/.test(str)) return null;
-    return digitsToTenths(str); // "1518" -> 1518 tenths
+    return digitsToTenths(str, unit); // "1518" -> 1518 tenths
   }
   function diffTenthsOrNull(a, b) {
     if (a == null || b == null) return null;
@@ -721,46 +755,62 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
     return [tas, mac].filter(Boolean).join(" ").trim();
   }
 
-  return rows.map((r) => {
+  // cumulative time / burn along the sequence actually flown (see revisedPlan)
+  const plan = revisedPlan(rows, unit);
+  const planTofTenths = navlogTakeoffTenths(rows, unit);
+
+  const out = rows.map((r, i) => {
     // ✅ compute TAS_MAC for this row
     const tasMac = computeTasMac(r);
+    const p = plan[i] || { tmeMin: null, burnTenths: 0, leg: null, revised: false }; // skipped
 
     // ---------------- TIME ----------------
-    const tmeMin = tTmeToMinutes(r.T_TME);
-    const baseDepMin = depMin != null ? depMin : toMin;
+    // all *AbsMin values are absolute minutes (see the time model above)
+    const tmeMin = p.tmeMin;
+    const baseDepAbs = depAbs != null ? depAbs : toAbs;
 
-    const plannedEtaMin =
-      baseDepMin != null && tmeMin != null ? baseDepMin + tmeMin : null;
+    const plannedFromDepAbs =
+      baseDepAbs != null && tmeMin != null ? baseDepAbs + tmeMin : null;
 
-    let updatedEtaMin =
-      plannedEtaMin != null ? plannedEtaMin + timeBiasMin : null;
+    let updatedEtaAbsMin =
+      plannedFromDepAbs != null ? plannedFromDepAbs + timeBiasMin : null;
 
     // manual time anchor: this waypoint becomes updated ETA, and bias shifts subsequent rows
-    const actualMin = timeToMinutesFlexible(r._actualTime);
-    if (actualMin != null) {
-      if (updatedEtaMin != null) timeBiasMin += actualMin - updatedEtaMin;
-      updatedEtaMin = actualMin;
+    // (the HHMM entry is taken on the day that puts it nearest the expected time)
+    const actualAbsMin = r._skipped
+      ? null
+      : resolveHHMMNear(r._actualTime, updatedEtaAbsMin ?? lastAbsMin);
+    if (actualAbsMin != null) {
+      if (updatedEtaAbsMin != null) timeBiasMin += actualAbsMin - updatedEtaAbsMin;
+      updatedEtaAbsMin = actualAbsMin;
     }
+    if (updatedEtaAbsMin != null) lastAbsMin = updatedEtaAbsMin;
 
     // ETA (planned) and ATA (updated) per your UI rules
-    const plannedETAHHMM = computePlannedETAHHMM_fromActualTO(toMin, r.T_TME);
+    const plannedEtaAbsMin = toAbs != null && tmeMin != null ? toAbs + tmeMin : null;
+    const plannedETAHHMM =
+      plannedEtaAbsMin == null ? "" : minutesToHHMM(plannedEtaAbsMin);
     const updatedETAHHMM =
-      updatedEtaMin == null ? "" : minutesToHHMM(updatedEtaMin);
+      updatedEtaAbsMin == null ? "" : minutesToHHMM(updatedEtaAbsMin);
 
     // ETA_DIFF = planned ETA - updated ETA
-    const plannedMin = timeToMinutesFlexible(plannedETAHHMM);
-    const updatedMin = timeToMinutesFlexible(updatedETAHHMM);
-
     const etaDiffMin =
-      plannedMin != null && updatedMin != null ? plannedMin - updatedMin : null;
+      plannedEtaAbsMin != null && updatedEtaAbsMin != null
+        ? plannedEtaAbsMin - updatedEtaAbsMin
+        : null;
 
     const etaDiffDisplay =
       etaDiffMin == null ? "-" : `${etaDiffMin > 0 ? "+" : ""}${etaDiffMin}`;
 
     // ---------------- FUEL ----------------
     // FRMG digits -> tenths (do NOT divide by 10 here; tenthsToUi handles display)
-    const plannedFuelTenths = digitsToTenths(r.FRMG); // "1518" -> 1518 (display 151.8)
-    const plannedBurnTenths = digitsToTenths(r.TBO);  // digits -> tenths
+    const plannedBurnTenths = p.burnTenths; // TBO digits -> tenths (revised after a reroute)
+    const plannedFuelTenths = // "1518" -> 1518 (display 151.8)
+      p.revised && planTofTenths != null && plannedBurnTenths > 0
+        ? planTofTenths - plannedBurnTenths
+        : r._skipped
+        ? 0
+        : digitsToTenths(r.FRMG, unit);
     const hasTbo = plannedBurnTenths > 0;
 
     // Updated fuel propagation
@@ -794,7 +844,8 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
     }
 
     // Anchor update: if actual fuel entered and TBO exists
-    if (afobTenths != null && hasTbo) {
+    // (afobTenths is 0, not null, for a blank entry: test the entry itself)
+    if (r._actualFuel && hasTbo && !r._skipped) {
       hasFuelAnchor = true;
       fuelAnchorTboTenths = plannedBurnTenths;
       fuelAnchorActualTenths = afobTenths;
@@ -805,7 +856,7 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
     const aboTenths = diffTenthsOrNull(toFuelTenths, afobTenths);
 
     // B_DIFF (as you previously used): TBO - ABO
-    const tboTenths = fuelDigitsToTenthsOrNull(r.TBO);
+    const tboTenths = p.revised ? plannedBurnTenths || null : fuelDigitsToTenthsOrNull(r.TBO);
     const tboMinusAboTenths = diffTenthsOrNull(tboTenths, aboTenths);
 
     // EFOA = AFOB(actual) - DSTN(navlog)
@@ -815,7 +866,7 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
       efoaRawTenths == null ? null : Math.round((efoaRawTenths / 10) * 10) / 10; // -> X.Y
 
     // F_DIFF: AFOB - FRMG
-    const frmgTenths = fuelDigitsToTenthsOrNull(r.FRMG);
+    const frmgTenths = p.revised ? plannedFuelTenths || null : fuelDigitsToTenthsOrNull(r.FRMG);
     const frmgMinusAfobTenths = diffTenthsOrNull(afobTenths, frmgTenths);
 
     // Compare EFOA to EST LANDING FUEL (both as X.Y)
@@ -840,9 +891,19 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
         // ✅ derived TAS_MAC for rendering anywhere
         TAS_MAC: tasMac,
 
-        // time
+        // reroute: skipped row, rebuilt leg, plan values moved off the navlog
+        skipped: !!r._skipped,
+        leg: p.leg,
+        revised: p.revised,
+
+        // time (HHMM for display, absolute minutes + day offset for math / +1 marker)
         plannedETAHHMM,
         updatedETAHHMM,
+        plannedEtaAbsMin,
+        updatedEtaAbsMin,
+        actualAbsMin,
+        plannedDayOffset: dayOffsetOf(plannedEtaAbsMin, fpl),
+        updatedDayOffset: dayOffsetOf(updatedEtaAbsMin, fpl),
         etaDiffMin,
         etaDiffDisplay,
 
@@ -869,112 +930,2865 @@ function computeDerivedLocked(rows, fpl, actualTO, estLandingFuelTenths) {
       },
     };
   });
-}
 
+  return applyGuardrails(out, fpl, actualTO, toAbs, settings);
+}
 
+// ---------------------- Actual T/O fuel vs release TOF ----------------------
+// Taxi burn varies, so the actual T/O fuel may differ from the planned TOF by up to the
+// taxi allowance (at least TO_FUEL_TOLERANCE_PCT of TOF) before it is reported.
+const TO_FUEL_TOLERANCE_PCT = 0.01;
+
+// -> { status: "ok" | "low" | "high", diffTenths, toleranceTenths, message }, null when
+//    there is no planned TOF or no T/O fuel entered
+export function checkTakeoffFuel(fuelPlan, actualTO) {
+  const planned = fuelPlan?.takeoff;
+  const entered = String(actualTO?.fuel || "").trim();
+  if (planned == null || !entered) return null;
+
+  const actual = uiFuelToTenths(entered);
+  const diffTenths = actual - planned;
+  const toleranceTenths = Math.max(
+    fuelPlan.taxi || 0,
+    Math.round(planned * TO_FUEL_TOLERANCE_PCT)
+  );
+  const vs = `T/O fuel ${tenthsToUi(actual)} vs TOF ${tenthsToUi(planned)} (${signedTenthsToUi(
+    diffTenths
+  )})`;
 
-// ---------------------- Reducer (INLINE) ----------------------
-const initialState = {
-  waypoints: [],
-  computed: [],
-  fpl: { dep: "", dest: "", alt: "", depTimeHHMM: "", eetByFir: {}, raw: "" },
-  actualTO: { time: "", fuel: "" },
-  currentWaypoint: null,
-  modalData: null,
-  status: "Upload Flight Release PDF.",
-};
+  if (diffTenths < -toleranceTenths) {
+    return { status: "low", diffTenths, toleranceTenths, message: `${vs}: below plan` };
+  }
+  if (fuelPlan.block != null && actual > fuelPlan.block) {
+    return {
+      status: "high",
+      diffTenths,
+      toleranceTenths,
+      message: `${vs}: more than BLOCK ${tenthsToUi(fuelPlan.block)}, check the entry`,
+    };
+  }
+  return { status: "ok", diffTenths, toleranceTenths, message: `${vs}: consistent` };
+}
 
-function navlogReducer(state, action) {
-  switch (action.type) {
-    case "SET_STATUS":
-      return { ...state, status: action.payload };
+// ---------------------- Fuel trend (least squares) ----------------------
+// y = intercept + slope * x over [{ x, y }]; null with fewer than 2 distinct x
+function fitLine(points) {
+  if (points.length < 2) return null;
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p.x, 0) / n;
+  const my = points.reduce((a, p) => a + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.x - mx) ** 2;
+    sxy += (p.x - mx) * (p.y - my);
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: my - slope * mx };
+}
 
-    case "SET_PARSED": {
-      const { waypoints, fpl } = action.payload;
+// Whole-route fuel picture from computeDerivedLocked output (all fuel in tenths,
+// times in absolute minutes):
+//   takeoff:     { timeAbsMin, fuelTenths } from the Actual T/O entry, or null
+//   points:      per row with a time, { idx, ident, plannedAbsMin, plannedTenths,
+//                timeAbsMin (ATA, else updated ETA), afobTenths, projectedTenths }
+//   burn rate:   least-squares slope through T/O fuel + every AFOB entry (per hour),
+//                next to the same fit through the planned FRMG column
+//   projection:  from the latest AFOB at the actual burn rate, to each later row
+//   destination: last row with an ETA; compared with EST LANDING FUEL and the
+//                reserve policy (minimum = min diversion fuel, reserveLevel as above)
+export function computeFuelTrend(computed, fpl, actualTO, settings = DEFAULT_SETTINGS) {
+  const toAbs = takeoffAbsMin(fpl, actualTO);
+  const toFuel = String(actualTO?.fuel || "").trim() ? uiFuelToTenths(actualTO.fuel) : null;
+
+  const points = [];
+  (computed || []).forEach((r, idx) => {
+    const d = r._derived || {};
+    const plannedAbsMin = d.plannedEtaAbsMin ?? null;
+    const timeAbsMin = d.actualAbsMin ?? d.updatedEtaAbsMin ?? null;
+    if (plannedAbsMin == null && timeAbsMin == null) return;
+    points.push({
+      idx,
+      ident: r.IDENT,
+      plannedAbsMin,
+      plannedTenths: /\d/.test(r.FRMG || "") || r._inserted ? d.plannedFuelTenths : null,
+      timeAbsMin,
+      afobTenths: r._actualFuel ? uiFuelToTenths(r._actualFuel) : null,
+      projectedTenths: null,
+    });
+  });
 
-      const normalized = waypoints.map((w, i) => ({
-        id: i,
-        ...w,
-        _actualTime: w._actualTime || "",
-        _actualFuel: w._actualFuel || "",
-      }));
+  const actuals = points
+    .filter((p) => p.afobTenths != null && p.timeAbsMin != null)
+    .map((p) => ({ x: p.timeAbsMin, y: p.afobTenths }));
+  if (toFuel != null && toAbs != null) actuals.unshift({ x: toAbs, y: toFuel });
+  const actualFit = fitLine(actuals);
 
-      const next = {
-        ...state,
-        fpl,
-        waypoints: normalized,
-        modalData: null,
-        currentWaypoint: null,
-        status: `Parsed ${normalized.length} waypoints (one row each). Enter Takeoff data.`,
-      };
+  const plannedFit = fitLine(
+    points
+      .filter((p) => p.plannedTenths != null && p.plannedAbsMin != null)
+      .map((p) => ({ x: p.plannedAbsMin, y: p.plannedTenths }))
+  );
 
-      return {
-        ...next,
-        computed: computeDerivedLocked(next.waypoints, next.fpl, next.actualTO),
-      };
+  // project forward from the latest actual fuel figure
+  const last = actuals.length ? actuals[actuals.length - 1] : null;
+  if (actualFit && last) {
+    for (const p of points) {
+      if (p.timeAbsMin == null || p.timeAbsMin < last.x) continue;
+      if (p.afobTenths != null && p.timeAbsMin === last.x) continue;
+      p.projectedTenths = Math.round(last.y + actualFit.slope * (p.timeAbsMin - last.x));
     }
+  }
 
-    case "SET_TO": {
-      const next = { ...state, actualTO: action.payload };
+  const dest = [...points].reverse().find((p) => p.timeAbsMin != null) || null;
+  const projectedDestTenths = !dest
+    ? null
+    : dest.afobTenths != null
+    ? dest.afobTenths
+    : dest.projectedTenths;
 
-      const firstIdx = next.waypoints.findIndex(
-        (w) => !w._actualTime || !w._actualFuel
-      );
+  const estLF = fpl?.estLandingFuelTenths; // X.Y, see computeDerivedLocked
+  const estLandingTenths = estLF == null ? null : Math.round(estLF * 10);
+  const policy = reservePolicy(settings, fpl);
+  const minimumTenths = reserveThreshold(policy, 2)?.tenths ?? null;
+
+  const perHour = (fit) => (fit ? Math.round(-fit.slope * 60) : null);
+  return {
+    points,
+    takeoff: toFuel != null && toAbs != null ? { timeAbsMin: toAbs, fuelTenths: toFuel } : null,
+    burnRateTenthsPerHour: perHour(actualFit),
+    plannedBurnRateTenthsPerHour: perHour(plannedFit),
+    dest,
+    projectedDestTenths,
+    estLandingTenths,
+    minimumTenths,
+    policy,
+    reserveLevel: reserveBreach(projectedDestTenths, policy),
+    belowEstLanding:
+      projectedDestTenths != null && estLandingTenths != null
+        ? projectedDestTenths < estLandingTenths
+        : null,
+    belowMinimum:
+      projectedDestTenths != null && minimumTenths != null
+        ? projectedDestTenths < minimumTenths
+        : null,
+  };
+}
 
+
+
+// ---------------------- Critical points (ETP / PNR) ----------------------
+// ETPs between consecutive adequate airports and the PNR for the first one (see
+// ./navlog/etp.js), along the route as it is being flown: actual time / fuel where
+// entered, else the updated ETA / fuel. Recomputed with every entry; shown as virtual
+// rows of the navlog, never stored in it.
+
+// computed rows -> the etp.js track (skipped and FIR boundary rows left out)
+function criticalPointTrack(computed, actualTO) {
+  const toFuelTenths = uiFuelToTenths(actualTO?.fuel);
+  return (computed || [])
+    .map((r, index) => {
+      const d = r._derived || {};
+      const pos = String(r.IDENT || "").startsWith("-") ? null : coordToDecimal(r.coord);
+      if (!pos || d.skipped) return null;
+      const fuelTenths = r._actualFuel
+        ? uiFuelToTenths(r._actualFuel)
+        : d.updatedFuelTenths > 0
+        ? d.updatedFuelTenths
+        : index === 0 && toFuelTenths != null
+        ? toFuelTenths
+        : d.plannedFuelTenths || null;
       return {
-        ...next,
-        computed: computeDerivedLocked(next.waypoints, next.fpl, next.actualTO),
-        currentWaypoint: firstIdx === -1 ? null : firstIdx,
+        index,
+        ident: r.IDENT,
+        pos,
+        absMin: d.actualAbsMin ?? d.updatedEtaAbsMin ?? d.plannedEtaAbsMin ?? null,
+        fuelTenths,
+        tas: Number(r.TAS) || null,
+        wind: r.WIND,
+        gs: Number(r.G_S) || null,
       };
+    })
+    .filter(Boolean);
+}
+
+// airports an ETP can be built on: ICAO-coded navlog rows (departure, destination), the
+// end of the alternate leg and the list in Settings
+export function adequateAirportOptions(waypoints, alternateWaypoints, settings) {
+  const fromRows = [...(waypoints || []), ...(alternateWaypoints || []).slice(-1)]
+    .filter((w) => /^[A-Z]{4}$/.test(w.IDENT || "") && coordToDecimal(w.coord))
+    .map((w) => ({ ident: w.IDENT, coord: w.coord, pos: coordToDecimal(w.coord) }));
+  const all = [...fromRows, ...parseAirportList(settings?.etpAirports)];
+  return all.filter((a, i) => all.findIndex((b) => b.ident === a.ident) === i);
+}
+
+// chosen idents (null = first and last navlog airport) -> airports
+function chosenAdequateAirports(options, waypoints, chosen) {
+  if (chosen) return options.filter((a) => chosen.includes(a.ident));
+  const onRoute = options.filter((a) => (waypoints || []).some((w) => w.IDENT === a.ident));
+  return onRoute.length > 1 ? [onRoute[0], onRoute[onRoute.length - 1]] : [];
+}
+
+// -> criticalPoints(): ETPs / PNR, PNR keeping the final reserve
+export function computeCriticalPoints(state) {
+  const options = adequateAirportOptions(
+    state.waypoints,
+    state.alternate?.waypoints,
+    state.settings
+  );
+  const airports = chosenAdequateAirports(options, state.waypoints, state.etpAirports);
+  return criticalPoints(criticalPointTrack(state.computed, state.actualTO), airports, {
+    reserveTenths: reservePolicy(state.settings, state.fpl).finalReserve || 0,
+  });
+}
+
+// ---------------------- Position reports ----------------------
+// Report at a navlog row (see ./navlog/positionReport.js): time over = the ATA entered
+// there (the updated ETA until one is), next / following = the next two rows still on
+// the route (skipped rows and FIR boundaries are not reporting points).
+function reportPoint(row) {
+  const pos = coordToDecimal(row.coord);
+  return { position: row.IDENT || (pos ? latLonPositionName(pos) : "-"), pos };
+}
+
+function isReportingPoint(row) {
+  return !row._derived?.skipped && !String(row.IDENT || "").startsWith("-");
+}
+
+// navlog FL ("350"), else the FPL cruise level ("F350") for CLB / DSC rows
+function reportLevel(row, fpl) {
+  const fl = String(row.FL || "").trim();
+  if (/^\d{2,3}$/.test(fl)) return `FL${fl.padStart(3, "0")}`;
+  const m = String(fpl?.cruiseLevel || "").match(/^F(\d{3})$/);
+  return m ? `FL${m[1]}` : fl;
+}
+
+export function positionReportAt(computed, index, fpl) {
+  const row = computed?.[index];
+  if (!row) return null;
+  const eta = (r) => r._derived?.updatedETAHHMM || r._derived?.plannedETAHHMM || "";
+  const ata = timeToMinutesFlexible(row._actualTime);
+  const [next, following] = computed.slice(index + 1).filter(isReportingPoint);
+  return {
+    callsign: fpl?.callsign || "",
+    ...reportPoint(row),
+    time: ata != null ? minutesToHHMM(ata) : eta(row),
+    timeIsActual: ata != null,
+    level: reportLevel(row, fpl),
+    next: next ? { ...reportPoint(next), eta: eta(next) } : null,
+    following: following ? reportPoint(following) : null,
+  };
+}
+
+// ---------------------- Annotated PDF export (pdf-lib) ----------------------
+// Writes the pilot's actuals back onto the original release pages, at the row
+// y captured by extractPdfRows and the column x of the navlog header labels.
+const EXPORT_FONT_SIZE = 7;
+const EXPORT_DIFF_OFFSET_X = 35; // B_DIFF/F_DIFF/EFOA go right of DSTN (no column on the release)
+
+function signedTenthsToUi(tenths) {
+  if (tenths == null) return "";
+  return `${tenths > 0 ? "+" : ""}${tenthsToUi(tenths)}`;
+}
+
+async function buildAnnotatedPdf(pdfBytes, computed, waypoints, layout, actualTO, auditLog) {
+  const { PDFDocument, StandardFonts, rgb } = await import("pdf-lib");
+
+  const doc = await PDFDocument.load(pdfBytes);
+  const font = await doc.embedFont(StandardFonts.CourierBold);
+  const pages = doc.getPages();
+  const ink = rgb(0.05, 0.2, 0.75);
+
+  // mask: white box under the value so placeholders ("....") don't show through
+  const put = (pageNo, x, y, text, { size = EXPORT_FONT_SIZE, mask = true } = {}) => {
+    const page = pages[pageNo - 1];
+    if (!page || x == null || y == null || !text) return;
+    if (mask) {
+      page.drawRectangle({
+        x: x - 1,
+        y: y - 1.5,
+        width: font.widthOfTextAtSize(text, size) + 2,
+        height: size + 2,
+        color: rgb(1, 1, 1),
+      });
     }
+    page.drawText(text, { x, y, size, font, color: ink });
+  };
 
-    case "OPEN_MODAL":
-      return { ...state, modalData: action.payload };
+  const l1 = layout?.line1 || {};
+  const l2 = layout?.line2 || {};
+
+  let written = 0;
+  computed.forEach((wp, idx) => {
+    const w = waypoints[idx];
+    if (!w?._actualTime || !w?._actualFuel) return;
+
+    const pos = wp.__pos || {};
+    const d = wp._derived || {};
+
+    if (pos.main) put(pos.main.page, l1.ATA, pos.main.y, d.updatedETAHHMM);
+
+    if (pos.second) {
+      const { page, y } = pos.second;
+      put(page, l2.ABO, y, d.aboTenths != null ? tenthsToUi(d.aboTenths) : "");
+      put(page, l2.AFOB, y, tenthsToUi(uiFuelToTenths(w._actualFuel)));
+
+      const extras = [
+        d.efoaTenths != null ? `EFOA ${Number(d.efoaTenths).toFixed(1)}` : "",
+        d.tboMinusAboTenths != null
+          ? `B_DIFF ${signedTenthsToUi(d.tboMinusAboTenths)}`
+          : "",
+        d.frmgMinusAfobTenths != null
+          ? `F_DIFF ${signedTenthsToUi(d.frmgMinusAfobTenths)}`
+          : "",
+      ].filter(Boolean);
+
+      if (l2.DSTN != null && extras.length) {
+        put(page, l2.DSTN + EXPORT_DIFF_OFFSET_X, y, extras.join("  "), {
+          size: EXPORT_FONT_SIZE - 1,
+          mask: false,
+        });
+      }
+    }
+    written++;
+  });
 
-    case "CLOSE_MODAL":
-      return { ...state, modalData: null };
+  if (pages[0]) {
+    const { height } = pages[0].getSize();
+    put(
+      1,
+      20,
+      height - 14,
+      `NAVLOG ACTUALS  T/O ${actualTO?.time || "-"}  FUEL ${
+        actualTO?.fuel || "-"
+      }  EXPORTED ${new Date().toISOString().slice(0, 16)}Z`,
+      { mask: false }
+    );
+  }
+
+  // audit log on extra page(s) at the end, one change per line
+  if (auditLog?.length) {
+    const size = EXPORT_FONT_SIZE + 1;
+    const [w, h] = pages[0] ? [pages[0].getWidth(), pages[0].getHeight()] : [612, 792];
+    let page = null;
+    let y = 0;
+    const line = (text) => {
+      if (!page || y < 30) {
+        page = doc.addPage([w, h]);
+        y = h - 30;
+      }
+      page.drawText(text, { x: 20, y, size, font, color: ink });
+      y -= size + 3;
+    };
+    line("NAVLOG AUDIT LOG (UTC)");
+    auditLog.forEach((e) =>
+      line(
+        `${e.at.slice(0, 19).replace("T", " ")}  ${e.action.padEnd(17)} ${e.target} ${
+          e.field
+        }: ${e.from || "-"} -> ${e.to || "-"}`
+      )
+    );
+  }
+
+  return { bytes: await doc.save(), written };
+}
+
+function downloadBytes(bytes, filename, mime) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// A release attached for export must be the one the session was parsed from: the
+// values are stamped at that release's row positions. Returns what differs, or null.
+export function releaseMismatch(fpl, attachedFpl) {
+  const fields = [
+    ["FPL", fplNumberFromRaw(fpl?.raw), fplNumberFromRaw(attachedFpl?.raw)],
+    ["DEP", fpl?.dep, attachedFpl?.dep],
+    ["DEST", fpl?.dest, attachedFpl?.dest],
+  ];
+  const diffs = fields
+    .filter(([, ours, theirs]) => (ours || "") !== (theirs || ""))
+    .map(([label, ours, theirs]) => `${label} ${theirs || "?"} (expected ${ours || "?"})`);
+  return diffs.length ? diffs.join(", ") : null;
+}
+
+// ---------------------- Alternate leg (diversion) ----------------------
+// The alternate navlog's T/TME and TBO are cumulative from its first row, so the leg
+// is computed like a second flight "taking off" at the anchor:
+// - before a divert: the main route's updated ETA / fuel at its last row (destination)
+// - after DIVERT: the last actual entry (time + fuel) on the main route
+// The anchor carries its absolute time too, so a leg flown after midnight stays on day +1.
+function alternateAnchor(computed, diversion, fpl) {
+  if (diversion) {
+    const from = computed[diversion.fromIndex]?._derived;
+    return {
+      time: diversion.time,
+      fuel: diversion.fuel,
+      absMin: from ? from.actualAbsMin : takeoffAbsMin(fpl, diversion),
+    };
+  }
+
+  const d = computed[computed.length - 1]?._derived;
+  if (!d?.updatedETAHHMM) return null;
+  return {
+    time: d.updatedETAHHMM,
+    fuel: d.updatedFuelTenths > 0 ? tenthsToUi(d.updatedFuelTenths) : "",
+    absMin: d.updatedEtaAbsMin,
+  };
+}
+
+// The alternate's T/TME and TBO are planned from the destination. A divert anchored
+// before the last main-route row only shifts that plan onto the anchor: returns the
+// destination to label the leg with, or null when the leg really starts there.
+export function alternatePlannedFrom(diversion, waypoints, fpl) {
+  if (!diversion) return null;
+  let last = -1;
+  (waypoints || []).forEach((w, i) => {
+    if (!w._skipped) last = i;
+  });
+  return diversion.fromIndex < last ? fpl?.dest || "destination" : null;
+}
+
+function computeAlternateDerived(altWaypoints, anchor, fpl, settings) {
+  const time = anchor?.time || "";
+  const fuel = anchor?.fuel || "";
+  return computeDerivedLocked(
+    altWaypoints,
+    {
+      depTimeHHMM: time,
+      depAbsMin: anchor?.absMin ?? null,
+      flightDate: fpl?.flightDate || "",
+      eetByFir: {},
+    },
+    { time, fuel },
+    undefined,
+    settings
+  );
+}
+
+// Re-derive everything that is computed from parsed data + pilot entries.
+function recomputeDerived(next) {
+  const computed = computeDerivedLocked(
+    next.waypoints,
+    next.fpl,
+    next.actualTO,
+    undefined,
+    next.settings
+  );
+  const anchor = alternateAnchor(computed, next.diversion, next.fpl);
+
+  return {
+    ...next,
+    computed,
+    alternate: {
+      ...next.alternate,
+      computed: computeAlternateDerived(
+        next.alternate.waypoints,
+        anchor,
+        next.fpl,
+        next.settings
+      ),
+    },
+  };
+}
+
+function normalizeParsedWaypoints(waypoints) {
+  return (waypoints || []).map((w, i) => ({
+    id: i,
+    ...w,
+    _actualTime: w._actualTime || "",
+    _actualFuel: w._actualFuel || "",
+  }));
+}
+
+function firstOpenIndex(waypoints, after = -1) {
+  const idx = waypoints.findIndex(
+    (w, i) => i > after && !w._skipped && (!w._actualTime || !w._actualFuel)
+  );
+  return idx === -1 ? null : idx;
+}
+
+// ---------------------- Parser corrections (field overrides) ----------------------
+// A corrected cell replaces the parsed value in the row itself (so every derived value
+// follows), and the parsed value is kept in `_parsed[field]`. Typing the parsed value
+// back removes the override.
+function withFieldOverride(w, field, value) {
+  const parsed = { ...(w._parsed || {}) };
+  const original = field in parsed ? parsed[field] : w[field] ?? "";
+  if (value === original) delete parsed[field];
+  else parsed[field] = original;
+  return { ...w, [field]: value, _parsed: parsed };
+}
+
+function isOverridden(w, field) {
+  return !!w?._parsed && field in w._parsed;
+}
+
+// every override, with the raw navlog line it was parsed from (for parser bug reports)
+export function collectOverrides(waypoints, alternateWaypoints = []) {
+  const out = [];
+  const collect = (list, section) =>
+    (list || []).forEach((w, index) =>
+      Object.entries(w._parsed || {}).forEach(([field, parsed]) =>
+        out.push({
+          section,
+          index,
+          ident: w.IDENT,
+          field,
+          parsed,
+          corrected: w[field],
+          raw: w.__raw || "",
+        })
+      )
+    );
+  collect(waypoints, "main");
+  collect(alternateWaypoints, "alternate");
+  return out;
+}
+
+// new main-route sequence: re-derive; the next waypoint is the first open one after
+// the last flown. Refused while diverting: diversion.fromIndex points into these rows.
+function withReroute(state, waypoints, status) {
+  if (state.diversion) return state;
+  let lastFlown = -1;
+  waypoints.forEach((w, i) => {
+    if (w._actualTime || w._actualFuel) lastFlown = i;
+  });
+  return recomputeDerived({
+    ...state,
+    waypoints,
+    modalData: null,
+    insertForm: null,
+    currentWaypoint: firstOpenIndex(waypoints, lastFlown),
+    status,
+  });
+}
+
+// ---------------------- Settings (localStorage) ----------------------
+// User preferences, shared by every session on this device (not part of a snapshot).
+const SETTINGS_KEY = "navlog.settings.v1";
+const DEFAULT_SETTINGS = {
+  magVarDeg: "", // magnetic variation for the MC check, ° E positive; "" = from navlog
+  // reserve policy, X.Y like the T/O fuel entry; "" = from the release fuel summary
+  finalReserveFuel: "",
+  alternateFuel: "",
+  contingencyFuel: "",
+  minDiversionFuel: "",
+  // adequate airports for ETPs besides the navlog's, one "IDENT N55 12.3 W162 43.6" per line
+  etpAirports: "",
+};
+
+function loadSettings() {
+  const stored = readStoredJson(SETTINGS_KEY, {});
+  return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === "object" ? stored : {}) };
+}
+
+// ---------------------- Reducer (INLINE) ----------------------
+export const initialState = {
+  waypoints: [],
+  computed: [],
+  fpl: EMPTY_FPL,
+  briefing: EMPTY_BRIEFING, // weather / NOTAM / performance sections of the release
+  actualTO: { time: "", fuel: "" }, // + fuelEntry when typed in another unit
+  entryFuelUnit: "", // unit actual fuel is typed in; "" = the release fuel unit
+  layout: null,
+  profileId: "",
+  parserMode: "tokens", // "tokens" | "columns" (see parseWaypointsOneRowPerIdent)
+  alternate: { waypoints: [], computed: [], current: null },
+  diversion: null, // { fromIndex, fromIdent, time, fuel }
+  currentWaypoint: null,
+  modalData: null,
+  editMode: false, // navlog cells are inputs (parser corrections)
+  rerouteMode: false, // skip / direct / insert / move controls on the navlog
+  insertForm: null, // { after, IDENT, coord, dist, time, burn } while inserting a waypoint
+  etpAirports: null, // adequate airport idents for ETP / PNR; null = departure + destination
+  positionReport: null, // { index } while the position report of a row is shown
+  resumeOffer: null,
+  sessionKey: null, // localStorage key of this flight's snapshot, see newSessionKey
+  settings: DEFAULT_SETTINGS,
+  history: { past: [], future: [], base: null }, // see withHistory
+  auditLog: [], // append-only, see withHistory
+  status: "Upload Flight Release PDF.",
+};
+
+function navlogReducer(state, action) {
+  switch (action.type) {
+    case "SET_STATUS":
+      return { ...state, status: action.payload };
+
+    case "SET_SETTINGS":
+      return recomputeDerived({
+        ...state,
+        settings: { ...state.settings, ...action.payload },
+      });
+
+    case "SET_PARSED": {
+      const { waypoints, fpl, briefing, layout, profileId, alternateWaypoints, sessionKey } =
+        action.payload;
+
+      const normalized = normalizeParsedWaypoints(waypoints);
+
+      return recomputeDerived({
+        ...state,
+        fpl,
+        briefing: briefing || EMPTY_BRIEFING,
+        layout: layout || null,
+        profileId: profileId || "",
+        waypoints: normalized,
+        alternate: {
+          waypoints: normalizeParsedWaypoints(alternateWaypoints),
+          computed: [],
+          current: null,
+        },
+        diversion: null,
+        etpAirports: null,
+        modalData: null,
+        positionReport: null,
+        currentWaypoint: null,
+        resumeOffer: null,
+        sessionKey: sessionKey || null, // made by the caller: the reducer stays pure
+        status: `Parsed ${normalized.length} waypoints (one row each${
+          profileId ? `, format "${profileId}"` : ""
+        }). Enter Takeoff data.`,
+      });
+    }
+
+    case "SET_TO": {
+      return recomputeDerived({
+        ...state,
+        actualTO: action.payload,
+        currentWaypoint: state.diversion ? null : firstOpenIndex(state.waypoints),
+      });
+    }
+
+    case "RESTORE_SESSION": {
+      const {
+        waypoints,
+        fpl,
+        briefing,
+        actualTO,
+        currentWaypoint,
+        layout,
+        profileId,
+        alternateWaypoints,
+        diversion,
+        entryFuelUnit,
+        etpAirports,
+      } = action.payload;
+
+      const altWaypoints = alternateWaypoints || [];
+
+      return recomputeDerived({
+        ...state,
+        waypoints: waypoints || [],
+        fpl: fpl || initialState.fpl,
+        briefing: briefing || EMPTY_BRIEFING,
+        actualTO: actualTO || initialState.actualTO,
+        entryFuelUnit: entryFuelUnit || "",
+        layout: layout || null,
+        profileId: profileId || "",
+        alternate: {
+          waypoints: altWaypoints,
+          computed: [],
+          current: diversion ? firstOpenIndex(altWaypoints) : null,
+        },
+        diversion: diversion || null,
+        etpAirports: etpAirports || null,
+        currentWaypoint: currentWaypoint ?? null,
+        modalData: null,
+        positionReport: null,
+        resumeOffer: null,
+        sessionKey: action.payload.key || null,
+        status: `Resumed FPL-${fplNumberFromRaw(fpl?.raw) || "?"} (${
+          (waypoints || []).length
+        } waypoints).`,
+      });
+    }
+
+    case "SET_PARSER_MODE":
+      return { ...state, parserMode: action.payload };
+
+    case "DISMISS_RESUME":
+      return { ...state, resumeOffer: null };
+
+    case "OPEN_MODAL":
+      return { ...state, modalData: action.payload };
+
+    case "CLOSE_MODAL":
+      return { ...state, modalData: null };
+
+    case "OPEN_POSITION_REPORT":
+      return { ...state, positionReport: { index: action.payload } };
+
+    case "CLOSE_POSITION_REPORT":
+      return { ...state, positionReport: null };
+
+    case "SET_FUEL_UNIT":
+      return recomputeDerived({ ...state, fpl: fplWithFuelUnit(state.fpl, action.payload) });
+
+    case "SET_ENTRY_FUEL_UNIT":
+      return { ...state, entryFuelUnit: action.payload };
+
+    case "SET_EDIT_MODE":
+      return { ...state, editMode: action.payload };
+
+    case "SET_ETP_AIRPORTS":
+      return { ...state, etpAirports: action.payload };
+
+    // ---- reroute (main route only; see revisedPlan) ----
+    case "SET_REROUTE_MODE":
+      return { ...state, rerouteMode: action.payload, insertForm: null };
+
+    case "OPEN_INSERT_FORM":
+      return { ...state, insertForm: action.payload };
+
+    case "SKIP_WP": {
+      const { index, skipped } = action.payload;
+      return withReroute(
+        state,
+        state.waypoints.map((w, i) => (i === index ? { ...w, _skipped: skipped } : w)),
+        `${skipped ? "Skipped" : "Restored"} ${state.waypoints[index]?.IDENT}.`
+      );
+    }
+
+    case "DIRECT_TO": {
+      // skip every row between the last one flown (or the departure) and the target
+      const { index } = action.payload;
+      let lastFlown = 0;
+      state.waypoints.forEach((w, i) => {
+        if (i < index && (w._actualTime || w._actualFuel)) lastFlown = i;
+      });
+      return withReroute(
+        state,
+        state.waypoints.map((w, i) => (i > lastFlown && i < index ? { ...w, _skipped: true } : w)),
+        `Direct to ${state.waypoints[index]?.IDENT}.`
+      );
+    }
+
+    case "INSERT_WP": {
+      const { after, IDENT, coord, dist, time, burn } = action.payload;
+      const ref = state.waypoints[after] || state.waypoints[after + 1] || {};
+      const inserted = {
+        id: Math.max(-1, ...state.waypoints.map((w) => w.id ?? -1)) + 1,
+        IDENT: String(IDENT || "").trim().toUpperCase(),
+        coord: String(coord || "").trim(),
+        DIST: String(dist || "").trim(),
+        FL: ref.FL || "",
+        G_S: ref.G_S || "",
+        DSTN: ref.DSTN || "", // planned fuel at destination: same on every row
+        _inserted: true,
+        _leg: { dist: dist || "", time: time || "", burn: burn || "" },
+        _actualTime: "",
+        _actualFuel: "",
+      };
+      const waypoints = [...state.waypoints];
+      waypoints.splice(after + 1, 0, inserted);
+      return withReroute(
+        state,
+        waypoints,
+        `Inserted ${inserted.IDENT} after ${state.waypoints[after]?.IDENT || "T/O"}.`
+      );
+    }
+
+    case "MOVE_WP": {
+      const { index, to } = action.payload;
+      const n = state.waypoints.length;
+      if (index < 0 || index >= n || to < 0 || to >= n || index === to) return state;
+      const waypoints = [...state.waypoints];
+      const [moved] = waypoints.splice(index, 1);
+      waypoints.splice(to, 0, moved);
+      return withReroute(state, waypoints, `Moved ${moved.IDENT}.`);
+    }
+
+    case "REMOVE_WP": {
+      // only inserted rows are removed; parsed rows are skipped instead
+      const { index } = action.payload;
+      if (!state.waypoints[index]?._inserted) return state;
+      return withReroute(
+        state,
+        state.waypoints.filter((w, i) => i !== index),
+        `Removed ${state.waypoints[index].IDENT}.`
+      );
+    }
+
+    case "OVERRIDE_FIELD": {
+      const { section = "main", index, field, value } = action.payload;
+      const edit = (list) =>
+        list.map((w, i) => (i === index ? withFieldOverride(w, field, value) : w));
+
+      return recomputeDerived(
+        section === "alternate"
+          ? {
+              ...state,
+              alternate: { ...state.alternate, waypoints: edit(state.alternate.waypoints) },
+            }
+          : { ...state, waypoints: edit(state.waypoints) }
+      );
+    }
+
+    case "SET_ACTUAL_WP": {
+      const { index, time, fuel, fuelEntry = null } = action.payload;
+
+      const waypoints = state.waypoints.map((w, i) =>
+        i === index
+          ? { ...w, _actualTime: time, _actualFuel: fuel, _actualFuelEntry: fuelEntry }
+          : w
+      );
+
+      return recomputeDerived({
+        ...state,
+        waypoints,
+        modalData: null,
+        currentWaypoint: state.diversion ? null : firstOpenIndex(waypoints, index),
+      });
+    }
+
+    case "SET_ACTUAL_ALT_WP": {
+      const { index, time, fuel, fuelEntry = null } = action.payload;
+
+      const altWaypoints = state.alternate.waypoints.map((w, i) =>
+        i === index
+          ? { ...w, _actualTime: time, _actualFuel: fuel, _actualFuelEntry: fuelEntry }
+          : w
+      );
+
+      return recomputeDerived({
+        ...state,
+        alternate: {
+          ...state.alternate,
+          waypoints: altWaypoints,
+          current: firstOpenIndex(altWaypoints, index),
+        },
+        modalData: null,
+      });
+    }
+
+    case "DIVERT": {
+      // anchor on the last main-route waypoint with both actuals, else on takeoff
+      let fromIndex = -1;
+      state.waypoints.forEach((w, i) => {
+        if (w._actualTime && w._actualFuel) fromIndex = i;
+      });
+      const from = state.waypoints[fromIndex];
+
+      const diversion = {
+        fromIndex,
+        fromIdent: from ? from.IDENT : "T/O",
+        time: from ? from._actualTime : state.actualTO.time,
+        fuel: from ? from._actualFuel : state.actualTO.fuel,
+      };
+
+      return recomputeDerived({
+        ...state,
+        diversion,
+        rerouteMode: false,
+        insertForm: null,
+        currentWaypoint: null,
+        alternate: {
+          ...state.alternate,
+          current: firstOpenIndex(state.alternate.waypoints),
+        },
+        status: `Diverting to ${state.fpl?.alt || "alternate"} from ${
+          diversion.fromIdent
+        } @${diversion.time} with ${diversion.fuel}.`,
+      });
+    }
+
+    case "CANCEL_DIVERT":
+      return recomputeDerived({
+        ...state,
+        diversion: null,
+        currentWaypoint: firstOpenIndex(state.waypoints),
+        alternate: { ...state.alternate, current: null },
+        status: "Diversion cancelled.",
+      });
+
+    default:
+      return state;
+  }
+}
+
+// ---------------------- Undo / redo + audit log ----------------------
+// withHistory wraps navlogReducer. After every action it compares the pilot entries
+// (T/O, ATA / AFOB and corrected cells per waypoint, skipped / inserted / moved
+// waypoints, diversion, release fuel unit) with the last recorded ones; when something
+// changed the old entries go on the undo stack and one audit line per changed field is
+// appended. The audit log is never rewritten: an undo is logged as a change of its own.
+// Actions with `draft: true` (keystrokes in the T/O inputs) are applied but not recorded
+// until a non-draft action (Set Takeoff) commits them. A new release (SET_PARSED) or a
+// resumed session starts a fresh history.
+const MAX_UNDO = 100;
+
+// the part of the state undo / redo restores
+function entriesOf(state) {
+  return {
+    waypoints: state.waypoints,
+    actualTO: state.actualTO,
+    alternate: { waypoints: state.alternate.waypoints, current: state.alternate.current },
+    diversion: state.diversion,
+    currentWaypoint: state.currentWaypoint,
+    fpl: state.fpl,
+  };
+}
+
+function fuelAuditText(fuel, fuelEntry) {
+  if (!fuel) return "";
+  return fuelEntry ? `${fuel} (${formatFuelEntry(fuelEntry)})` : String(fuel);
+}
+
+function diversionAuditText(diversion) {
+  return diversion ? `from ${diversion.fromIdent} @${diversion.time} with ${diversion.fuel}` : "";
+}
+
+// field-level changes between two entry snapshots -> [{ target, field, from, to }]
+function entryChanges(prev, next) {
+  const out = [];
+  const push = (target, field, from, to) => {
+    if ((from || "") !== (to || "")) out.push({ target, field, from: from || "", to: to || "" });
+  };
+
+  push("T/O", "Time", prev.actualTO.time, next.actualTO.time);
+  push(
+    "T/O",
+    "Fuel",
+    fuelAuditText(prev.actualTO.fuel, prev.actualTO.fuelEntry),
+    fuelAuditText(next.actualTO.fuel, next.actualTO.fuelEntry)
+  );
+
+  const waypointChanges = (prevList, nextList, prefix) => {
+    const before = new Map(prevList.map((w) => [w.id, w]));
+    const after = new Set(nextList.map((w) => w.id));
+    prevList
+      .filter((w) => !after.has(w.id))
+      .forEach((w) => push(`${prefix}${w.IDENT}`, "Waypoint", "inserted", "removed"));
+
+    const order = (list) =>
+      list
+        .filter((w) => before.has(w.id) && after.has(w.id))
+        .map((w) => w.IDENT)
+        .join(" ");
+    push(`${prefix}Route`, "Sequence", order(prevList), order(nextList));
+
+    nextList.forEach((w) => {
+      const old = before.get(w.id) || {};
+      const target = `${prefix}${w.IDENT}`;
+      if (!before.has(w.id)) {
+        const where = [w.coord, w.DIST && `${w.DIST} NM`].filter(Boolean).join(" ");
+        push(target, "Waypoint", "", `inserted ${where}`.trim());
+      }
+      push(target, "Skipped", old._skipped ? "yes" : "", w._skipped ? "yes" : "");
+      const fields = new Set([
+        ...Object.keys(old._parsed || {}),
+        ...Object.keys(w._parsed || {}),
+      ]);
+      fields.forEach((f) => push(target, f, old[f], w[f]));
+      push(target, "ATA", old._actualTime, w._actualTime);
+      push(
+        target,
+        "AFOB",
+        fuelAuditText(old._actualFuel, old._actualFuelEntry),
+        fuelAuditText(w._actualFuel, w._actualFuelEntry)
+      );
+    });
+  };
+  waypointChanges(prev.waypoints, next.waypoints, "");
+  waypointChanges(prev.alternate.waypoints, next.alternate.waypoints, "ALTN ");
+
+  push(
+    "Diversion",
+    `to ${next.fpl?.alt || "alternate"}`,
+    diversionAuditText(prev.diversion),
+    diversionAuditText(next.diversion)
+  );
+  push(
+    "Release",
+    "Fuel unit",
+    prev.fpl?.fuelUnit && fuelUnit(prev.fpl.fuelUnit).label,
+    next.fpl?.fuelUnit && fuelUnit(next.fpl.fuelUnit).label
+  );
+  return out;
+}
+
+function appendAudit(auditLog, changes, action, at) {
+  return [
+    ...auditLog,
+    ...changes.map((c) => Object.freeze({ at, action, ...c })),
+  ];
+}
+
+function restoreEntries(state, entries) {
+  return recomputeDerived({
+    ...state,
+    ...entries,
+    alternate: { ...state.alternate, ...entries.alternate },
+    modalData: null,
+  });
+}
+
+function withHistory(reducer) {
+  return function historyReducer(state, action) {
+    const at = action.at || new Date().toISOString();
+    const { past, future } = state.history;
+    const base = state.history.base || entriesOf(state);
+
+    if (action.type === "UNDO" || action.type === "REDO") {
+      const undo = action.type === "UNDO";
+      const from = undo ? past : future;
+      if (!from.length) return state;
+
+      const target = from[from.length - 1];
+      const changes = entryChanges(entriesOf(state), target);
+      const next = restoreEntries(state, target);
+      return {
+        ...next,
+        history: {
+          past: undo ? past.slice(0, -1) : [...past, base],
+          future: undo ? [...future, base] : future.slice(0, -1),
+          base: target,
+        },
+        auditLog: appendAudit(state.auditLog, changes, action.type, at),
+        status: `${undo ? "Undone" : "Redone"}: ${
+          changes.map((c) => `${c.target} ${c.field}`).join(", ") || "no change"
+        }.`,
+      };
+    }
+
+    const next = reducer(state, action);
+    if (next === state) return state;
+
+    if (action.type === "SET_PARSED" || action.type === "RESTORE_SESSION") {
+      return {
+        ...next,
+        history: { past: [], future: [], base: entriesOf(next) },
+        auditLog:
+          action.type === "RESTORE_SESSION"
+            ? (action.payload.auditLog || []).map((e) => Object.freeze({ ...e }))
+            : [],
+      };
+    }
+    if (action.draft) return next;
+
+    const changes = entryChanges(base, entriesOf(next));
+    if (!changes.length) return next;
+
+    return {
+      ...next,
+      history: {
+        past: [...past, base].slice(-MAX_UNDO),
+        future: [],
+        base: entriesOf(next),
+      },
+      auditLog: appendAudit(state.auditLog, changes, action.type, at),
+    };
+  };
+}
+
+export const navlogHistoryReducer = withHistory(navlogReducer);
+
+// audit log -> CSV (one line per changed field)
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+export function auditLogCsv(auditLog) {
+  const header = ["time_utc", "action", "target", "field", "from", "to"];
+  const lines = (auditLog || []).map((e) =>
+    [e.at, e.action, e.target, e.field, e.from, e.to].map(csvCell).join(",")
+  );
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+// ---------------------- Session persistence (localStorage) ----------------------
+// Snapshot of the in-flight session (everything the pilot entered + what was parsed),
+// written after every reducer action so a reload / tab eviction can resume mid-flight.
+// `computed` is NOT stored: it is re-derived from waypoints/fpl/actualTO on restore.
+const SESSION_INDEX_KEY = "navlog.sessions.v1";
+const SESSION_ACTIVE_KEY = "navlog.activeSession.v1";
+const SESSION_PREFIX = "navlog.session.v1.";
+const MAX_SESSIONS = 20;
+
+function sessionStorageOrNull() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // storage disabled (private mode / policy)
+  }
+}
+function readStoredJson(key, fallback) {
+  const ls = sessionStorageOrNull();
+  if (!ls) return fallback;
+  try {
+    const v = ls.getItem(key);
+    return v == null ? fallback : JSON.parse(v);
+  } catch {
+    return fallback;
+  }
+}
+function writeStoredJson(key, value) {
+  const ls = sessionStorageOrNull();
+  if (!ls) return false;
+  try {
+    ls.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.error(err); // quota exceeded etc.
+    return false;
+  }
+}
+function removeStored(key) {
+  const ls = sessionStorageOrNull();
+  if (!ls) return;
+  try {
+    ls.removeItem(key);
+  } catch {}
+}
+
+// Session key = FPL number + flight date + an id per upload ("ABC123.2026-03-01.m1x2k9ab"):
+// the same flight number on another day, or two releases without an FPL block, never
+// overwrite each other. The FPL number stays the label (index entry fplNumber).
+export function newSessionKey(fpl) {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  return [fplNumberFromRaw(fpl?.raw) || "UNKNOWN", fpl?.flightDate, id]
+    .filter(Boolean)
+    .join(".");
+}
+
+export function listSessions() {
+  const list = readStoredJson(SESSION_INDEX_KEY, []);
+  return Array.isArray(list) ? list : [];
+}
+
+export function saveSession(state) {
+  const key = state.sessionKey;
+  if (!state.waypoints.length || !key) return;
+
+  const savedAt = new Date().toISOString();
+  const snapshot = {
+    key,
+    savedAt,
+    waypoints: state.waypoints,
+    fpl: state.fpl,
+    briefing: state.briefing,
+    actualTO: state.actualTO,
+    layout: state.layout,
+    profileId: state.profileId,
+    alternateWaypoints: state.alternate.waypoints,
+    diversion: state.diversion,
+    entryFuelUnit: state.entryFuelUnit,
+    etpAirports: state.etpAirports,
+    currentWaypoint: state.currentWaypoint,
+    auditLog: state.auditLog,
+  };
+  if (!writeStoredJson(SESSION_PREFIX + key, snapshot)) return;
+  writeStoredJson(SESSION_ACTIVE_KEY, key);
+
+  const entry = {
+    key,
+    fplNumber: fplNumberFromRaw(state.fpl?.raw),
+    dep: state.fpl?.dep || "",
+    dest: state.fpl?.dest || "",
+    depTimeHHMM: state.fpl?.depTimeHHMM || "",
+    flightDate: state.fpl?.flightDate || "",
+    waypointCount: state.waypoints.length,
+    actualCount: state.waypoints.filter((w) => w._actualTime && w._actualFuel)
+      .length,
+    savedAt,
+  };
+  const rest = listSessions().filter((s) => s.key !== key);
+  const next = [entry, ...rest];
+
+  // drop the oldest snapshots beyond the cap
+  for (const old of next.slice(MAX_SESSIONS)) removeStored(SESSION_PREFIX + old.key);
+  writeStoredJson(SESSION_INDEX_KEY, next.slice(0, MAX_SESSIONS));
+}
+
+export function loadSession(key) {
+  const snap = readStoredJson(SESSION_PREFIX + key, null);
+  if (!snap || !Array.isArray(snap.waypoints)) return null;
+  return snap;
+}
+
+export function deleteSession(key) {
+  removeStored(SESSION_PREFIX + key);
+  writeStoredJson(
+    SESSION_INDEX_KEY,
+    listSessions().filter((s) => s.key !== key)
+  );
+  if (readStoredJson(SESSION_ACTIVE_KEY, null) === key) {
+    removeStored(SESSION_ACTIVE_KEY);
+  }
+}
+
+function clearActiveSession() {
+  removeStored(SESSION_ACTIVE_KEY);
+}
+
+// useReducer lazy init: offer to resume the session that was active on last unload
+export function initNavlogState(initial) {
+  const base = { ...initial, settings: loadSettings() };
+  const key = readStoredJson(SESSION_ACTIVE_KEY, null);
+  if (!key) return base;
+
+  const entry = listSessions().find((s) => s.key === key);
+  if (!entry || !loadSession(key)) return base;
+
+  return {
+    ...base,
+    resumeOffer: entry,
+    status: `Found unfinished session FPL-${entry.fplNumber || "?"}.`,
+  };
+}
+
+// ---------------------- FPL panel ----------------------
+// Decoded (FPL-...) block, collapsed by default; the raw message stays one click away.
+const FLIGHT_RULES = { I: "IFR", V: "VFR", Y: "IFR then VFR", Z: "VFR then IFR" };
+const FLIGHT_TYPES = { S: "scheduled", N: "non-scheduled", G: "general", M: "military", X: "other" };
+
+function FplPanel({ fpl }) {
+  if (!fpl?.raw) return null;
+
+  const item18 = fpl.item18 || {};
+  const item18Keys = [
+    ...ITEM18_INDICATORS.filter((k) => k in item18),
+    ...Object.keys(item18).filter((k) => !ITEM18_INDICATORS.includes(k)),
+  ];
+  const rows = [
+    ["7 Callsign", fpl.callsign],
+    [
+      "8 Rules / type",
+      [FLIGHT_RULES[fpl.flightRules], FLIGHT_TYPES[fpl.flightType]].filter(Boolean).join(", "),
+    ],
+    [
+      "9 Aircraft",
+      fpl.aircraftType
+        ? `${fpl.aircraftCount > 1 ? `${fpl.aircraftCount}× ` : ""}${fpl.aircraftType} / ${
+            fpl.wakeCategory
+          }`
+        : "",
+    ],
+    ["10 Equipment / SUR", [fpl.equipment, fpl.surveillance].filter(Boolean).join(" / ")],
+    ["13 Departure", fpl.dep ? `${fpl.dep} @${fpl.depTimeHHMM}` : ""],
+    [
+      "15 Cruise",
+      fpl.cruiseSpeed
+        ? `${fpl.cruiseSpeed} ${fpl.cruiseLevel} (${describeSpeed(fpl.cruiseSpeed)})`
+        : "",
+    ],
+    ["15 Route", fpl.route],
+    [
+      "16 Destination",
+      fpl.dest
+        ? `${fpl.dest} EET ${fpl.totalEetHHMM || "-"} ALTN ${
+            [fpl.alt, fpl.alt2].filter(Boolean).join(" ") || "-"
+          }`
+        : "",
+    ],
+  ];
+
+  const labelStyle = {
+    ...cellStyle,
+    padding: "4px 10px 4px 0",
+    color: "#555",
+    whiteSpace: "nowrap",
+    verticalAlign: "top",
+  };
+  const valueStyle = { ...cellStyle, ...mono, padding: "4px 0", wordBreak: "break-word" };
+
+  return (
+    <details
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+      }}
+    >
+      <summary style={{ cursor: "pointer" }}>
+        <b>Flight plan</b>{" "}
+        <span style={mono}>
+          {fpl.callsign || "-"} {fpl.aircraftType} {fpl.dep || "-"} → {fpl.dest || "-"}{" "}
+          {fpl.cruiseLevel}
+        </span>
+      </summary>
+      <table style={{ borderCollapse: "collapse", marginTop: 8, fontSize: 13 }}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <td style={labelStyle}>{label}</td>
+              <td style={valueStyle}>{value || "-"}</td>
+            </tr>
+          ))}
+          {item18Keys.map((k) => (
+            <tr key={`18-${k}`}>
+              <td style={labelStyle}>18 {k}/</td>
+              <td style={valueStyle}>{item18[k]}</td>
+            </tr>
+          ))}
+          {fpl.item19 ? (
+            <tr>
+              <td style={labelStyle}>19</td>
+              <td style={valueStyle}>{fpl.item19}</td>
+            </tr>
+          ) : null}
+        </tbody>
+      </table>
+      <div style={{ ...mono, marginTop: 8, fontSize: 11, color: "#777", wordBreak: "break-word" }}>
+        {fpl.raw}
+      </div>
+    </details>
+  );
+}
+
+// ---------------------- Fuel units UI ----------------------
+// Release unit: detected on upload, overridable for the session (re-reads the navlog
+// digits). Entry unit: what the gauges show; entries are converted to the release unit.
+function FuelUnitSelect({ fpl, entryFuelUnit, onRelease, onEntry }) {
+  const release = fuelUnit(fpl?.fuelUnit);
+  const selectStyle = { padding: "8px", fontSize: "14px" };
+  const option = (u) => (
+    <option key={u.id} value={u.id}>
+      {u.label}
+      {u.navlogDecimals ? " (navlog 0.1)" : ""}
+    </option>
+  );
+
+  return (
+    <div>
+      <label style={{ display: "block", marginBottom: "5px" }}>
+        Fuel unit: release{fpl?.fuelUnitDetected ? " (detected)" : ""} / entry
+      </label>
+      <select
+        value={release.id}
+        onChange={(e) => onRelease(e.target.value)}
+        style={selectStyle}
+      >
+        {FUEL_UNITS.map(option)}
+      </select>{" "}
+      <select
+        value={entryFuelUnit || ""}
+        onChange={(e) => onEntry(e.target.value)}
+        style={selectStyle}
+      >
+        <option value="">same as release</option>
+        {FUEL_UNITS.filter((u) => u.id !== release.id).map(option)}
+      </select>
+    </div>
+  );
+}
+
+// ---------------------- Fuel plan UI ----------------------
+const FUEL_PLAN_ROWS = [
+  ["trip", "TRIP"],
+  ["contingency", "CONT"],
+  ["alternate", "ALTN"],
+  ["finalReserve", "FINRES"],
+  ["minDiversion", "MIN DIV"],
+  ["extra", "EXTRA"],
+  ["taxi", "TAXI"],
+  ["takeoff", "TOF"],
+  ["block", "BLOCK"],
+];
+const toFuelCheckColors = { ok: "#2e7d32", low: "#c62828", high: "#8d6e00" };
+
+function FuelPlanPanel({ fuelPlan, actualTO, unit }) {
+  if (!fuelPlan) return null;
+  const check = checkTakeoffFuel(fuelPlan, actualTO);
+  const sum = fuelPlanTakeoffSum(fuelPlan);
+  const cell = { padding: "1px 8px 1px 0", ...mono };
+
+  return (
+    <div style={{ fontSize: 13 }}>
+      <div style={{ fontWeight: "bold", marginBottom: 4 }}>
+        Release fuel plan ({fuelUnit(unit).label})
+      </div>
+      <table style={{ borderCollapse: "collapse" }}>
+        <tbody>
+          {FUEL_PLAN_ROWS.filter(([k]) => fuelPlan[k] != null).map(([k, label]) => (
+            <tr key={k}>
+              <td style={{ ...cell, color: "#555" }}>{label}</td>
+              <td style={{ ...cell, textAlign: "right" }}>{tenthsToUi(fuelPlan[k])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {sum != null && fuelPlan.takeoff != null && Math.abs(sum - fuelPlan.takeoff) > 1 && (
+        <div style={{ color: "#8d6e00", marginTop: 4 }}>
+          TOF {tenthsToUi(fuelPlan.takeoff)} ≠ sum of components {tenthsToUi(sum)}
+        </div>
+      )}
+      {check && (
+        <div style={{ color: toFuelCheckColors[check.status], marginTop: 4, fontWeight: "bold" }}>
+          {check.message}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------------------- Settings UI ----------------------
+const RESERVE_SETTINGS = [
+  { key: "finalReserveFuel", planKey: "finalReserve", label: "Final reserve" },
+  { key: "alternateFuel", planKey: "alternate", label: "Alternate" },
+  { key: "contingencyFuel", planKey: "contingency", label: "Contingency" },
+  { key: "minDiversionFuel", planKey: "minDiversion", label: "Min diversion" },
+];
+
+function SettingsPanel({ settings, fpl, waypoints, onChange }) {
+  const estimate = React.useMemo(() => estimateMagVarDeg(waypoints), [waypoints]);
+  const plan = fpl?.fuelPlan || {};
+  const inputStyle = { width: 70, padding: 6, marginLeft: 6, ...mono };
+
+  return (
+    <details style={{ marginTop: 14, fontSize: 13 }}>
+      <summary style={{ cursor: "pointer", fontWeight: "bold" }}>⚙️ Settings</summary>
+      <div style={{ marginTop: 10, display: "flex", gap: 20, flexWrap: "wrap" }}>
+        <label>
+          Magnetic variation (° E+, W−):
+          <input
+            type="text"
+            inputMode="decimal"
+            value={settings.magVarDeg}
+            placeholder={estimate == null ? "" : estimate.toFixed(0)}
+            onChange={(e) => onChange({ magVarDeg: e.target.value })}
+            style={inputStyle}
+          />
+          <span style={{ marginLeft: 8, color: "#777" }}>
+            {estimate == null
+              ? "blank = estimate from navlog MC"
+              : `blank = ${formatMagVar(estimate)} (from navlog MC)`}
+          </span>
+        </label>
+      </div>
+      <div style={{ marginTop: 10, display: "flex", gap: 20, flexWrap: "wrap" }}>
+        {RESERVE_SETTINGS.map(({ key, planKey, label }) => (
+          <label key={key}>
+            {label}:
+            <input
+              type="text"
+              inputMode="decimal"
+              value={settings[key]}
+              placeholder={plan[planKey] != null ? tenthsToUi(plan[planKey]) : ""}
+              onChange={(e) => onChange({ [key]: e.target.value })}
+              style={inputStyle}
+            />
+          </label>
+        ))}
+      </div>
+      <div style={{ marginTop: 6, color: "#777" }}>
+        Reserve fuel is in the release fuel unit; blank = value from the release fuel
+        summary (shown greyed when found).
+        Min diversion blank = alternate + final reserve.
+      </div>
+      <label style={{ display: "block", marginTop: 10 }}>
+        Adequate airports for ETPs (besides the navlog's), one per line:
+        <textarea
+          rows={3}
+          value={settings.etpAirports}
+          placeholder="PACD N55 12.3 W162 43.6"
+          onChange={(e) => onChange({ etpAirports: e.target.value })}
+          style={{ display: "block", width: 320, marginTop: 4, ...mono }}
+        />
+      </label>
+    </details>
+  );
+}
+
+// ---------------------- Guardrail UI ----------------------
+const flagColors = {
+  error: { background: "#ffebee", color: "#c62828", border: "1px solid #ef9a9a" },
+  warn: { background: "#fff8e1", color: "#8d6e00", border: "1px solid #ffe082" },
+};
+
+function FlagBadge({ flag }) {
+  return (
+    <span
+      title={flag.message}
+      style={{
+        display: "inline-block",
+        marginRight: 6,
+        marginBottom: 2,
+        padding: "2px 6px",
+        borderRadius: 10,
+        fontSize: 11,
+        fontWeight: "bold",
+        ...(flagColors[flag.severity] || flagColors.warn),
+      }}
+    >
+      ⚠ {FLAG_LABELS[flag.type] || flag.type}
+    </span>
+  );
+}
+
+function GuardrailSummary({ rows }) {
+  const items = [];
+  rows.forEach((r, idx) => {
+    for (const f of r._derived?.flags || []) items.push({ idx, ident: r.IDENT, ...f });
+  });
+
+  const errors = items.filter((f) => f.severity === "error").length;
+
+  return (
+    <div
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        background: items.length ? (errors ? "#ffebee" : "#fff8e1") : "#e8f5e9",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+      }}
+    >
+      <b>Guardrails:</b>{" "}
+      {items.length
+        ? `${items.length} flag(s), ${errors} error(s)`
+        : "no issues detected"}
+      {items.length > 0 && (
+        <ul style={{ margin: "8px 0 0", paddingLeft: 18, fontSize: 13 }}>
+          {items.map((f, i) => (
+            <li key={`${f.idx}-${f.type}-${i}`}>
+              <FlagBadge flag={f} />
+              <span style={mono}>{f.ident || `#${f.idx + 1}`}</span>: {f.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ---------------------- Route check UI ----------------------
+// FPL Item 15 vs the navlog waypoint sequence (reconcileRoute in ./navlog/route.js)
+function RouteCheckSummary({ fpl, waypoints }) {
+  const check = useMemo(() => reconcileRoute(fpl, waypoints), [fpl, waypoints]);
+  if (!check.ok) return null;
+
+  const issues = [
+    ...check.navlogOnly.map((p) => ({
+      key: `n-${p.index}`,
+      ident: p.ident,
+      message: "in the navlog, not in the FPL route",
+    })),
+    ...check.routeOnly.map((p, i) => ({
+      key: `r-${i}`,
+      ident: p.ident,
+      message: "in the FPL route, not in the navlog",
+    })),
+    ...check.levelMismatches.map((m) => ({
+      key: `l-${m.index}`,
+      ident: m.ident,
+      message: `navlog FL${m.navlogFL} vs FPL FL${m.fplFL}`,
+    })),
+  ];
+  const matched = check.points.filter((p) => p.status !== "navlogOnly").length;
+
+  return (
+    <div
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        background: issues.length ? "#fff8e1" : "#e8f5e9",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+      }}
+    >
+      <b>Route check:</b> {matched}/{check.points.length} navlog fixes match the FPL
+      route{issues.length ? `, ${issues.length} difference(s)` : ""}
+      {issues.length > 0 && (
+        <ul style={{ margin: "8px 0 0", paddingLeft: 18, fontSize: 13 }}>
+          {issues.map((it) => (
+            <li key={it.key}>
+              <span style={mono}>{it.ident}</span>: {it.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ---------------------- Briefing UI (weather / NOTAM / performance) ----------------------
+// TAFs are read at our computed ETA (updated, else planned) ± this margin: the validity
+// has to cover the whole window, TEMPO / PROB groups inside it are listed.
+const TAF_ETA_MARGIN_MIN = 60;
+const tafStatus = {
+  inside: { color: "#2e7d32", label: "valid at ETA ±1h" },
+  edge: { color: "#8d6e00", label: "ETA ±1h runs past the validity" },
+  before: { color: "#c62828", label: "not yet valid at ETA" },
+  after: { color: "#c62828", label: "expired before ETA" },
+  unknown: { color: "#777", label: "no ETA yet" },
+};
+
+// DD/HHMMZ, the way TAF / NOTAM times read
+function briefingTimeLabel(absMin) {
+  if (absMin == null) return "-";
+  const d = new Date(absMin * 60000);
+  return `${String(d.getUTCDate()).padStart(2, "0")}/${minutesToHHMM(absMin)}Z`;
+}
+
+// the last row of a computed leg: its airport (fallback when the IDENT is not an ICAO code)
+// and its ETA
+function arrivalOf(rows, fallbackStation) {
+  const last = rows?.[rows.length - 1];
+  const d = last?._derived;
+  return {
+    station: /^[A-Z]{4}$/.test(last?.IDENT || "") ? last.IDENT : fallbackStation || "",
+    eta: d ? d.updatedEtaAbsMin ?? d.plannedEtaAbsMin ?? null : null,
+  };
+}
+
+function TafAtEta({ label, station, eta, tafs }) {
+  const taf = tafs.find((t) => t.station === station);
+  const at = tafAtTime(taf, eta, TAF_ETA_MARGIN_MIN);
+  const st = tafStatus[at.status];
+  return (
+    <div style={{ marginTop: 6 }}>
+      <b>{label}</b> <span style={mono}>{station || "-"}</span> ETA{" "}
+      <span style={mono}>{briefingTimeLabel(eta)}</span>
+      {!taf ? (
+        <span style={{ color: "#777" }}> · no TAF in the release</span>
+      ) : (
+        <>
+          {" "}
+          · TAF <span style={mono}>{briefingTimeLabel(taf.from)}–{briefingTimeLabel(taf.to)}</span>{" "}
+          <span style={{ color: st.color, fontWeight: "bold" }}>{st.label}</span>
+          {at.prevailing && (
+            <div style={{ ...mono, paddingLeft: 14 }}>
+              {at.prevailing.kind} {at.prevailing.text}
+            </div>
+          )}
+          {at.temporary.map((p, i) => (
+            <div key={i} style={{ ...mono, paddingLeft: 14, color: "#8d6e00" }}>
+              {p.kind} {briefingTimeLabel(p.from)}–{briefingTimeLabel(p.to)} {p.text}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+function BriefingPanels({ briefing, fpl, computed, alternateComputed }) {
+  const { weather, notams, performance } = briefing || EMPTY_BRIEFING;
+  const perf = [...performance.takeoff, ...performance.landing, ...performance.other];
+  if (!weather.metars.length && !weather.tafs.length && !notams.length && !perf.length) {
+    return null;
+  }
+
+  const dest = arrivalOf(computed, fpl?.dest);
+  const alt = arrivalOf(alternateComputed, fpl?.alt);
+  const depAbsMin = computed?.[0]?._derived?.plannedEtaAbsMin ?? null;
+  // NOTAMs are checked against the time we are at that airport
+  const timeAt = {
+    ...(alt.station ? { [alt.station]: alt.eta } : {}),
+    ...(dest.station ? { [dest.station]: dest.eta } : {}),
+    ...(fpl?.dep ? { [fpl.dep]: depAbsMin } : {}),
+  };
+  const locations = [
+    ...Object.keys(timeAt).reverse(),
+    ...notams.map((n) => n.location).filter((l) => !(l in timeAt)),
+  ].filter((l, i, all) => all.indexOf(l) === i && notams.some((n) => n.location === l));
+
+  const box = {
+    flex: "1 1 320px",
+    padding: 12,
+    background: "white",
+    border: "1px solid #ddd",
+    borderRadius: 8,
+    fontSize: 13,
+  };
+  return (
+    <details open style={{ marginBottom: 14 }}>
+      <summary style={{ cursor: "pointer", fontWeight: "bold" }}>
+        Briefing ({weather.metars.length + weather.tafs.length} weather, {notams.length} NOTAM,{" "}
+        {perf.length} performance)
+      </summary>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginTop: 8 }}>
+        <div style={box}>
+          <b>Weather</b>
+          <TafAtEta label="Destination" station={dest.station} eta={dest.eta} tafs={weather.tafs} />
+          <TafAtEta label="Alternate" station={alt.station} eta={alt.eta} tafs={weather.tafs} />
+          <div style={{ ...mono, marginTop: 8, fontSize: 11, color: "#555" }}>
+            {[...weather.metars, ...weather.tafs].map((r, i) => (
+              <div key={i} style={{ marginTop: 4, wordBreak: "break-word" }}>
+                {r.raw}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {notams.length > 0 && (
+          <div style={box}>
+            <b>NOTAMs</b>
+            {locations.map((loc) => (
+              <div key={loc || "-"} style={{ marginTop: 6 }}>
+                <span style={mono}>{loc || "(no location)"}</span>
+                {loc in timeAt && (
+                  <span style={{ color: "#555" }}> at {briefingTimeLabel(timeAt[loc])}</span>
+                )}
+                <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                  {notams
+                    .filter((n) => n.location === loc)
+                    .map((n) => {
+                      const active = loc in timeAt ? notamActiveAt(n, timeAt[loc]) : null;
+                      return (
+                        <li key={n.id} style={{ color: active === false ? "#999" : undefined }}>
+                          <span style={mono}>{n.id}</span> {n.text}{" "}
+                          <span style={{ color: "#777" }}>
+                            {n.from == null && n.to == null && !n.permanent
+                              ? "(no validity printed)"
+                              : `(${briefingTimeLabel(n.from)} → ${
+                                  n.permanent ? "PERM" : briefingTimeLabel(n.to)
+                                })`}
+                          </span>
+                          {active === true && (
+                            <b style={{ color: "#c62828" }}> active</b>
+                          )}
+                          {active === false && " not active"}
+                        </li>
+                      );
+                    })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {perf.length > 0 && (
+          <div style={box}>
+            <b>Takeoff / landing performance</b>
+            {perf.map((p, i) => (
+              <div key={i} style={{ ...mono, marginTop: 6, wordBreak: "break-word" }}>
+                {p.text}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
+
+// ---------------------- Route map (offline SVG) ----------------------
+// Plots the parsed coordinates on a plain equirectangular projection (x scaled by
+// cos(mid latitude)) so no tile server is needed. FIR rows have no position of their
+// own: their label sits halfway between the neighbouring fixes.
+const MAP_W = 800;
+const MAP_H = 360;
+const MAP_PAD = 40;
+const mapColors = { passed: "#9e9e9e", next: "#f9a825", upcoming: "#1976d2", alt: "#8e24aa" };
+
+function mapPoints(waypoints) {
+  const pts = unwrapLongitudes(
+    waypoints.map((w) => {
+      const ident = String(w.IDENT || "");
+      return ident.startsWith("-") || w._skipped ? null : coordToDecimal(w.coord);
+    })
+  );
+  return waypoints.map((w, idx) => ({ idx, w, p: pts[idx] }));
+}
+
+function RouteMap({ waypoints, currentWaypoint, alternateWaypoints, diversion }) {
+  const main = mapPoints(waypoints);
+  const alt = mapPoints(alternateWaypoints || []);
+  const located = [...main, ...alt].filter((m) => m.p);
+  if (located.length < 2) return null;
+
+  // keep the alternate on the same side of the date line as the main route
+  const refLon = located[0].p.lon;
+  for (const m of alt) {
+    if (!m.p) continue;
+    while (m.p.lon - refLon > 180) m.p = { ...m.p, lon: m.p.lon - 360 };
+    while (m.p.lon - refLon < -180) m.p = { ...m.p, lon: m.p.lon + 360 };
+  }
+
+  const lats = located.map((m) => m.p.lat);
+  const lons = located.map((m) => m.p.lon);
+  const [minLat, maxLat] = [Math.min(...lats), Math.max(...lats)];
+  const [minLon, maxLon] = [Math.min(...lons), Math.max(...lons)];
+  const kx = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = Math.max((maxLon - minLon) * kx, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((MAP_W - 2 * MAP_PAD) / spanX, (MAP_H - 2 * MAP_PAD) / spanY);
+  const offX = (MAP_W - spanX * scale) / 2;
+  const offY = (MAP_H - spanY * scale) / 2;
+  const xy = (p) => [offX + (p.lon - minLon) * kx * scale, offY + (maxLat - p.lat) * scale];
+
+  // the "next" row may be a FIR boundary (no position): mark the next plotted fix instead
+  const nextIdx =
+    currentWaypoint == null
+      ? null
+      : main.find((m) => m.p && m.idx >= currentWaypoint)?.idx ?? null;
+  const status = (m) => {
+    const done = m.w._actualTime && m.w._actualFuel;
+    if (m.idx === nextIdx) return "next";
+    if (done || (currentWaypoint != null && m.idx < currentWaypoint)) return "passed";
+    return "upcoming";
+  };
+
+  const mainLocated = main.filter((m) => m.p);
+  const segments = mainLocated.slice(1).map((m, i) => {
+    const from = mainLocated[i];
+    return { from, to: m, passed: status(m) === "passed" };
+  });
+
+  // FIR boundaries: between the nearest located rows on either side
+  const firLabels = main
+    .filter((m) => String(m.w.IDENT || "").startsWith("-"))
+    .map((m) => {
+      const before = [...mainLocated].reverse().find((x) => x.idx < m.idx);
+      const after = mainLocated.find((x) => x.idx > m.idx);
+      if (!before || !after) return null;
+      const [x1, y1] = xy(before.p);
+      const [x2, y2] = xy(after.p);
+      return { key: m.idx, x: (x1 + x2) / 2, y: (y1 + y2) / 2, label: m.w.IDENT.slice(1) };
+    })
+    .filter(Boolean);
+
+  // alternate leg starts at the destination (the last located main fix)
+  const dest = mainLocated[mainLocated.length - 1];
+  const altPath = [dest, ...alt.filter((m) => m.p)].map((m) => xy(m.p).join(",")).join(" ");
+
+  return (
+    <div
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+      }}
+    >
+      <b>Route map</b>
+      <span style={{ marginLeft: 10, fontSize: 12, color: "#555" }}>
+        <span style={{ color: mapColors.passed }}>● passed</span>{" "}
+        <span style={{ color: mapColors.next }}>● next</span>{" "}
+        <span style={{ color: mapColors.upcoming }}>● upcoming</span>
+        {alt.some((m) => m.p) ? (
+          <span style={{ color: mapColors.alt }}> ┄ alternate</span>
+        ) : null}
+      </span>
+      <svg
+        viewBox={`0 0 ${MAP_W} ${MAP_H}`}
+        style={{ width: "100%", height: "auto", marginTop: 8, background: "#f5f9ff" }}
+        role="img"
+        aria-label="Route map"
+      >
+        {alt.some((m) => m.p) && (
+          <polyline
+            points={altPath}
+            fill="none"
+            stroke={mapColors.alt}
+            strokeWidth={2}
+            strokeDasharray="6 4"
+            opacity={diversion ? 1 : 0.6}
+          />
+        )}
+        {segments.map(({ from, to, passed }) => {
+          const [x1, y1] = xy(from.p);
+          const [x2, y2] = xy(to.p);
+          return (
+            <line
+              key={`seg-${to.idx}`}
+              x1={x1}
+              y1={y1}
+              x2={x2}
+              y2={y2}
+              stroke={passed ? mapColors.passed : mapColors.upcoming}
+              strokeWidth={3}
+            />
+          );
+        })}
+        {firLabels.map((f) => (
+          <text
+            key={`fir-${f.key}`}
+            x={f.x}
+            y={f.y - 8}
+            fontSize={11}
+            fill="#c62828"
+            textAnchor="middle"
+            style={mono}
+          >
+            ⟂ {f.label}
+          </text>
+        ))}
+        {alt
+          .filter((m) => m.p)
+          .map((m) => {
+            const [x, y] = xy(m.p);
+            return (
+              <g key={`alt-${m.idx}`}>
+                <circle cx={x} cy={y} r={4} fill={mapColors.alt} />
+                <text x={x + 7} y={y + 4} fontSize={11} fill={mapColors.alt} style={mono}>
+                  {m.w.IDENT}
+                </text>
+              </g>
+            );
+          })}
+        {mainLocated.map((m) => {
+          const [x, y] = xy(m.p);
+          const st = status(m);
+          return (
+            <g key={`wp-${m.idx}`}>
+              <circle
+                cx={x}
+                cy={y}
+                r={st === "next" ? 7 : 5}
+                fill={mapColors[st]}
+                stroke="#fff"
+                strokeWidth={1.5}
+              />
+              <text
+                x={x + 8}
+                y={y - 6}
+                fontSize={12}
+                fontWeight={st === "next" ? "bold" : "normal"}
+                fill="#333"
+                style={mono}
+              >
+                {m.w.IDENT}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+// ---------------------- Fuel chart ----------------------
+const CHART_W = 800;
+const CHART_H = 260;
+const CHART_PAD = { left: 48, right: 16, top: 16, bottom: 28 };
+const chartColors = {
+  planned: "#9e9e9e",
+  actual: "#1976d2",
+  projected: "#f9a825",
+  estLanding: "#2e7d32",
+};
+// reserve level (see RESERVE_LEVELS) -> threshold line / alert colors
+const reserveColors = {
+  0: { background: "#e8f5e9", color: "#2e7d32" },
+  1: { background: "#fff8e1", color: "#8d6e00" },
+  2: { background: "#ffebee", color: "#c62828" },
+  3: { background: "#b71c1c", color: "#fff" },
+};
+const reserveLineColor = (level) =>
+  level === 3 ? reserveColors[3].background : reserveColors[level].color;
+
+function FuelChart({ trend }) {
+  const { points } = trend;
+  const planned = points.filter((p) => p.plannedAbsMin != null && p.plannedTenths != null);
+  const actual = points.filter((p) => p.timeAbsMin != null && p.afobTenths != null);
+  const projected = points.filter((p) => p.projectedTenths != null);
+  if (planned.length + actual.length < 2) return null;
+
+  const xs = [
+    ...(trend.takeoff ? [trend.takeoff.timeAbsMin] : []),
+    ...planned.map((p) => p.plannedAbsMin),
+    ...actual.map((p) => p.timeAbsMin),
+    ...projected.map((p) => p.timeAbsMin),
+  ];
+  const ys = [
+    ...(trend.takeoff ? [trend.takeoff.fuelTenths] : []),
+    ...planned.map((p) => p.plannedTenths),
+    ...actual.map((p) => p.afobTenths),
+    ...projected.map((p) => p.projectedTenths),
+    trend.estLandingTenths,
+    ...trend.policy.thresholds.map((t) => t.tenths),
+  ].filter((v) => v != null);
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const [minY, maxY] = [Math.min(0, ...ys), Math.max(...ys)];
+  const w = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const h = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const x = (t) => CHART_PAD.left + ((t - minX) / Math.max(maxX - minX, 1)) * w;
+  const y = (v) => CHART_PAD.top + (1 - (v - minY) / Math.max(maxY - minY, 1)) * h;
+  const path = (pts) => pts.map(([t, v]) => `${x(t)},${y(v)}`).join(" ");
+
+  // actual line starts at T/O; the projection continues from the latest figure
+  const actualPath = [
+    ...(trend.takeoff ? [[trend.takeoff.timeAbsMin, trend.takeoff.fuelTenths]] : []),
+    ...actual.map((p) => [p.timeAbsMin, p.afobTenths]),
+  ];
+  const projPath = [
+    ...actualPath.slice(-1),
+    ...projected.map((p) => [p.timeAbsMin, p.projectedTenths]),
+  ];
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((k) => minY + k * (maxY - minY));
+
+  const threshold = (value, color, label) =>
+    value == null ? null : (
+      <g key={label}>
+        <line
+          x1={CHART_PAD.left}
+          x2={CHART_W - CHART_PAD.right}
+          y1={y(value)}
+          y2={y(value)}
+          stroke={color}
+          strokeDasharray="4 4"
+        />
+        <text
+          x={CHART_W - CHART_PAD.right}
+          y={y(value) - 4}
+          fontSize={11}
+          fill={color}
+          textAnchor="end"
+        >
+          {label} {tenthsToUi(value)}
+        </text>
+      </g>
+    );
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_W} ${CHART_H}`}
+      style={{ width: "100%", height: "auto", marginTop: 8, background: "#fafafa" }}
+      role="img"
+      aria-label="Fuel chart"
+    >
+      {yTicks.map((v) => (
+        <g key={`y-${v}`}>
+          <line
+            x1={CHART_PAD.left}
+            x2={CHART_W - CHART_PAD.right}
+            y1={y(v)}
+            y2={y(v)}
+            stroke="#e0e0e0"
+          />
+          <text
+            x={CHART_PAD.left - 6}
+            y={y(v) + 4}
+            fontSize={11}
+            fill="#555"
+            textAnchor="end"
+            style={mono}
+          >
+            {tenthsToUi(Math.round(v))}
+          </text>
+        </g>
+      ))}
+      <text x={CHART_PAD.left} y={CHART_H - 8} fontSize={11} fill="#555" style={mono}>
+        {minutesToHHMM(minX)}
+      </text>
+      <text
+        x={CHART_W - CHART_PAD.right}
+        y={CHART_H - 8}
+        fontSize={11}
+        fill="#555"
+        textAnchor="end"
+        style={mono}
+      >
+        {minutesToHHMM(maxX)}
+      </text>
+
+      {threshold(trend.estLandingTenths, chartColors.estLanding, "EST LANDING")}
+      {trend.policy.thresholds.map((t) =>
+        threshold(t.tenths, reserveLineColor(t.level), t.label)
+      )}
+
+      <polyline
+        points={path(planned.map((p) => [p.plannedAbsMin, p.plannedTenths]))}
+        fill="none"
+        stroke={chartColors.planned}
+        strokeWidth={2}
+      />
+      {planned.map((p) => (
+        <text
+          key={`pl-${p.idx}`}
+          x={x(p.plannedAbsMin)}
+          y={y(p.plannedTenths) - 6}
+          fontSize={10}
+          fill="#777"
+          textAnchor="middle"
+          style={mono}
+        >
+          {p.ident}
+        </text>
+      ))}
+      {projPath.length > 1 && (
+        <polyline
+          points={path(projPath)}
+          fill="none"
+          stroke={chartColors.projected}
+          strokeWidth={2}
+          strokeDasharray="6 4"
+        />
+      )}
+      {actualPath.length > 1 && (
+        <polyline
+          points={path(actualPath)}
+          fill="none"
+          stroke={chartColors.actual}
+          strokeWidth={2}
+        />
+      )}
+      {actual.map((p) => (
+        <circle
+          key={`af-${p.idx}`}
+          cx={x(p.timeAbsMin)}
+          cy={y(p.afobTenths)}
+          r={4}
+          fill={chartColors.actual}
+        />
+      ))}
+    </svg>
+  );
+}
+
+function FuelTrendPanel({ trend, unit }) {
+  const fmtRate = (v) => (v == null ? "-" : `${tenthsToUi(v)}/h`);
+  const diff = (a, b) => (a == null || b == null ? "" : ` (${signedTenthsToUi(a - b)})`);
+  const destColor = trend.reserveLevel
+    ? reserveLineColor(trend.reserveLevel)
+    : trend.belowEstLanding
+    ? "#8d6e00"
+    : "#333";
+
+  return (
+    <div
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        background: "#fff",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+      }}
+    >
+      <b>Fuel trend ({fuelUnit(unit).label})</b>
+      <span style={{ marginLeft: 10, fontSize: 12, color: "#555" }}>
+        <span style={{ color: chartColors.planned }}>━ planned FRMG</span>{" "}
+        <span style={{ color: chartColors.actual }}>● AFOB</span>{" "}
+        <span style={{ color: chartColors.projected }}>┄ projected</span>
+      </span>
+      <div style={{ marginTop: 6, fontSize: 13, ...mono }}>
+        Burn {fmtRate(trend.burnRateTenthsPerHour)} (plan{" "}
+        {fmtRate(trend.plannedBurnRateTenthsPerHour)})
+        {trend.dest && trend.projectedDestTenths != null ? (
+          <span style={{ marginLeft: 16, color: destColor, fontWeight: "bold" }}>
+            {trend.dest.afobTenths != null ? "Landed" : "Projected"} at {trend.dest.ident}:{" "}
+            {tenthsToUi(trend.projectedDestTenths)}
+            {trend.estLandingTenths != null &&
+              ` vs EST LANDING ${tenthsToUi(trend.estLandingTenths)}${diff(
+                trend.projectedDestTenths,
+                trend.estLandingTenths
+              )}`}
+            {trend.minimumTenths != null &&
+              ` · min diversion ${tenthsToUi(trend.minimumTenths)}${diff(
+                trend.projectedDestTenths,
+                trend.minimumTenths
+              )}`}
+          </span>
+        ) : null}
+      </div>
+      <FuelChart trend={trend} />
+    </div>
+  );
+}
+
+// Escalating landing-fuel alert: the worse of the latest AFOB entry's EFOA and the
+// trend projection, against the reserve policy thresholds.
+function ReserveAlert({ rows, trend }) {
+  const { policy } = trend;
+  if (!policy.thresholds.length) return null;
+
+  const latest = [...rows].reverse().find((r) => r._actualFuel && r._derived?.efoaTenths != null);
+  const entryTenths = latest ? Math.round(latest._derived.efoaTenths * 10) : null;
+  const entryLevel = reserveBreach(entryTenths, policy);
+  const level = Math.max(entryLevel ?? 0, trend.reserveLevel ?? 0);
+  if (entryLevel == null && trend.reserveLevel == null) return null;
+
+  const t = reserveThreshold(policy, level);
+  const headline = [
+    "Landing fuel above all reserve minimums",
+    "CAUTION: landing fuel into contingency",
+    "WARNING: below minimum diversion fuel, alternate no longer covered",
+    "MAYDAY FUEL: landing fuel below final reserve",
+  ][level];
+
+  return (
+    <div
+      role={level ? "alert" : undefined}
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        border: "1px solid #ddd",
+        borderRadius: 8,
+        fontWeight: level >= 2 ? "bold" : "normal",
+        ...reserveColors[level],
+      }}
+    >
+      <b>{headline}</b>
+      <div style={{ marginTop: 4, fontSize: 13, ...mono }}>
+        {latest && `EFOA at ${latest.IDENT}: ${tenthsToUi(entryTenths)}`}
+        {trend.projectedDestTenths != null &&
+          ` · trend at ${trend.dest.ident}: ${tenthsToUi(trend.projectedDestTenths)}`}
+        {t && ` · ${t.label.toLowerCase()} ${tenthsToUi(t.tenths)}`}
+      </div>
+      <div style={{ marginTop: 4, fontSize: 12 }}>
+        {policy.thresholds
+          .map((x) => `${x.label} ${tenthsToUi(x.tenths)}`)
+          .join(" · ")}
+      </div>
+    </div>
+  );
+}
+
+// ---------------------- Audit log UI ----------------------
+function AuditLogPanel({ auditLog, onDownload }) {
+  const entries = auditLog || [];
+  return (
+    <details style={{ marginTop: 18, fontSize: 13 }}>
+      <summary style={{ cursor: "pointer", fontWeight: "bold" }}>
+        📝 Audit log ({entries.length} change{entries.length === 1 ? "" : "s"})
+      </summary>
+      <div style={{ margin: "8px 0" }}>
+        <button onClick={onDownload} disabled={!entries.length}>
+          Download CSV
+        </button>
+        <span style={{ marginLeft: 10, color: "#555" }}>
+          Every pilot entry with its previous value; undo / redo are logged too. Also
+          appended to the annotated PDF.
+        </span>
+      </div>
+      {entries.length > 0 && (
+        <table style={{ borderCollapse: "collapse", background: "white", ...mono }}>
+          <thead>
+            <tr style={{ backgroundColor: "#555", color: "white" }}>
+              {["UTC", "Action", "Where", "Field", "From", "To"].map((h) => (
+                <th key={h} style={{ ...headerStyle, padding: "6px 10px" }}>
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => (
+              <tr key={i} style={{ borderBottom: "1px solid #eee" }}>
+                <td style={{ padding: "4px 10px" }}>{e.at.slice(0, 19).replace("T", " ")}</td>
+                <td style={{ padding: "4px 10px" }}>{e.action}</td>
+                <td style={{ padding: "4px 10px" }}>{e.target}</td>
+                <td style={{ padding: "4px 10px" }}>{e.field}</td>
+                <td style={{ padding: "4px 10px", color: "#888" }}>{e.from || "-"}</td>
+                <td style={{ padding: "4px 10px" }}>{e.to || "-"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
+
+// ---------------------- Parser corrections UI ----------------------
+const overriddenCellStyle = { background: "#ffe0b2" };
+
+// A navlog cell; in edit mode one input per field (TAS / MAC share a cell). Corrected
+// cells are highlighted, with the parsed value in the tooltip. `row` is the waypoint
+// (parsed fields + _parsed), children the normal display.
+function NavlogCell({ row, fields, editing, onEdit, title, children }) {
+  const overridden = fields.filter((f) => isOverridden(row, f));
+  const parsedTitle = overridden
+    .map((f) => `${f} parsed: "${row._parsed[f]}"`)
+    .join("\n");
+
+  return (
+    <td
+      style={{ ...cellStyle, ...(overridden.length ? overriddenCellStyle : null) }}
+      title={[title, parsedTitle].filter(Boolean).join("\n") || undefined}
+    >
+      {editing && row
+        ? fields.map((f) => (
+            <input
+              key={`${f}-${row[f] ?? ""}`} // re-mount after undo / revert
+              defaultValue={row[f] ?? ""}
+              aria-label={f}
+              placeholder={f}
+              onBlur={(e) => {
+                if (e.target.value !== (row[f] ?? "")) onEdit(f, e.target.value);
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") e.target.blur();
+              }}
+              style={{
+                width: `${Math.max(4, String(row[f] ?? "").length + 1)}ch`,
+                padding: 2,
+                fontSize: 12,
+                ...mono,
+                ...(isOverridden(row, f) ? overriddenCellStyle : null),
+              }}
+            />
+          ))
+        : children}
+    </td>
+  );
+}
+
+// ---------------------- Critical points UI ----------------------
+const criticalPointColor = { ETP: "#00838f", PNR: "#ad1457" };
+
+function criticalPointLabel(p) {
+  return p.kind === "ETP" ? `ETP ${p.from}/${p.to}` : `PNR ${p.to}`;
+}
+
+function criticalPointNote(p) {
+  const burn = p.fuelToAirportTenths == null ? "" : `, burn ${tenthsToUi(p.fuelToAirportTenths)}`;
+  return p.kind === "ETP"
+    ? `${p.minutesToAirport} min to ${p.from} or ${p.to}${burn}`
+    : `last point to return to ${p.to}: ${p.minutesToAirport} min${burn} + final reserve`;
+}
+
+function CriticalPointsPanel({ options, chosen, waypoints, points, dispatch }) {
+  if (options.length < 2) return null;
+  const selected = chosenAdequateAirports(options, waypoints, chosen).map((a) => a.ident);
+  const toggle = (ident) => {
+    const next = selected.includes(ident)
+      ? selected.filter((x) => x !== ident)
+      : [...selected, ident];
+    dispatch({ type: "SET_ETP_AIRPORTS", payload: next });
+  };
+
+  return (
+    <div
+      style={{
+        marginBottom: 14,
+        padding: 12,
+        background: "#e0f7fa",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+        fontSize: 13,
+      }}
+    >
+      <b>ETP / PNR</b> between adequate airports{" "}
+      {chosen == null && <span style={{ color: "#555" }}>(default: departure + destination)</span>}
+      <div style={{ marginTop: 6, display: "flex", gap: 14, flexWrap: "wrap" }}>
+        {options.map((a) => (
+          <label key={a.ident} title={a.coord}>
+            <input
+              type="checkbox"
+              checked={selected.includes(a.ident)}
+              onChange={() => toggle(a.ident)}
+            />{" "}
+            <span style={mono}>{a.ident}</span>
+          </label>
+        ))}
+        {chosen != null && (
+          <button onClick={() => dispatch({ type: "SET_ETP_AIRPORTS", payload: null })}>
+            Default
+          </button>
+        )}
+      </div>
+      <div style={{ marginTop: 6, color: "#555" }}>
+        {points.length
+          ? points.map((p) => (
+              <div key={criticalPointLabel(p)}>
+                <b style={{ color: criticalPointColor[p.kind] }}>{criticalPointLabel(p)}</b>{" "}
+                <span style={mono}>{decimalToCoord(p.pos)}</span> · {criticalPointNote(p)}
+              </div>
+            ))
+          : "No ETP / PNR on the route for these airports."}
+        {selected.length > 0 && !points.some((p) => p.kind === "PNR") && (
+          <div>No PNR: {selected[0]} stays within reach (final reserve kept) along the route.</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// a critical point as a navlog row (not part of the waypoints: no entries, no export)
+function CriticalPointRow({ point, fromIdent, fpl }) {
+  const color = criticalPointColor[point.kind];
+  const absMin = point.absMin == null ? null : Math.round(point.absMin);
+  return (
+    <tr style={{ backgroundColor: "#f1fbfc", borderBottom: "2px solid #ddd", color }}>
+      <td style={cellStyle}>
+        <strong>{criticalPointLabel(point)}</strong>
+        <div style={{ ...mono, fontSize: 11 }}>{decimalToCoord(point.pos)}</div>
+      </td>
+      <td style={cellStyle} title={`from ${fromIdent}`}>
+        {Math.round(point.legNm)}
+      </td>
+      <td colSpan={6} style={{ ...cellStyle, fontSize: 12 }}>
+        {criticalPointNote(point)}
+      </td>
+      <td style={cellStyle} title={absMinToUtcLabel(absMin, fpl)}>
+        {absMin == null
+          ? "-"
+          : etaWithDayMarker(minutesToHHMM(absMin), dayOffsetOf(absMin, fpl))}
+      </td>
+      <td colSpan={2}></td>
+      <td style={cellStyle}>
+        {point.fuelTenths == null ? "-" : tenthsToUi(Math.round(point.fuelTenths))}
+      </td>
+      <td colSpan={3}></td>
+    </tr>
+  );
+}
+
+// ---------------------- Position report UI ----------------------
+const REPORT_FORMATS = [
+  ["Position report", formatPositionReport],
+  ["CPDLC preview", formatCpdlcPositionReport],
+  ["ADS-C preview", formatAdsCReport],
+];
+
+function PositionReportModal({ report, onCopy, onClose }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(0,0,0,0.5)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 1000,
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "white",
+          padding: "30px",
+          borderRadius: "8px",
+          boxShadow: "0 4px 6px rgba(0,0,0,0.1)",
+          minWidth: "420px",
+          maxWidth: "560px",
+        }}
+      >
+        <h3>Position report {report.position}</h3>
+        {!report.timeIsActual && (
+          <div style={{ marginBottom: 10, fontSize: 12, color: "#c62828" }}>
+            No ATA entered here yet: the time is the updated ETA.
+          </div>
+        )}
+        {REPORT_FORMATS.map(([label, format]) => {
+          const text = format(report);
+          return (
+            <div key={label} style={{ marginBottom: 14 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12 }}>
+                <b>{label}</b>
+                <button onClick={() => onCopy(text, label)}>Copy</button>
+              </div>
+              <pre
+                style={{
+                  whiteSpace: "pre-wrap",
+                  fontSize: 12,
+                  margin: "4px 0 0",
+                  padding: 10,
+                  background: "#f7f7f7",
+                  border: "1px solid #eee",
+                  borderRadius: 8,
+                  ...mono,
+                }}
+              >
+                {text}
+              </pre>
+            </div>
+          );
+        })}
+        <div style={{ display: "flex", justifyContent: "flex-end" }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: "10px 20px",
+              backgroundColor: "#757575",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: "pointer",
+            }}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-    case "SET_ACTUAL_WP": {
-      const { index, time, fuel } = action.payload;
+// ---------------------- Reroute UI ----------------------
+const rerouteBtn = {
+  padding: "2px 6px",
+  margin: "0 2px 2px 0",
+  fontSize: 11,
+  border: "1px solid #bbb",
+  borderRadius: 3,
+  background: "white",
+  cursor: "pointer",
+};
 
-      const waypoints = state.waypoints.map((w, i) =>
-        i === index ? { ...w, _actualTime: time, _actualFuel: fuel } : w
-      );
+// per-row controls in reroute mode; flown rows (with an ATA / AFOB) stay put
+function RerouteControls({ w, index, count, dispatch }) {
+  const flown = !!(w._actualTime || w._actualFuel);
+  const move = (to) => dispatch({ type: "MOVE_WP", payload: { index, to } });
+  return (
+    <div style={{ marginTop: 4 }}>
+      {!flown && (
+        <button
+          style={rerouteBtn}
+          onClick={() =>
+            dispatch({ type: "SKIP_WP", payload: { index, skipped: !w._skipped } })
+          }
+        >
+          {w._skipped ? "Restore" : "Skip"}
+        </button>
+      )}
+      {!flown && !w._skipped && (
+        <button
+          style={rerouteBtn}
+          title="Skip every waypoint not flown yet before this one"
+          onClick={() => dispatch({ type: "DIRECT_TO", payload: { index } })}
+        >
+          Direct
+        </button>
+      )}
+      {!flown && index > 0 && (
+        <button style={rerouteBtn} onClick={() => move(index - 1)}>
+          ↑
+        </button>
+      )}
+      {!flown && index < count - 1 && (
+        <button style={rerouteBtn} onClick={() => move(index + 1)}>
+          ↓
+        </button>
+      )}
+      <button
+        style={rerouteBtn}
+        title="Insert a waypoint after this one"
+        onClick={() =>
+          dispatch({
+            type: "OPEN_INSERT_FORM",
+            payload: { after: index, IDENT: "", coord: "", dist: "", time: "", burn: "" },
+          })
+        }
+      >
+        + after
+      </button>
+      {w._inserted && !flown && (
+        <button
+          style={rerouteBtn}
+          onClick={() => dispatch({ type: "REMOVE_WP", payload: { index } })}
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+}
 
-      const nextComputed = computeDerivedLocked(
-        waypoints,
-        state.fpl,
-        state.actualTO
-      );
+// new waypoint: coordinate and / or leg distance; time and burn are estimated when blank
+function InsertWaypointForm({ form, afterIdent, fuelLabel, dispatch }) {
+  const set = (k) => (e) =>
+    dispatch({ type: "OPEN_INSERT_FORM", payload: { ...form, [k]: e.target.value } });
+  const coordOk = !form.coord.trim() || coordToDecimal(form.coord) != null;
+  const canInsert =
+    !!form.IDENT.trim() && coordOk && (!!coordToDecimal(form.coord) || !!form.dist.trim());
+
+  const fields = [
+    ["IDENT", "IDENT", "ELMER", 80],
+    ["coord", "Coordinate", "N59 50.0 W141 20.0", 170],
+    ["dist", "Leg DIST (NM)", "from coordinates", 110],
+    ["time", "Leg time (min)", "from G/S", 100],
+    ["burn", `Leg burn (${fuelLabel})`, "at planned rate", 110],
+  ];
+  return (
+    <div
+      style={{
+        margin: "10px 0",
+        padding: 10,
+        background: "#f3e5f5",
+        border: "1px solid #ce93d8",
+        borderRadius: 8,
+        fontSize: 13,
+      }}
+    >
+      <b>Insert after {afterIdent || "T/O"}</b>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 6 }}>
+        {fields.map(([k, label, placeholder, width]) => (
+          <label key={k}>
+            {label}
+            <br />
+            <input
+              value={form[k]}
+              placeholder={placeholder}
+              onChange={set(k)}
+              style={{ width, padding: 4, ...mono }}
+            />
+          </label>
+        ))}
+      </div>
+      {!coordOk && <div style={{ color: "#c62828" }}>Coordinate format: N59 50.0 W141 20.0</div>}
+      <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
+        <button
+          disabled={!canInsert}
+          onClick={() => dispatch({ type: "INSERT_WP", payload: form })}
+        >
+          Insert
+        </button>
+        <button onClick={() => dispatch({ type: "OPEN_INSERT_FORM", payload: null })}>
+          Cancel
+        </button>
+        <span style={{ color: "#555" }}>
+          Needs a coordinate or a leg distance. The legs into and out of it are re-timed.
+        </span>
+      </div>
+    </div>
+  );
+}
 
-      const nextIdx = waypoints.findIndex(
-        (w, i) => i > index && (!w._actualTime || !w._actualFuel)
-      );
+// ---------------------- Alternate leg UI ----------------------
+function AlternateLegTable({
+  alternate,
+  diversion,
+  fpl,
+  altIdent,
+  plannedFrom,
+  canEnter,
+  editing,
+  onEnter,
+  onEdit,
+  onDivert,
+  onCancelDivert,
+}) {
+  const btn = (bg, enabled = true) => ({
+    padding: "6px 12px",
+    backgroundColor: bg,
+    color: "white",
+    border: "none",
+    borderRadius: "4px",
+    cursor: enabled ? "pointer" : "not-allowed",
+    opacity: enabled ? 1 : 0.5,
+  });
 
-      return {
-        ...state,
-        waypoints,
-        computed: nextComputed,
-        modalData: null,
-        currentWaypoint: nextIdx === -1 ? null : nextIdx,
-      };
-    }
+  return (
+    <details
+      open={!!diversion}
+      style={{
+        marginTop: 18,
+        padding: 12,
+        background: diversion ? "#fff3e0" : "#fafafa",
+        border: "1px solid #ddd",
+        borderRadius: 8,
+      }}
+    >
+      <summary style={{ cursor: "pointer", fontWeight: "bold" }}>
+        Alternate {altIdent ? <span style={mono}>{altIdent}</span> : null} (
+        {alternate.waypoints.length} waypoints)
+        {diversion ? (
+          <span style={{ color: "#e65100" }}>
+            {" "}
+            — DIVERTING from <span style={mono}>{diversion.fromIdent}</span> @
+            <span style={mono}>{diversion.time}</span>
+          </span>
+        ) : null}
+      </summary>
+
+      <div style={{ margin: "10px 0", display: "flex", gap: 10, alignItems: "center" }}>
+        {diversion ? (
+          <button onClick={onCancelDivert} style={btn("#757575")}>
+            Cancel divert
+          </button>
+        ) : (
+          <button onClick={onDivert} disabled={!canEnter} style={btn("#e65100", canEnter)}>
+            ↪ Divert
+          </button>
+        )}
+        <span style={{ fontSize: 12, color: "#555" }}>
+          {plannedFrom ? (
+            <>
+              Planned from <span style={mono}>{plannedFrom}</span>: times / fuel of the
+              alternate plan added onto the last actual entry, not a leg flown from there.
+            </>
+          ) : diversion ? (
+            "Times / fuel propagate from the last actual entry."
+          ) : (
+            "Projection from the updated ETA / fuel at destination."
+          )}
+        </span>
+      </div>
 
-    default:
-      return state;
-  }
+      <div style={{ overflowX: "auto" }}>
+        <table
+          style={{ width: "100%", borderCollapse: "collapse", background: "white" }}
+        >
+          <thead>
+            <tr style={{ backgroundColor: "#555", color: "white" }}>
+              <th style={headerStyle}>IDENT</th>
+              <th style={headerStyle}>DIST</th>
+              <th style={headerStyle}>FL</th>
+              <th style={headerStyle}>T/TME</th>
+              <th style={headerStyle}>TBO</th>
+              <th style={headerStyle}>ETA</th>
+              <th style={headerStyle}>ATA</th>
+              <th style={headerStyle}>UPD FUEL</th>
+              <th style={headerStyle}>AFOB</th>
+              <th style={headerStyle}>DSTN</th>
+              <th style={headerStyle}>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {alternate.computed.map((wp, idx) => {
+              const w = alternate.waypoints[idx];
+              const hasActual = w?._actualTime && w?._actualFuel;
+              const isNext = diversion && idx === alternate.current;
+              const flags = wp._derived?.flags || [];
+              const cell = (fields, shown = wp[fields[0]] || "-") => (
+                <NavlogCell
+                  row={w}
+                  fields={fields}
+                  editing={editing}
+                  onEdit={(field, value) => onEdit(idx, field, value)}
+                >
+                  {shown}
+                </NavlogCell>
+              );
+
+              return (
+                <tr
+                  key={`${wp.IDENT}-${idx}`}
+                  style={{
+                    backgroundColor: isNext ? "#fff9c4" : "white",
+                    borderBottom: "1px solid #ddd",
+                  }}
+                >
+                  {cell(
+                    ["IDENT", "coord"],
+                    <>
+                      <strong>{wp.IDENT || "-"}</strong>
+                      <div style={{ fontSize: 11, color: "#777" }}>{wp.coord}</div>
+                      {flags.map((f, i) => (
+                        <FlagBadge key={`${f.type}-${i}`} flag={f} />
+                      ))}
+                    </>
+                  )}
+                  {cell(["DIST"])}
+                  {cell(["FL"])}
+                  {cell(["T_TME"])}
+                  {cell(
+                    ["TBO"],
+                    wp._derived?.plannedBurnTenths
+                      ? tenthsToUi(wp._derived.plannedBurnTenths)
+                      : "-"
+                  )}
+                  <td
+                    style={cellStyle}
+                    title={absMinToUtcLabel(wp._derived?.plannedEtaAbsMin, fpl)}
+                  >
+                    {wp._derived?.plannedETAHHMM
+                      ? etaWithDayMarker(
+                          wp._derived.plannedETAHHMM,
+                          wp._derived.plannedDayOffset
+                        )
+                      : "-"}
+                  </td>
+                  <td
+                    style={cellStyle}
+                    title={absMinToUtcLabel(wp._derived?.updatedEtaAbsMin, fpl)}
+                  >
+                    {hasActual && wp._derived?.updatedETAHHMM
+                      ? etaWithDayMarker(
+                          wp._derived.updatedETAHHMM,
+                          wp._derived.updatedDayOffset
+                        )
+                      : "-"}
+                  </td>
+                  <td style={cellStyle}>
+                    {wp._derived?.updatedFuelTenths > 0
+                      ? tenthsToUi(wp._derived.updatedFuelTenths)
+                      : "-"}
+                  </td>
+                  <td
+                    style={cellStyle}
+                    title={formatFuelEntry(w?._actualFuelEntry) || undefined}
+                  >
+                    {w?._actualFuel || "-"}
+                  </td>
+                  {cell(["DSTN"])}
+                  <td style={cellStyle}>
+                    <button
+                      onClick={() => onEnter(idx)}
+                      disabled={!diversion}
+                      style={btn(isNext ? "#2196F3" : "#757575", !!diversion)}
+                    >
+                      {hasActual ? "✏️ Edit" : "➕ Enter"}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
 }
 
 // ---------------------- Component ----------------------
 export default function NavlogTracker() {
   
   const fileRef = useRef(null);
+  const attachRef = useRef(null);
+
+  // original release bytes for the annotated export (kept out of state / storage: too large)
+  const pdfBytesRef = useRef(null);
 
   // ✅ useReducer inline
-  const [state, dispatch] = React.useReducer(navlogReducer, initialState);
+  const [state, dispatch] = React.useReducer(
+    navlogHistoryReducer,
+    initialState,
+    initNavlogState
+  );
+
+  const [sessions, setSessions] = React.useState(listSessions);
+
+  React.useEffect(() => {
+    writeStoredJson(SETTINGS_KEY, state.settings);
+  }, [state.settings]);
+
+  // ✅ snapshot after every action (reducer output), so reload / sleep can resume
+  React.useEffect(() => {
+    if (!state.waypoints.length) return;
+    saveSession(state);
+    setSessions(listSessions());
+  }, [state]);
 
   // (Optional) keep memo stable if you later add derived selectors
   const computed = state.computed;
+  const fuelTrend = React.useMemo(
+    () => computeFuelTrend(computed, state.fpl, state.actualTO, state.settings),
+    [computed, state.fpl, state.actualTO, state.settings]
+  );
+
+  const etpOptions = useMemo(
+    () => adequateAirportOptions(state.waypoints, state.alternate.waypoints, state.settings),
+    [state.waypoints, state.alternate.waypoints, state.settings]
+  );
+  const criticalPts = useMemo(() => computeCriticalPoints(state), [state]);
+
+  const positionReport =
+    state.positionReport && positionReportAt(computed, state.positionReport.index, state.fpl);
+  const copyReport = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      dispatch({ type: "SET_STATUS", payload: `${label} copied.` });
+    } catch (err) {
+      dispatch({
+        type: "SET_STATUS",
+        payload: "Clipboard not available: select the report text and copy it.",
+      });
+    }
+  };
+
+  const releaseUnit = fuelUnit(state.fpl?.fuelUnit);
+  const entryUnit = fuelUnit(state.entryFuelUnit || state.fpl?.fuelUnit);
 
   const estLandingFuelUi =
   state.fpl?.estLandingFuelTenths != null
@@ -990,44 +3804,139 @@ export default function NavlogTracker() {
 
     try {
       const buf = await file.arrayBuffer();
-      const rows = await extractPdfRows(buf);
+      pdfBytesRef.current = buf.slice(0); // pdf.js may detach `buf`
+      const release = await parseReleasePdf(buf, {
+        pdfjs: await loadPdfjs(),
+        mode: state.parserMode,
+      });
 
-      const sliced = sliceRowsRequestedSection(rows);
-      if (!sliced.ok) {
-        dispatch({ type: "SET_STATUS", payload: sliced.error });
+      if (!release.ok) {
         dispatch({
           type: "SET_PARSED",
           payload: { waypoints: [], fpl: initialState.fpl },
         });
+        dispatch({ type: "SET_STATUS", payload: release.error });
         return;
       }
 
-      // Build a text blob for ICAO FPL parse from sliced rows
-      const sliceText = sliced.slicedRows
-        .map((r) => rowText(r))
-        .filter((x) => x && x !== "__PAGE_BREAK__")
-        .join("\n");
-
-      const fplRes = parseIcaoFplFromText(sliceText);
-      const parsedFpl = fplRes.ok ? fplRes.fpl : initialState.fpl;
+      dispatch({
+        type: "SET_PARSED",
+        payload: {
+          waypoints: release.waypoints,
+          fpl: release.fpl,
+          briefing: release.briefing,
+          layout: release.layout,
+          profileId: release.profileId,
+          alternateWaypoints: release.alternateWaypoints,
+          sessionKey: newSessionKey(release.fpl),
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      dispatch({
+        type: "SET_STATUS",
+        payload: `Failed: ${String(err?.message || err)}`,
+      });
+    }
+  };
 
-      const parsed = parseWaypointsOneRowPerIdent(sliced.slicedRows);
-      if (!parsed.ok) {
-        dispatch({ type: "SET_STATUS", payload: parsed.error });
-        return;
-      }
+  const exportAnnotatedPdf = async () => {
+    // after a resume the release bytes are gone: ask for the file again (no re-parse)
+    if (!pdfBytesRef.current) {
+      attachRef.current?.click();
+      return;
+    }
 
+    dispatch({ type: "SET_STATUS", payload: "Building annotated PDF…" });
+    try {
+      const { bytes, written } = await buildAnnotatedPdf(
+        pdfBytesRef.current,
+        state.computed,
+        state.waypoints,
+        state.layout,
+        state.actualTO,
+        state.auditLog
+      );
+      downloadBytes(
+        bytes,
+        `navlog-${fplNumber || "release"}-actuals.pdf`,
+        "application/pdf"
+      );
       dispatch({
-        type: "SET_PARSED",
-        payload: { waypoints: parsed.waypoints, fpl: parsedFpl },
+        type: "SET_STATUS",
+        payload: `Exported annotated PDF (${written} waypoint(s) written).`,
+      });
+    } catch (err) {
+      console.error(err);
+      dispatch({
+        type: "SET_STATUS",
+        payload: `Export failed: ${String(err?.message || err)}`,
+      });
+    }
+  };
+
+  const overrides = useMemo(
+    () => collectOverrides(state.waypoints, state.alternate.waypoints),
+    [state.waypoints, state.alternate.waypoints]
+  );
+
+  // overrides + the raw lines they came from, to report parser bugs
+  const exportCorrections = () => {
+    const report = {
+      fplNumber,
+      profileId: state.profileId,
+      parserMode: state.parserMode,
+      exportedAt: new Date().toISOString(),
+      corrections: overrides,
+    };
+    downloadBytes(
+      JSON.stringify(report, null, 2),
+      `navlog-${fplNumber || "release"}-corrections.json`,
+      "application/json"
+    );
+  };
+
+  const downloadAuditLog = () => {
+    downloadBytes(
+      auditLogCsv(state.auditLog),
+      `navlog-${fplNumber || "release"}-audit.csv`,
+      "text/csv"
+    );
+  };
+
+  const handleAttachRelease = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    dispatch({ type: "SET_STATUS", payload: "Reading PDF…" });
+    try {
+      const buf = await file.arrayBuffer();
+      const bytes = buf.slice(0); // pdf.js may detach `buf`
+      const release = await parseReleasePdf(buf, {
+        pdfjs: await loadPdfjs(),
+        mode: state.parserMode,
       });
+      const mismatch = release.ok
+        ? releaseMismatch(state.fpl, release.fpl)
+        : release.error;
+      if (mismatch) {
+        dispatch({
+          type: "SET_STATUS",
+          payload: `Not exported: the attached PDF is not this release (${mismatch}).`,
+        });
+        return;
+      }
+      pdfBytesRef.current = bytes;
     } catch (err) {
       console.error(err);
       dispatch({
         type: "SET_STATUS",
         payload: `Failed: ${String(err?.message || err)}`,
       });
+      return;
     }
+    await exportAnnotatedPdf();
   };
 
   const handleTOSubmit = () => {
@@ -1035,13 +3944,22 @@ export default function NavlogTracker() {
     dispatch({ type: "SET_TO", payload: state.actualTO });
   };
 
-  const openWaypointModal = (index) => {
+  // section: "main" (route) | "alternate" (diversion leg)
+  const openWaypointModal = (index, section = "main") => {
+    const list =
+      section === "alternate" ? state.alternate.waypoints : state.waypoints;
     dispatch({
       type: "OPEN_MODAL",
       payload: {
         index,
-        time: state.waypoints[index]?._actualTime || "",
-        fuel: state.waypoints[index]?._actualFuel || "",
+        section,
+        time: list[index]?._actualTime || "",
+        fuel: fuelForEntry(
+          list[index]?._actualFuel || "",
+          list[index]?._actualFuelEntry,
+          state.entryFuelUnit,
+          state.fpl?.fuelUnit
+        ),
       },
     });
   };
@@ -1050,10 +3968,21 @@ export default function NavlogTracker() {
     if (!state.modalData || !state.modalData.time || !state.modalData.fuel)
       return;
 
-    const { index, time, fuel } = state.modalData;
-    dispatch({ type: "SET_ACTUAL_WP", payload: { index, time, fuel } });
+    const { index, time, fuel, section } = state.modalData;
+    dispatch({
+      type: section === "alternate" ? "SET_ACTUAL_ALT_WP" : "SET_ACTUAL_WP",
+      payload: { index, time, ...fuelFromEntry(fuel, state.entryFuelUnit, state.fpl?.fuelUnit) },
+    });
   };
 
+  const modalIsAlternate = state.modalData?.section === "alternate";
+  const modalWaypoints = modalIsAlternate
+    ? state.alternate.waypoints
+    : state.waypoints;
+  const modalComputed = modalIsAlternate
+    ? state.alternate.computed
+    : state.computed;
+
   const displayPlannedTime = (r) => {
     // FMC provided numeric ETA HHMM
     if (r.ETA && /^\d{3,4}$/.test(r.ETA)) return hhmmToDisplayHHdotMM(r.ETA);
@@ -1062,18 +3991,20 @@ export default function NavlogTracker() {
 
   const displayPlannedFuel = (r) => {
     // LOCKED: planned fuel = FRMG (tenths), show as X.Y
-    const tenths = digitsToTenths(r.FRMG);
+    const tenths = digitsToTenths(r.FRMG, state.fpl?.fuelUnit);
     return tenths ? tenthsToUi(tenths) : "-";
   };
 
   const displayUpdatedEta = (r) => {
     const hhmm = r._derived?.updatedETAHHMM || "";
-    return hhmm ? hhmmToDisplayHHdotMM(hhmm) : "-";
+    return hhmm ? etaWithDayMarker(hhmm, r._derived.updatedDayOffset) : "-";
   };
 
   const displayPlannedEta = (r) => {
     const hhmm = r._derived?.plannedETAHHMM || "";
-    return hhmm ? hhmmToDisplayHHdotMM(hhmm) : displayPlannedTime(r);
+    return hhmm
+      ? etaWithDayMarker(hhmm, r._derived.plannedDayOffset)
+      : displayPlannedTime(r);
   };
 
   const displayUpdatedFuel = (r) => {
@@ -1082,11 +4013,28 @@ export default function NavlogTracker() {
     return tenthsToUi(tenths);
   };
 
-  const fplNumber = (() => {
-    const raw = state.fpl?.raw || "";
-    const m = raw.match(/\(FPL-([A-Z0-9]+)-/i);
-    return m ? m[1] : "";
-  })();
+  const fplNumber = fplNumberFromRaw(state.fpl?.raw);
+
+  const resumeSession = (key) => {
+    const snap = loadSession(key);
+    if (!snap) {
+      dispatch({ type: "SET_STATUS", payload: "Saved session not found." });
+      setSessions(listSessions());
+      return;
+    }
+    dispatch({ type: "RESTORE_SESSION", payload: snap });
+  };
+
+  const dismissResume = () => {
+    clearActiveSession();
+    dispatch({ type: "DISMISS_RESUME" });
+    dispatch({ type: "SET_STATUS", payload: initialState.status });
+  };
+
+  const removeSession = (key) => {
+    deleteSession(key);
+    setSessions(listSessions());
+  };
 
   const displayBurnTenths = (tenths) => {
     if (!tenths) return "-";
@@ -1119,13 +4067,77 @@ export default function NavlogTracker() {
         {state.fpl?.depTimeHHMM ? (
           <div style={{ marginTop: 6, fontSize: 12, color: "#555" }}>
             FPL: DEP <span style={mono}>{state.fpl.dep || "-"}</span> @{` `}
-            <span style={mono}>{state.fpl.depTimeHHMM}</span> → DEST{" "}
+            <span style={mono}>{state.fpl.depTimeHHMM}</span>
+            {state.fpl.flightDate ? (
+              <span style={mono}> {state.fpl.flightDate}</span>
+            ) : null}{" "}
+            → DEST{" "}
             <span style={mono}>{state.fpl.dest || "-"}</span> ALT{" "}
             <span style={mono}>{state.fpl.alt || "-"}</span>
           </div>
         ) : null}
       </div>
 
+      {/* Decoded flight plan */}
+      <FplPanel fpl={state.fpl} />
+
+      {/* Resume prompt */}
+      {state.resumeOffer && (
+        <div
+          style={{
+            marginBottom: 14,
+            padding: 12,
+            background: "#fff3e0",
+            border: "1px solid #ffb74d",
+            borderRadius: 8,
+            display: "flex",
+            gap: 12,
+            alignItems: "center",
+            flexWrap: "wrap",
+          }}
+        >
+          <span>
+            Resume flight{" "}
+            <b style={mono}>FPL-{state.resumeOffer.fplNumber || "?"}</b>
+            {state.resumeOffer.dep || state.resumeOffer.dest ? (
+              <span style={mono}>
+                {" "}
+                ({state.resumeOffer.dep || "-"} → {state.resumeOffer.dest || "-"})
+              </span>
+            ) : null}
+            ? <span style={{ fontSize: 12, color: "#555" }}>
+              saved {new Date(state.resumeOffer.savedAt).toLocaleString()}
+            </span>
+          </span>
+          <button
+            onClick={() => resumeSession(state.resumeOffer.key)}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#4CAF50",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: "pointer",
+            }}
+          >
+            Resume
+          </button>
+          <button
+            onClick={dismissResume}
+            style={{
+              padding: "6px 12px",
+              backgroundColor: "#757575",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor: "pointer",
+            }}
+          >
+            Start new
+          </button>
+        </div>
+      )}
+
       {/* File Upload */}
       <div
         style={{
@@ -1147,6 +4159,25 @@ export default function NavlogTracker() {
           onChange={handleFileUpload}
           style={{ padding: "10px" }}
         />
+        <label style={{ marginLeft: 12, fontSize: 13 }}>
+          Parser:{" "}
+          <select
+            value={state.parserMode}
+            onChange={(e) =>
+              dispatch({ type: "SET_PARSER_MODE", payload: e.target.value })
+            }
+            style={{ padding: "6px" }}
+          >
+            <option value="tokens">Whitespace tokens</option>
+            <option value="columns">Column positions (header x)</option>
+          </select>
+        </label>
+        <SettingsPanel
+          settings={state.settings}
+          fpl={state.fpl}
+          waypoints={state.waypoints}
+          onChange={(payload) => dispatch({ type: "SET_SETTINGS", payload })}
+        />
       </div>
 
       {/* Actual Takeoff Data */}
@@ -1199,6 +4230,7 @@ export default function NavlogTracker() {
             dispatch({
               type: "SET_TO",
               payload: { ...state.actualTO, time: e.target.value },
+              draft: true,
             })
           }
           style={{
@@ -1213,16 +4245,25 @@ export default function NavlogTracker() {
       {/* Actual TO Fuel */}
       <div>
         <label style={{ display: "block", marginBottom: "5px" }}>
-          Actual TO Fuel:
+          Actual TO Fuel ({entryUnit.label}):
         </label>
         <input
           type="text"
           placeholder="152.0"
-          value={state.actualTO.fuel}
+          value={fuelForEntry(
+            state.actualTO.fuel,
+            state.actualTO.fuelEntry,
+            state.entryFuelUnit,
+            state.fpl?.fuelUnit
+          )}
           onChange={(e) =>
             dispatch({
               type: "SET_TO",
-              payload: { ...state.actualTO, fuel: e.target.value },
+              payload: {
+                ...state.actualTO,
+                ...fuelFromEntry(e.target.value, state.entryFuelUnit, state.fpl?.fuelUnit),
+              },
+              draft: true,
             })
           }
           style={{
@@ -1234,10 +4275,18 @@ export default function NavlogTracker() {
         />
       </div>
 
+      {/* Fuel units */}
+      <FuelUnitSelect
+        fpl={state.fpl}
+        entryFuelUnit={state.entryFuelUnit}
+        onRelease={(id) => dispatch({ type: "SET_FUEL_UNIT", payload: id })}
+        onEntry={(id) => dispatch({ type: "SET_ENTRY_FUEL_UNIT", payload: id })}
+      />
+
       {/* Estimated Landing Fuel */}
       <div>
   <label style={{ display: "block", marginBottom: "5px" }}>
-    Estimated Landing Fuel:
+    Estimated Landing Fuel ({releaseUnit.label}):
   </label>
 
   <div
@@ -1268,6 +4317,13 @@ export default function NavlogTracker() {
       >
         Set Takeoff
       </button>
+
+      {/* Release fuel summary */}
+      <FuelPlanPanel
+        fuelPlan={state.fpl?.fuelPlan}
+        actualTO={state.actualTO}
+        unit={state.fpl?.fuelUnit}
+      />
     </div>
 
     <div style={{ marginTop: 10, fontSize: 12, color: "#555" }}>
@@ -1281,6 +4337,139 @@ export default function NavlogTracker() {
 )}
 
 
+      {/* Reserve policy alert */}
+      {state.waypoints.length > 0 && <ReserveAlert rows={computed} trend={fuelTrend} />}
+
+      {/* Guardrails summary */}
+      {state.waypoints.length > 0 && <GuardrailSummary rows={computed} />}
+
+      {/* FPL route vs navlog */}
+      {state.waypoints.length > 0 && (
+        <RouteCheckSummary fpl={state.fpl} waypoints={state.waypoints} />
+      )}
+
+      {/* ETP / PNR */}
+      {state.waypoints.length > 0 && (
+        <CriticalPointsPanel
+          options={etpOptions}
+          chosen={state.etpAirports}
+          waypoints={state.waypoints}
+          points={criticalPts}
+          dispatch={dispatch}
+        />
+      )}
+
+      {/* Weather / NOTAM / performance from the release */}
+      {state.waypoints.length > 0 && (
+        <BriefingPanels
+          briefing={state.briefing}
+          fpl={state.fpl}
+          computed={computed}
+          alternateComputed={state.alternate.computed}
+        />
+      )}
+
+      {/* Map */}
+      {state.waypoints.length > 0 && (
+        <RouteMap
+          waypoints={state.waypoints}
+          currentWaypoint={state.currentWaypoint}
+          alternateWaypoints={state.alternate.waypoints}
+          diversion={state.diversion}
+        />
+      )}
+
+      {/* Fuel trend */}
+      {state.waypoints.length > 0 && <FuelTrendPanel trend={fuelTrend} unit={state.fpl?.fuelUnit} />}
+
+      {/* Export */}
+      {state.waypoints.length > 0 && (
+        <div
+          style={{
+            marginBottom: 14,
+            display: "flex",
+            gap: 10,
+            alignItems: "center",
+            flexWrap: "wrap",
+          }}
+        >
+          <button
+            onClick={exportAnnotatedPdf}
+            disabled={!state.actualTO.time || !state.actualTO.fuel}
+            style={{
+              padding: "8px 16px",
+              backgroundColor: "#3f51b5",
+              color: "white",
+              border: "none",
+              borderRadius: "4px",
+              cursor:
+                state.actualTO.time && state.actualTO.fuel
+                  ? "pointer"
+                  : "not-allowed",
+              opacity: state.actualTO.time && state.actualTO.fuel ? 1 : 0.5,
+            }}
+          >
+            📄 Export annotated PDF
+          </button>
+          <button
+            onClick={() => dispatch({ type: "UNDO" })}
+            disabled={!state.history.past.length}
+            title="Undo the last pilot entry"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={() => dispatch({ type: "REDO" })}
+            disabled={!state.history.future.length}
+          >
+            ↷ Redo
+          </button>
+          <button
+            onClick={() => dispatch({ type: "SET_EDIT_MODE", payload: !state.editMode })}
+            style={state.editMode ? { background: "#ffe0b2" } : undefined}
+          >
+            {state.editMode ? "✔ Done editing" : "✎ Correct navlog"}
+          </button>
+          <button
+            onClick={() =>
+              dispatch({ type: "SET_REROUTE_MODE", payload: !state.rerouteMode })
+            }
+            disabled={!!state.diversion}
+            style={state.rerouteMode ? { background: "#e1bee7" } : undefined}
+          >
+            {state.rerouteMode ? "✔ Done rerouting" : "↝ Reroute"}
+          </button>
+          {overrides.length > 0 && (
+            <button onClick={exportCorrections}>
+              Export corrections ({overrides.length})
+            </button>
+          )}
+          {!pdfBytesRef.current && (
+            <span style={{ fontSize: 12, color: "#555" }}>
+              Release PDF not loaded in this session — you will be asked to
+              select it again.
+            </span>
+          )}
+          <input
+            ref={attachRef}
+            type="file"
+            accept="application/pdf"
+            onChange={handleAttachRelease}
+            style={{ display: "none" }}
+          />
+        </div>
+      )}
+
+      {/* Reroute: insert form */}
+      {state.insertForm && (
+        <InsertWaypointForm
+          form={state.insertForm}
+          afterIdent={state.waypoints[state.insertForm.after]?.IDENT}
+          fuelLabel={releaseUnit.label}
+          dispatch={dispatch}
+        />
+      )}
+
       {/* Waypoints Table */}
       {state.waypoints.length > 0 && (
         <div style={{ overflowX: "auto" }}>
@@ -1376,7 +4565,19 @@ export default function NavlogTracker() {
     const isPast =
       state.currentWaypoint != null && idx < state.currentWaypoint;
 
-    const rowBg = isNext ? "#fff9c4" : isPast ? "#f0f0f0" : "white";
+    // after a divert, the rest of the main route will not be flown
+    const isAbandoned =
+      state.diversion != null && idx > state.diversion.fromIndex;
+
+    const src = state.waypoints[idx] || {};
+    const rowBg =
+      isAbandoned || src._skipped
+        ? "#eceff1"
+        : isNext
+        ? "#fff9c4"
+        : isPast
+        ? "#f0f0f0"
+        : "white";
 
     const hasActual =
       state.waypoints[idx]?._actualTime &&
@@ -1388,17 +4589,10 @@ export default function NavlogTracker() {
     // ✅ "updated ETA exists" gate driven by flags (if you set one) + value
     // If you do NOT currently set "NO_UPDATED_ETA", this still works because includes() will be false.
     const hasUpdatedETA =
-      !!wp._derived?.updatedETAHHMM && !flags.includes("NO_UPDATED_ETA");
-
-    // ETA_DIFF = planned - updated (minutes)
-    const plannedMin = timeToMinutesFlexible(wp._derived?.plannedETAHHMM);
-    const updatedMin = timeToMinutesFlexible(wp._derived?.updatedETAHHMM);
-
-    const etaDiffMin =
-      plannedMin != null && updatedMin != null ? plannedMin - updatedMin : null;
+      !!wp._derived?.updatedETAHHMM && !hasFlag(flags, "NO_UPDATED_ETA");
 
-    const etaDiffDisplay =
-      etaDiffMin == null ? "-" : `${etaDiffMin > 0 ? "+" : ""}${etaDiffMin}`;
+    // ETA_DIFF = planned - updated (minutes, from absolute times: safe across midnight)
+    const etaDiffDisplay = wp._derived?.etaDiffDisplay || "-";
 
       const bDiff =
       hasActual && wp._derived?.tboMinusAboTenths != null
@@ -1417,14 +4611,51 @@ export default function NavlogTracker() {
       hasActionEntry && wp._derived?.efoaTenths != null
         ? Number(wp._derived.efoaTenths).toFixed(1)
         : "-";
-    
+
+    // parsed navlog cell, an input in edit mode
+    const cell = (fields, shown = wp[fields[0]] || "-", title) => (
+      <NavlogCell
+        row={state.waypoints[idx]}
+        fields={fields}
+        editing={state.editMode}
+        onEdit={(field, value) =>
+          dispatch({ type: "OVERRIDE_FIELD", payload: { index: idx, field, value } })
+        }
+        title={title}
+      >
+        {shown}
+      </NavlogCell>
+    );
 
     return (
       <React.Fragment key={`${wp.IDENT}-${idx}`}>
+        {/* ETP / PNR falling on the leg to this row */}
+        {criticalPts
+          .filter((p) => p.legTo === idx)
+          .map((p) => (
+            <CriticalPointRow
+              key={criticalPointLabel(p)}
+              point={p}
+              fromIdent={computed[p.legFrom]?.IDENT}
+              fpl={state.fpl}
+            />
+          ))}
+
         {/* ROW 1 — COORDS + ETA_DIFF */}
         <tr style={{ backgroundColor: rowBg, borderBottom: "1px solid #ddd" }}>
-          <td style={cellStyle}>{wp.coord || "-"}</td>
-          <td colSpan={7}></td>
+          {cell(["coord"])}
+          <td colSpan={7} style={cellStyle}>
+            {flags.map((f, i) => (
+              <FlagBadge key={`${f.type}-${i}`} flag={f} />
+            ))}
+            {src._skipped && <span style={{ fontSize: 12, color: "#777" }}>skipped</span>}
+            {wp._derived?.leg && (
+              <span style={{ fontSize: 12, color: "#8e24aa" }}>
+                new leg {wp._derived.leg.nm ?? "?"} NM · {wp._derived.leg.min} min ·{" "}
+                {tenthsToUi(wp._derived.leg.burnTenths)}
+              </span>
+            )}
+          </td>
 
           {/* ETA_DIFF column */}
           <td style={cellStyle}>{hasActual ? etaDiffDisplay : "-"}</td>
@@ -1434,46 +4665,62 @@ export default function NavlogTracker() {
 
         {/* ROW 2 — MAIN NAVLOG */}
         <tr style={{ backgroundColor: rowBg, borderBottom: "1px solid #ddd" }}>
-          <td style={cellStyle}>
-            <strong>{wp.IDENT || "-"}</strong>
-          </td>
-          <td style={cellStyle}>{wp.DIST || "-"}</td>
-          <td style={cellStyle}>{wp.MC || "-"}</td>
-          <td style={cellStyle}>{wp.FL || "-"}</td>
-          <td style={cellStyle}>{wp.WIND || "-"}</td>
-          <td style={cellStyle}>{wp.CMP || "-"}</td>
-          <td style={cellStyle}>{wp.TAS_MAC || "-"}</td>
-
-
-          <td style={cellStyle}>{wp.TIME || "-"}</td>
+          {cell(
+            ["IDENT"],
+            <>
+              <strong style={src._skipped ? { textDecoration: "line-through" } : undefined}>
+                {wp.IDENT || "-"}
+              </strong>
+              {src._inserted && <span style={{ color: "#8e24aa", fontSize: 11 }}> new</span>}
+            </>
+          )}
+          {cell(["DIST"])}
+          {cell(["MC"])}
+          {cell(["FL"])}
+          {cell(["WIND"])}
+          {cell(["CMP"])}
+          {cell(["TAS", "MAC"], wp.TAS_MAC || "-")}
+
+
+          {cell(["TIME"])}
 
           {/* ETA (planned) */}
-          <td style={cellStyle}>{displayPlannedEta(wp)}</td>
+          <td
+            style={cellStyle}
+            title={absMinToUtcLabel(wp._derived?.plannedEtaAbsMin, state.fpl)}
+          >
+            {displayPlannedEta(wp)}
+          </td>
 
           {/* ATA = updated ETA */}
-          <td style={cellStyle}>
+          <td
+            style={cellStyle}
+            title={absMinToUtcLabel(wp._derived?.updatedEtaAbsMin, state.fpl)}
+          >
   {hasActual && wp._derived?.updatedETAHHMM
-    ? hhmmToDisplayHHdotMM(wp._derived.updatedETAHHMM)
+    ? displayUpdatedEta(wp)
     : "-"}
 </td>
 
 
           {/* TBO */}
-          <td style={cellStyle}>{wp.TBO || "-"}</td>
+          {cell(["TBO"])}
 
           {/* FRMG (planned fuel) */}
-          <td style={cellStyle}>
-            {wp._derived?.plannedFuelTenths != null
+          {cell(
+            ["FRMG"],
+            wp._derived?.plannedFuelTenths != null
               ? tenthsToUi(wp._derived.plannedFuelTenths)
-              : "-"}
-          </td>
+              : "-"
+          )}
 
           {/* EFB = planned burn (per your current mapping) */}
-          <td style={cellStyle}>
-            {wp._derived?.plannedBurnTenths != null
+          {cell(
+            ["EFB"],
+            wp._derived?.plannedBurnTenths != null
               ? tenthsToUi(wp._derived.plannedBurnTenths)
-              : "-"}
-          </td>
+              : "-"
+          )}
 
           <td style={cellStyle}></td>
           <td style={cellStyle}></td>
@@ -1481,21 +4728,21 @@ export default function NavlogTracker() {
 
         {/* ROW 3 — SECOND NAVLOG */}
         <tr style={{ backgroundColor: rowBg, borderBottom: "1px solid #ddd" }}>
-          <td style={cellStyle}>{wp.FRQ || "-"}</td>
-          <td style={cellStyle}>{wp.DTGO || "-"}</td>
-          <td style={cellStyle}>{wp.MH || "-"}</td>
+          {cell(["FRQ"])}
+          {cell(["DTGO"])}
+          {cell(["MH"])}
           <td style={cellStyle}></td>
-          <td style={cellStyle}>{wp.W_S || "-"}</td>
-          <td style={cellStyle}>{wp.OAT || "-"}</td>
-          <td style={cellStyle}>{wp.G_S || "-"}</td>
-          <td style={cellStyle}>{wp.T_TME || "-"}</td>
+          {cell(["W_S"])}
+          {cell(["OAT"])}
+          {cell(["G_S"])}
+          {cell(["T_TME"])}
 
           {/* REV = MM from ATA */}
           <td style={cellStyle}>
-            {hasUpdatedETA ? hhmmToDisplayHHdotMM(wp._derived.updatedETAHHMM): "-"}
+            {hasUpdatedETA ? displayUpdatedEta(wp) : "-"}
           </td>
 
-          <td style={cellStyle}>{wp.REM || "-"}</td>
+          {cell(["REM"])}
 
           {/* ABO = actual burn from TO */}
           <td style={cellStyle}>
@@ -1503,11 +4750,14 @@ export default function NavlogTracker() {
           </td>
 
           {/* AFOB (actual fuel entry or navlog AFOB) */}
-          <td style={cellStyle}>
+          <td
+            style={cellStyle}
+            title={formatFuelEntry(state.waypoints[idx]?._actualFuelEntry) || undefined}
+          >
             {state.waypoints[idx]?._actualFuel || wp.AFOB || "-"}
           </td>
 
-          <td style={cellStyle}>{wp.DSTN || "-"}</td>
+          {cell(["DSTN"])}
 
           {/* EFOA hidden unless updated ETA */}
           <td style={cellStyle}>{efoa}</td>
@@ -1516,7 +4766,7 @@ export default function NavlogTracker() {
           <td style={cellStyle}>
             <button
               onClick={() => openWaypointModal(idx)}
-              disabled={!state.actualTO.time || !state.actualTO.fuel}
+              disabled={!state.actualTO.time || !state.actualTO.fuel || !!src._skipped}
               style={{
                 padding: "6px 12px",
                 backgroundColor: isNext ? "#2196F3" : "#757575",
@@ -1532,6 +4782,22 @@ export default function NavlogTracker() {
             >
               {hasActual ? "✏️ Edit" : "➕ Enter"}
             </button>
+            <button
+              onClick={() => dispatch({ type: "OPEN_POSITION_REPORT", payload: idx })}
+              disabled={!!src._skipped || String(wp.IDENT || "").startsWith("-")}
+              title="Position report from this waypoint"
+              style={{ marginLeft: 6, padding: "6px 8px", cursor: "pointer" }}
+            >
+              📍 Report
+            </button>
+            {state.rerouteMode && (
+              <RerouteControls
+                w={src}
+                index={idx}
+                count={state.waypoints.length}
+                dispatch={dispatch}
+              />
+            )}
           </td>
         </tr>
 
@@ -1551,6 +4817,30 @@ export default function NavlogTracker() {
 
           </table>
 
+          {/* Alternate leg */}
+          {state.alternate.waypoints.length > 0 && (
+            <AlternateLegTable
+              fpl={state.fpl}
+              alternate={state.alternate}
+              diversion={state.diversion}
+              altIdent={state.fpl?.alt}
+              plannedFrom={alternatePlannedFrom(state.diversion, state.waypoints, state.fpl)}
+              canEnter={!!state.actualTO.time && !!state.actualTO.fuel}
+              editing={state.editMode}
+              onEnter={(i) => openWaypointModal(i, "alternate")}
+              onEdit={(index, field, value) =>
+                dispatch({
+                  type: "OVERRIDE_FIELD",
+                  payload: { section: "alternate", index, field, value },
+                })
+              }
+              onDivert={() => dispatch({ type: "DIVERT" })}
+              onCancelDivert={() => dispatch({ type: "CANCEL_DIVERT" })}
+            />
+          )}
+
+          <AuditLogPanel auditLog={state.auditLog} onDownload={downloadAuditLog} />
+
           {/* Full array JSON (debug) */}
           <div style={{ marginTop: 18 }}>
             <h3 style={{ margin: "10px 0" }}>Computed JSON (full array)</h3>
@@ -1571,8 +4861,17 @@ export default function NavlogTracker() {
         </div>
       )}
 
+      {/* Position report */}
+      {positionReport && (
+        <PositionReportModal
+          report={positionReport}
+          onCopy={copyReport}
+          onClose={() => dispatch({ type: "CLOSE_POSITION_REPORT" })}
+        />
+      )}
+
       {/* Modal */}
-      {state.modalData !== null && state.waypoints[state.modalData.index] && (
+      {state.modalData !== null && modalWaypoints[state.modalData.index] && (
         <div
           style={{
             position: "fixed",
@@ -1599,38 +4898,39 @@ export default function NavlogTracker() {
           >
             <h3>
               Enter Actual Data for{" "}
-              {state.waypoints[state.modalData.index].IDENT}
+              {modalWaypoints[state.modalData.index].IDENT}
+              {modalIsAlternate ? " (alternate)" : ""}
             </h3>
 
             <div style={{ marginBottom: "14px", fontSize: 12, color: "#555" }}>
               Planned ETA:{" "}
               <span style={mono}>
-                {displayPlannedEta(state.computed[state.modalData.index])}
+                {displayPlannedEta(modalComputed[state.modalData.index])}
               </span>{" "}
               | Updated ETA:{" "}
               <span style={mono}>
-                {displayUpdatedEta(state.computed[state.modalData.index])}
+                {displayUpdatedEta(modalComputed[state.modalData.index])}
               </span>
               <br />
               Planned Fuel:{" "}
               <span style={mono}>
-                {displayPlannedFuel(state.computed[state.modalData.index])}
+                {displayPlannedFuel(modalComputed[state.modalData.index])}
               </span>{" "}
               | Planned Burn:{" "}
               <span style={mono}>
                 {displayBurnTenths(
-                  state.computed[state.modalData.index]._derived
+                  modalComputed[state.modalData.index]._derived
                     ?.plannedBurnTenths || 0
                 )}
               </span>
               <br />
               Updated Fuel:{" "}
               <span style={mono}>
-                {displayUpdatedFuel(state.computed[state.modalData.index])}
+                {displayUpdatedFuel(modalComputed[state.modalData.index])}
               </span>{" "}
               | DSTN:{" "}
               <span style={mono}>
-                {state.computed[state.modalData.index].DSTN || "-"}
+                {modalComputed[state.modalData.index].DSTN || "-"}
               </span>
             </div>
 
@@ -1659,7 +4959,7 @@ export default function NavlogTracker() {
 
             <div style={{ marginBottom: "20px" }}>
               <label style={{ display: "block", marginBottom: "5px" }}>
-                Actual Fuel:
+                Actual Fuel ({entryUnit.label}):
               </label>
               <input
                 type="text"
@@ -1695,7 +4995,7 @@ export default function NavlogTracker() {
                   ...mono,
                 }}
               >
-                {state.computed[state.modalData.index].__raw}
+                {modalComputed[state.modalData.index].__raw}
               </pre>
               <div
                 style={{ marginTop: 8, fontSize: 11, color: "#555", ...mono }}
@@ -1754,6 +5054,80 @@ export default function NavlogTracker() {
           📄 Upload a flight release PDF to get started
         </div>
       )}
+
+      {/* Past sessions */}
+      {state.waypoints.length === 0 && sessions.length > 0 && (
+        <div
+          style={{
+            padding: 12,
+            background: "#fff",
+            border: "1px solid #ddd",
+            borderRadius: 8,
+          }}
+        >
+          <h3 style={{ margin: "0 0 10px" }}>Past sessions</h3>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={headerStyle}>FPL</th>
+                <th style={headerStyle}>Route</th>
+                <th style={headerStyle}>Entries</th>
+                <th style={headerStyle}>Saved</th>
+                <th style={headerStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((s) => (
+                <tr key={s.key} style={{ borderBottom: "1px solid #eee" }}>
+                  <td style={{ ...cellStyle, ...mono }}>
+                    {s.fplNumber ? `FPL-${s.fplNumber}` : "(no FPL)"}
+                  </td>
+                  <td style={{ ...cellStyle, ...mono }}>
+                    {s.dep || "-"} → {s.dest || "-"}
+                    {s.depTimeHHMM ? ` @${s.depTimeHHMM}` : ""}
+                    {s.flightDate ? ` ${s.flightDate}` : ""}
+                  </td>
+                  <td style={cellStyle}>
+                    {s.actualCount}/{s.waypointCount}
+                  </td>
+                  <td style={cellStyle}>
+                    {new Date(s.savedAt).toLocaleString()}
+                  </td>
+                  <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                    <button
+                      onClick={() => resumeSession(s.key)}
+                      style={{
+                        padding: "4px 10px",
+                        marginRight: 6,
+                        backgroundColor: "#2196F3",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "4px",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Open
+                    </button>
+                    <button
+                      onClick={() => removeSession(s.key)}
+                      style={{
+                        padding: "4px 10px",
+                        backgroundColor: "#757575",
+                        color: "white",
+                        border: "none",
+                        borderRadius: "4px",
+                        cursor: "pointer",
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,1122 @@
+import fs from "fs";
+import path from "path";
+
+import {
+  alternatePlannedFrom,
+  applyGuardrails,
+  auditLogCsv,
+  checkTakeoffFuel,
+  collectOverrides,
+  computeCriticalPoints,
+  computeDerivedLocked,
+  computeFuelTrend,
+  deleteSession,
+  GUARDRAIL_RULES,
+  initialState,
+  initNavlogState,
+  listSessions,
+  loadSession,
+  navlogHistoryReducer,
+  newSessionKey,
+  positionReportAt,
+  releaseMismatch,
+  saveSession,
+} from "./App";
+import { parseReleaseText } from "./navlog/index.js";
+
+// pdf.js is only needed for uploads; its loader uses import.meta, which jest can't parse
+jest.mock("./pdfjs", () => ({ loadPdfjs: jest.fn() }));
+
+const FPL = { dep: "PANC", dest: "PAJN", depTimeHHMM: "1230", eetByFir: {} };
+
+function row(IDENT, T_TME, TBO, extra = {}) {
+  return { IDENT, T_TME, TBO, FRMG: "", DSTN: "0135", ...extra };
+}
+
+function derived(rows, { fpl = FPL, actualTO = { time: "1230", fuel: "152.0" }, estLF } = {}) {
+  return computeDerivedLocked(rows, fpl, actualTO, estLF).map((r) => r._derived);
+}
+
+describe("computeDerivedLocked: time", () => {
+  it.each([
+    {
+      name: "updated ETA = FPL dep time + T/TME until an ATA is entered",
+      rows: [row("JOH", "0.16", "0092"), row("ORCAS", "0.46", "0178")],
+      planned: ["1246", "1316"],
+      updated: ["1246", "1316"],
+      diff: [0, 0],
+    },
+    {
+      name: "an ATA re-anchors that row and shifts every later updated ETA",
+      rows: [
+        row("JOH", "0.16", "0092", { _actualTime: "1250" }),
+        row("ORCAS", "0.46", "0178"),
+      ],
+      planned: ["1246", "1316"],
+      updated: ["1250", "1320"],
+      diff: [-4, -4],
+    },
+    {
+      name: "planned ETA follows the actual T/O time, not the filed one",
+      actualTO: { time: "1240", fuel: "152.0" },
+      rows: [row("JOH", "0.16", "0092")],
+      planned: ["1256"],
+      updated: ["1246"],
+      diff: [10],
+    },
+    {
+      name: "ETAs wrap past midnight",
+      fpl: { ...FPL, depTimeHHMM: "2330" },
+      actualTO: { time: "2330", fuel: "152.0" },
+      rows: [
+        row("JOH", "0.16", "0092"),
+        row("ORCAS", "0.30", "0178", { _actualTime: "0003" }),
+        row("YAK", "0.50", "0336"),
+      ],
+      planned: ["2346", "0000", "0020"],
+      updated: ["2346", "0003", "0023"],
+      diff: [0, -3, -3],
+    },
+    {
+      name: "an ATA just after midnight is the next day, not 24h earlier",
+      fpl: { ...FPL, depTimeHHMM: "2300" },
+      actualTO: { time: "2300", fuel: "152.0" },
+      rows: [
+        row("JOH", "0.58", "0092", { _actualTime: "0005" }),
+        row("ORCAS", "1.10", "0178"),
+      ],
+      planned: ["2358", "0010"],
+      updated: ["0005", "0017"],
+      diff: [-7, -7],
+    },
+    {
+      name: "rows without T/TME get no ETA",
+      rows: [row("-PAZA", "", "")],
+      planned: [""],
+      updated: [""],
+      diff: [null],
+    },
+  ])("$name", ({ rows, fpl, actualTO, planned, updated, diff }) => {
+    const d = derived(rows, { fpl, actualTO });
+    expect(d.map((x) => x.plannedETAHHMM)).toEqual(planned);
+    expect(d.map((x) => x.updatedETAHHMM)).toEqual(updated);
+    expect(d.map((x) => x.etaDiffMin)).toEqual(diff);
+  });
+});
+
+describe("computeDerivedLocked: dates", () => {
+  const fpl = { ...FPL, depTimeHHMM: "2330", flightDate: "2026-03-01" };
+  const rows = [
+    row("JOH", "0.16", "0092", { _actualTime: "2348" }),
+    row("ORCAS", "0.30", "0178", { _actualTime: "0003" }),
+    row("YAK", "0.50", "0336"),
+  ];
+
+  it("computes absolute UTC times from the flight date", () => {
+    const d = derived(rows, { fpl, actualTO: { time: "2332", fuel: "152.0" } });
+    expect(d.map((x) => x.updatedEtaAbsMin)).toEqual([
+      Date.UTC(2026, 2, 1, 23, 48) / 60000,
+      Date.UTC(2026, 2, 2, 0, 3) / 60000,
+      Date.UTC(2026, 2, 2, 0, 23) / 60000,
+    ]);
+    expect(d.map((x) => x.plannedDayOffset)).toEqual([0, 1, 1]);
+    expect(d.map((x) => x.updatedDayOffset)).toEqual([0, 1, 1]);
+  });
+
+  it("an actual T/O after midnight moves every planned ETA to the next day", () => {
+    const d = derived(rows, { fpl, actualTO: { time: "0010", fuel: "152.0" } });
+    expect(d[0].plannedETAHHMM).toBe("0026");
+    expect(d[0].plannedEtaAbsMin).toBe(Date.UTC(2026, 2, 2, 0, 26) / 60000);
+    expect(d.map((x) => x.plannedDayOffset)).toEqual([1, 1, 1]);
+  });
+
+  it("does not flag an ATA past midnight as earlier than the previous one", () => {
+    const out = computeDerivedLocked(rows, fpl, { time: "2330", fuel: "152.0" });
+    expect(out.flatMap((r) => r._derived.flags.map((f) => f.type))).toEqual([]);
+  });
+
+  it("still flags an ATA that really goes backwards", () => {
+    const back = [rows[0], { ...rows[1], _actualTime: "2340" }];
+    const out = computeDerivedLocked(back, fpl, { time: "2330", fuel: "152.0" });
+    expect(out[1]._derived.flags.map((f) => f.type)).toEqual(["TIME_BEFORE_PREVIOUS"]);
+  });
+});
+
+describe("computeDerivedLocked: fuel anchors", () => {
+  it.each([
+    {
+      name: "updated fuel = T/O fuel - TBO",
+      rows: [row("JOH", "0.16", "0092"), row("ORCAS", "0.46", "0178"), row("YAK", "0.50", "0336")],
+      updated: [1428, 1342, 1184],
+    },
+    {
+      name: "an AFOB entry becomes the anchor for later rows",
+      rows: [
+        row("JOH", "0.16", "0092", { _actualFuel: "141.0" }),
+        row("ORCAS", "0.46", "0178"),
+        row("YAK", "0.50", "0336"),
+      ],
+      updated: [1428, 1324, 1166],
+    },
+    {
+      name: "a blank AFOB entry is not an anchor",
+      rows: [
+        row("JOH", "0.16", "0092", { _actualFuel: "" }),
+        row("ORCAS", "0.46", "0178"),
+        row("YAK", "0.50", "0336"),
+      ],
+      updated: [1428, 1342, 1184],
+    },
+    {
+      name: "the latest AFOB entry wins",
+      rows: [
+        row("JOH", "0.16", "0092", { _actualFuel: "141.0" }),
+        row("ORCAS", "0.46", "0178", { _actualFuel: "133.0" }),
+        row("YAK", "0.50", "0336"),
+      ],
+      updated: [1428, 1324, 1172],
+    },
+    {
+      name: "missing TBO: no updated fuel, and the row is not an anchor",
+      rows: [
+        row("JOH", "0.16", "0092"),
+        row("-CZVR", "0.31", "", { _actualFuel: "120.0" }),
+        row("ORCAS", "0.46", "...."),
+        row("YAK", "0.50", "0336"),
+      ],
+      updated: [1428, 0, 0, 1184],
+    },
+  ])("$name", ({ rows, updated }) => {
+    expect(derived(rows).map((x) => x.updatedFuelTenths)).toEqual(updated);
+  });
+
+  it("derives ABO, B_DIFF and F_DIFF from the AFOB entry", () => {
+    const [d] = derived([row("JOH", "0.16", "0092", { FRMG: "1428", _actualFuel: "142.0" })]);
+    expect(d).toMatchObject({
+      aboTenths: 100, // 152.0 - 142.0
+      tboMinusAboTenths: -8, // burned 0.8 more than planned
+      frmgMinusAfobTenths: -8, // AFOB - FRMG
+      deltaTenths: -8,
+      deltaColor: "red",
+    });
+  });
+});
+
+describe("computeDerivedLocked: EST LANDING FUEL", () => {
+  // EFOA = AFOB - DSTN = 141.0 - 13.5 = 127.5
+  const rows = [row("JOH", "0.16", "0092", { _actualFuel: "141.0" })];
+
+  it.each([
+    { name: "above EST LANDING FUEL", estLF: 125.0, diff: 2.5, color: "green" },
+    { name: "below EST LANDING FUEL", estLF: 130.2, diff: -2.7, color: "red" },
+    { name: "equal to EST LANDING FUEL", estLF: 127.5, diff: 0, color: "neutral" },
+    { name: "no EST LANDING FUEL on the release", estLF: null, diff: null, color: "neutral" },
+  ])("EFOA $name", ({ estLF, diff, color }) => {
+    const [d] = derived(rows, { fpl: { ...FPL, estLandingFuelTenths: estLF } });
+    expect(d.efoaTenths).toBe(127.5);
+    expect(d.efoaMinusEstLandingTenths).toBe(diff);
+    expect(d.efoaVsEstLandingColor).toBe(color);
+  });
+
+  it("an explicit EST LANDING FUEL argument overrides the FPL value", () => {
+    const [d] = derived(rows, { fpl: { ...FPL, estLandingFuelTenths: 140.0 }, estLF: 120.0 });
+    expect(d.estLandingFuelTenths).toBe(120.0);
+    expect(d.efoaMinusEstLandingTenths).toBe(7.5);
+  });
+});
+
+describe("computeDerivedLocked: fuel units", () => {
+  it("reads navlog digits without an implied decimal under a x100 unit", () => {
+    const fpl = { ...FPL, fuelUnit: "kg100" };
+    const rows = [row("JOH", "0.16", "92", { DSTN: "135" })];
+    const [d] = derived(rows, { fpl, actualTO: { time: "1230", fuel: "1520" } });
+    expect(d.updatedFuelTenths).toBe(14280); // 1520 - 92 hundreds of kg
+  });
+});
+
+describe("computeDerivedLocked: great-circle checks", () => {
+  // 60 NM legs: east along the equator, then north twice. Variation 10°E.
+  const geoRow = (IDENT, coord, DIST, MC, DTGO, extra = {}) =>
+    row(IDENT, "", "", { coord, DIST, MC, DTGO, ...extra });
+  const rows = [
+    geoRow("A", "N00 00.0 E000 00.0", "000", "", "180"),
+    geoRow("B", "N00 00.0 E001 00.0", "060", "080", "120"),
+    geoRow("C", "N01 00.0 E001 00.0", "060", "350", "060"),
+    geoRow("D", "N02 00.0 E001 00.0", "060", "350", "000"),
+  ];
+  const flagsOf = (rs, settings) =>
+    computeDerivedLocked(rs, FPL, { time: "1230", fuel: "" }, undefined, settings).map((r) =>
+      r._derived.flags.map((f) => f.type)
+    );
+
+  it("a consistent navlog raises no flags", () => {
+    expect(flagsOf(rows)).toEqual([[], [], [], []]);
+    expect(flagsOf(rows, { magVarDeg: "10" })).toEqual([[], [], [], []]);
+  });
+
+  it("flags DIST and DTGO cells off by more than the tolerance", () => {
+    const bad = [rows[0], { ...rows[1], DIST: "070" }, { ...rows[2], DTGO: "080" }, rows[3]];
+    expect(flagsOf(bad)).toEqual([[], ["DIST_MISMATCH"], ["DTGO_MISMATCH"], []]);
+  });
+
+  it("flags an MC outlier against the variation estimated from the navlog", () => {
+    // the estimate is the median over B..D (10°E), so only D stands out
+    const bad = [rows[0], rows[1], rows[2], { ...rows[3], MC: "020" }];
+    expect(flagsOf(bad)).toEqual([[], [], [], ["MC_MISMATCH"]]);
+  });
+
+  it("uses the variation from settings when entered", () => {
+    const out = flagsOf(rows, { magVarDeg: "-5" });
+    expect(out).toEqual([[], ["MC_MISMATCH"], ["MC_MISMATCH"], ["MC_MISMATCH"]]);
+    const [, b] = computeDerivedLocked(rows, FPL, { time: "1230", fuel: "" }, undefined, {
+      magVarDeg: "-5",
+    });
+    expect(b._derived.flags[0].message).toBe("MC 080 vs 095 computed (TC 90 − 5°W)");
+  });
+
+  it.each([
+    ["release-geometry", {}],
+    // hand-typed cells, kept as the golden-file fixture: DIST / MC / DTGO don't fit
+    [
+      "release-full",
+      {
+        JOH: ["MC_MISMATCH", "DTGO_MISMATCH"],
+        YAK: ["DIST_MISMATCH", "DTGO_MISMATCH"],
+        PAJN: ["DIST_MISMATCH"],
+      },
+    ],
+  ])("%s.txt fixture", (name, expected) => {
+    const text = fs.readFileSync(path.join(__dirname, "__fixtures__", `${name}.txt`), "utf8");
+    const res = parseReleaseText(text, { mode: "columns" });
+    const out = computeDerivedLocked(res.waypoints, res.fpl, { time: "2330", fuel: "" });
+    const flagged = Object.fromEntries(
+      out
+        .map((r) => [r.IDENT, r._derived.flags.map((f) => f.type)])
+        .filter(([, types]) => types.length)
+    );
+    expect(flagged).toEqual(expected);
+  });
+});
+
+describe("computeFuelTrend", () => {
+  const fpl = { ...FPL, estLandingFuelTenths: 125.0 };
+  const actualTO = { time: "1230", fuel: "152.0" };
+  const rows = [
+    row("JOH", "0.30", "0070", { FRMG: "1450", _actualTime: "1300", _actualFuel: "145.0" }),
+    row("ORCAS", "1.00", "0140", { FRMG: "1380", _actualTime: "1330", _actualFuel: "137.0" }),
+    row("PAJN", "2.00", "0280", { FRMG: "1240" }),
+  ];
+  const trend = (rs, settings) =>
+    computeFuelTrend(computeDerivedLocked(rs, fpl, actualTO), fpl, actualTO, settings);
+
+  it("fits the burn rate through T/O fuel and the AFOB entries", () => {
+    const t = trend(rows);
+    expect(t.burnRateTenthsPerHour).toBe(150); // 152.0, 145.0, 137.0 at +0 / +30 / +60 min
+    expect(t.plannedBurnRateTenthsPerHour).toBe(140);
+    expect(t.takeoff).toEqual({ timeAbsMin: 12 * 60 + 30, fuelTenths: 1520 });
+  });
+
+  it("projects from the latest AFOB to the destination", () => {
+    const t = trend(rows, { finalReserveFuel: "30.0", alternateFuel: "40.0" });
+    expect(t.points.map((p) => p.projectedTenths)).toEqual([null, null, 1220]);
+    expect(t.dest.ident).toBe("PAJN");
+    expect(t.projectedDestTenths).toBe(1220);
+    expect(t.estLandingTenths).toBe(1250);
+    expect(t.belowEstLanding).toBe(true);
+    expect(t.minimumTenths).toBe(700);
+    expect(t.belowMinimum).toBe(false);
+  });
+
+  it("no AFOB entries: no trend, no projection", () => {
+    const t = trend(rows.map(({ _actualFuel, ...r }) => r));
+    expect(t.burnRateTenthsPerHour).toBeNull();
+    expect(t.projectedDestTenths).toBeNull();
+    expect(t.minimumTenths).toBeNull();
+    expect(t.belowMinimum).toBeNull();
+  });
+
+  it("an AFOB at the destination is the landing fuel", () => {
+    const landed = [...rows.slice(0, 2), { ...rows[2], _actualTime: "1430", _actualFuel: "122.5" }];
+    expect(trend(landed).projectedDestTenths).toBe(1225);
+  });
+});
+
+describe("reserve policy", () => {
+  // EFOA = AFOB - DSTN(13.5)
+  const settings = {
+    finalReserveFuel: "30.0",
+    alternateFuel: "40.0",
+    contingencyFuel: "10.0",
+    minDiversionFuel: "",
+  };
+  const actualTO = { time: "1230", fuel: "152.0" };
+  const flagsAt = (afob, s = settings, fpl = FPL) => {
+    const rows = [row("JOH", "0.16", "0092", { _actualFuel: afob })];
+    const [r] = computeDerivedLocked(rows, fpl, actualTO, undefined, s);
+    return r._derived.flags.map((f) => f.type);
+  };
+
+  it.each([
+    { afob: "95.0", flags: [] }, // EFOA 81.5, above 80.0 (ALTN + FINRES + CONT)
+    { afob: "90.0", flags: ["RESERVE_CONTINGENCY"] }, // 76.5
+    { afob: "80.0", flags: ["RESERVE_DIVERSION"] }, // 66.5 < 70.0 (ALTN + FINRES)
+    { afob: "40.0", flags: ["RESERVE_FINAL"] }, // 26.5 < 30.0
+  ])("EFOA from AFOB $afob -> $flags", ({ afob, flags }) => {
+    expect(flagsAt(afob)).toEqual(flags);
+  });
+
+  it("an entered min diversion fuel replaces alternate + final reserve", () => {
+    expect(flagsAt("80.0", { ...settings, minDiversionFuel: "60.0" })).toEqual([
+      "RESERVE_CONTINGENCY",
+    ]);
+  });
+
+  it("blank settings fall back to the release fuel summary", () => {
+    const fpl = { ...FPL, fuelPlan: { finalReserve: 300, alternate: 400 } };
+    expect(flagsAt("80.0", {}, fpl)).toEqual(["RESERVE_DIVERSION"]);
+    expect(flagsAt("80.0", {}, FPL)).toEqual([]);
+  });
+
+  it("the trend projection gets a reserve level too", () => {
+    const rows = [
+      row("JOH", "0.30", "0070", { _actualTime: "1300", _actualFuel: "90.0" }),
+      row("PAJN", "1.30", "0200"),
+    ];
+    const to = { time: "1230", fuel: "100.0" }; // 20.0/h
+    const out = computeDerivedLocked(rows, FPL, to, undefined, settings);
+    const t = computeFuelTrend(out, FPL, to, settings);
+    expect(t.projectedDestTenths).toBe(700);
+    expect(t.minimumTenths).toBe(700);
+    expect(t.reserveLevel).toBe(1); // 70.0 < 80.0, not below 70.0
+    expect(t.policy.thresholds.map((x) => [x.key, x.tenths])).toEqual([
+      ["contingency", 800],
+      ["diversion", 700],
+      ["finalReserve", 300],
+    ]);
+  });
+});
+
+describe("checkTakeoffFuel", () => {
+  const plan = { takeoff: 1520, taxi: 20, block: 1540 };
+
+  it.each([
+    { fuel: "152.0", status: "ok", diff: 0 },
+    { fuel: "150.0", status: "ok", diff: -20 }, // within the taxi allowance
+    { fuel: "149.8", status: "low", diff: -22 },
+    { fuel: "154.0", status: "ok", diff: 20 },
+    { fuel: "154.5", status: "high", diff: 25 }, // more than BLOCK
+  ])("T/O fuel $fuel -> $status", ({ fuel, status, diff }) => {
+    const res = checkTakeoffFuel(plan, { time: "1230", fuel });
+    expect(res.status).toBe(status);
+    expect(res.diffTenths).toBe(diff);
+  });
+
+  it("tolerance is at least 1% of TOF when taxi is small or missing", () => {
+    expect(checkTakeoffFuel({ takeoff: 1520 }, { fuel: "150.6" }).status).toBe("ok");
+    expect(checkTakeoffFuel({ takeoff: 1520 }, { fuel: "150.4" }).status).toBe("low");
+  });
+
+  it("nothing to check without a TOF or a T/O fuel entry", () => {
+    expect(checkTakeoffFuel(null, { fuel: "152.0" })).toBeNull();
+    expect(checkTakeoffFuel({ trip: 385 }, { fuel: "152.0" })).toBeNull();
+    expect(checkTakeoffFuel(plan, { fuel: "" })).toBeNull();
+  });
+});
+
+describe("undo / redo + audit log", () => {
+  const parsed = () =>
+    navlogHistoryReducer(initialState, {
+      type: "SET_PARSED",
+      payload: {
+        waypoints: [row("JOH", "0.16", "0092"), row("ORCAS", "0.46", "0178")],
+        fpl: FPL,
+      },
+    });
+  const run = (state, ...actions) =>
+    actions.reduce((s, a, i) => navlogHistoryReducer(s, { at: `T${i}`, ...a }), state);
+  const setTO = (payload, extra = {}) => ({ type: "SET_TO", payload, ...extra });
+  const setWp = (index, time, fuel) => ({
+    type: "SET_ACTUAL_WP",
+    payload: { index, time, fuel },
+  });
+
+  it("logs each changed field with its previous value", () => {
+    const s = run(
+      parsed(),
+      setTO({ time: "1230", fuel: "152.0" }),
+      setWp(0, "1246", "141.0"),
+      setWp(0, "1246", "140.5")
+    );
+    expect(s.auditLog.map((e) => [e.action, e.target, e.field, e.from, e.to])).toEqual([
+      ["SET_TO", "T/O", "Time", "", "1230"],
+      ["SET_TO", "T/O", "Fuel", "", "152.0"],
+      ["SET_ACTUAL_WP", "JOH", "ATA", "", "1246"],
+      ["SET_ACTUAL_WP", "JOH", "AFOB", "", "141.0"],
+      ["SET_ACTUAL_WP", "JOH", "AFOB", "141.0", "140.5"],
+    ]);
+    expect(Object.isFrozen(s.auditLog[0])).toBe(true);
+    expect(s.auditLog[4].at).toBe("T2");
+  });
+
+  it("undo restores the previous entry, redo re-applies it, both are logged", () => {
+    const s = run(parsed(), setTO({ time: "1230", fuel: "152.0" }), setWp(0, "1246", "141.0"));
+    const undone = run(s, { type: "UNDO" });
+    expect(undone.waypoints[0]._actualFuel).toBe("");
+    expect(undone.computed[0]._derived.updatedFuelTenths).toBe(1428);
+    expect(undone.auditLog.slice(-2).map((e) => [e.action, e.field, e.from, e.to])).toEqual([
+      ["UNDO", "ATA", "1246", ""],
+      ["UNDO", "AFOB", "141.0", ""],
+    ]);
+
+    const redone = run(undone, { type: "REDO" });
+    expect(redone.waypoints[0]._actualFuel).toBe("141.0");
+    expect(redone.history.future).toEqual([]);
+    expect(redone.auditLog).toHaveLength(s.auditLog.length + 4);
+  });
+
+  it("a new entry clears the redo stack", () => {
+    const s = run(parsed(), setWp(0, "1246", "141.0"), { type: "UNDO" }, setWp(1, "1316", "133.0"));
+    expect(s.history.future).toEqual([]);
+    expect(run(s, { type: "REDO" })).toBe(s);
+  });
+
+  it("T/O keystrokes are drafts until Set Takeoff commits them", () => {
+    const s = run(
+      parsed(),
+      setTO({ time: "1", fuel: "" }, { draft: true }),
+      setTO({ time: "12", fuel: "" }, { draft: true }),
+      setTO({ time: "1230", fuel: "" }, { draft: true })
+    );
+    expect(s.auditLog).toEqual([]);
+    const committed = run(s, setTO(s.actualTO));
+    expect(committed.auditLog.map((e) => e.to)).toEqual(["1230"]);
+    expect(committed.history.past).toHaveLength(1);
+  });
+
+  it("UI-only actions are not undo steps", () => {
+    const s = run(
+      parsed(),
+      { type: "OPEN_MODAL", payload: { index: 0 } },
+      { type: "SET_STATUS", payload: "x" }
+    );
+    expect(s.history.past).toEqual([]);
+    expect(s.auditLog).toEqual([]);
+  });
+
+  it("exports as CSV", () => {
+    const s = run(parsed(), setWp(0, "1246", "141.0, approx"));
+    expect(auditLogCsv(s.auditLog).split("\n")).toEqual([
+      "time_utc,action,target,field,from,to",
+      "T0,SET_ACTUAL_WP,JOH,ATA,,1246",
+      'T0,SET_ACTUAL_WP,JOH,AFOB,,"141.0, approx"',
+      "",
+    ]);
+  });
+});
+
+describe("parser corrections", () => {
+  const parsed = navlogHistoryReducer(initialState, {
+    type: "SET_PARSED",
+    payload: {
+      waypoints: [
+        row("JOH", "0.16", "0092", { __raw: "JOH 108 ..." }),
+        row("ORCAS", "0.46", "0178"),
+      ],
+      fpl: FPL,
+    },
+  });
+  const withTO = navlogHistoryReducer(parsed, {
+    type: "SET_TO",
+    payload: { time: "1230", fuel: "152.0" },
+  });
+  const override = (state, index, field, value) =>
+    navlogHistoryReducer(state, {
+      type: "OVERRIDE_FIELD",
+      payload: { index, field, value },
+      at: "T",
+    });
+
+  it("keeps the parsed value and recomputes from the correction", () => {
+    const s = override(withTO, 0, "TBO", "0082");
+    expect(s.waypoints[0].TBO).toBe("0082");
+    expect(s.waypoints[0]._parsed).toEqual({ TBO: "0092" });
+    expect(s.computed[0]._derived.updatedFuelTenths).toBe(1438);
+    expect(s.auditLog.slice(-1)[0]).toMatchObject({
+      action: "OVERRIDE_FIELD",
+      target: "JOH",
+      field: "TBO",
+      from: "0092",
+      to: "0082",
+    });
+  });
+
+  it("a second correction keeps the first parsed value; typing it back reverts", () => {
+    const twice = override(override(withTO, 0, "TBO", "0082"), 0, "TBO", "0085");
+    expect(twice.waypoints[0]._parsed).toEqual({ TBO: "0092" });
+    const reverted = override(twice, 0, "TBO", "0092");
+    expect(reverted.waypoints[0]._parsed).toEqual({});
+    expect(reverted.computed[0]._derived.updatedFuelTenths).toBe(1428);
+  });
+
+  it("undo removes the correction", () => {
+    const s = navlogHistoryReducer(override(withTO, 0, "TBO", "0082"), { type: "UNDO" });
+    expect(s.waypoints[0].TBO).toBe("0092");
+    expect(s.waypoints[0]._parsed).toBeUndefined();
+  });
+
+  it("collects the overrides with the raw navlog line", () => {
+    const s = override(override(withTO, 0, "TAS", "M84"), 0, "MAC", "480");
+    expect(collectOverrides(s.waypoints, s.alternate.waypoints)).toEqual([
+      {
+        section: "main",
+        index: 0,
+        ident: "JOH",
+        field: "TAS",
+        parsed: "",
+        corrected: "M84",
+        raw: "JOH 108 ...",
+      },
+      {
+        section: "main",
+        index: 0,
+        ident: "JOH",
+        field: "MAC",
+        parsed: "",
+        corrected: "480",
+        raw: "JOH 108 ...",
+      },
+    ]);
+  });
+});
+
+describe("reroute", () => {
+  // 60 NM legs at 360 kt (10 min) burning 2.0 per 10 min; C is 60 NM north of B
+  const ROUTE = [
+    { IDENT: "A", coord: "N00 00.0 E000 00.0", T_TME: "0.00", TBO: "0000", FRMG: "1520" },
+    { IDENT: "B", coord: "N00 00.0 E001 00.0", T_TME: "0.10", TBO: "0020", FRMG: "1500" },
+    { IDENT: "C", coord: "N01 00.0 E001 00.0", T_TME: "0.20", TBO: "0040", FRMG: "1480" },
+    { IDENT: "D", coord: "N01 00.0 E002 00.0", T_TME: "0.30", TBO: "0060", FRMG: "1460" },
+  ].map((w) => ({ DIST: "60", G_S: "360", DSTN: "0135", ...w }));
+
+  const parsed = navlogHistoryReducer(
+    navlogHistoryReducer(initialState, {
+      type: "SET_PARSED",
+      payload: { waypoints: ROUTE, fpl: FPL },
+    }),
+    { type: "SET_TO", payload: { time: "1230", fuel: "152.0" } }
+  );
+  const run = (...actions) => actions.reduce(navlogHistoryReducer, parsed);
+  const plan = (s) =>
+    s.computed.map((r) => [
+      r.IDENT,
+      r._derived.plannedETAHHMM,
+      r._derived.plannedBurnTenths,
+      r._derived.updatedFuelTenths,
+    ]);
+
+  it("without a reroute the navlog's cumulative T/TME and TBO are used as printed", () => {
+    expect(plan(parsed)).toEqual([
+      ["A", "1230", 0, 0],
+      ["B", "1240", 20, 1500],
+      ["C", "1250", 40, 1480],
+      ["D", "1300", 60, 1460],
+    ]);
+  });
+
+  it("a skipped waypoint times the direct leg from the coordinates", () => {
+    const s = run({ type: "SKIP_WP", payload: { index: 2, skipped: true } });
+    // B -> D 85 NM at 360 kt: 14 min, 2.8 at D's planned rate
+    expect(plan(s)).toEqual([
+      ["A", "1230", 0, 0],
+      ["B", "1240", 20, 1500],
+      ["C", "", 0, 0],
+      ["D", "1254", 48, 1472],
+    ]);
+    expect(s.computed[3]._derived.leg).toEqual({ nm: 85, min: 14, burnTenths: 28 });
+    expect(s.computed[3]._derived.plannedFuelTenths).toBe(1472);
+    expect(s.computed[2]._derived.skipped).toBe(true);
+  });
+
+  it("direct-to skips everything not flown yet before the target", () => {
+    const s = run(
+      { type: "SET_ACTUAL_WP", payload: { index: 1, time: "1240", fuel: "150.0" } },
+      { type: "DIRECT_TO", payload: { index: 3 } }
+    );
+    expect(s.waypoints.map((w) => !!w._skipped)).toEqual([false, false, true, false]);
+    expect(s.currentWaypoint).toBe(3);
+    expect(plan(s)[3]).toEqual(["D", "1254", 48, 1472]);
+  });
+
+  it("an inserted waypoint re-times the legs into and out of it", () => {
+    const s = run({
+      type: "INSERT_WP",
+      payload: { after: 1, IDENT: "x", coord: "N00 00.0 E002 00.0", dist: "", time: "", burn: "" },
+    });
+    expect(s.waypoints[2]).toMatchObject({ IDENT: "X", _inserted: true, id: 4, DSTN: "0135" });
+    expect(plan(s)).toEqual([
+      ["A", "1230", 0, 0],
+      ["B", "1240", 20, 1500],
+      ["X", "1250", 40, 1480],
+      ["C", "1304", 68, 1452],
+      ["D", "1314", 88, 1432],
+    ]);
+  });
+
+  it("entered leg time and burn win over the estimates", () => {
+    const s = run({
+      type: "INSERT_WP",
+      payload: { after: 1, IDENT: "X", coord: "", dist: "40", time: "8", burn: "1.5" },
+    });
+    expect(s.computed[2]._derived.leg).toEqual({ nm: 40, min: 8, burnTenths: 15 });
+    expect(plan(s)[2]).toEqual(["X", "1248", 35, 1485]);
+  });
+
+  it("moved waypoints fly new legs in the new order", () => {
+    const s = run({ type: "MOVE_WP", payload: { index: 3, to: 2 } });
+    expect(plan(s)).toEqual([
+      ["A", "1230", 0, 0],
+      ["B", "1240", 20, 1500],
+      ["D", "1254", 48, 1472],
+      ["C", "1304", 68, 1452],
+    ]);
+  });
+
+  it("keeps checking DIST / DTGO along the planned sequence", () => {
+    const s = run({ type: "SKIP_WP", payload: { index: 2, skipped: true } });
+    expect(s.computed[3]._derived.geo.legNm).toBeCloseTo(60, 0);
+  });
+
+  it("reroutes are logged and undoable", () => {
+    const s = run(
+      { type: "SKIP_WP", payload: { index: 2, skipped: true }, at: "T1" },
+      { type: "MOVE_WP", payload: { index: 3, to: 2 }, at: "T2" }
+    );
+    const log = s.auditLog.slice(-2).map((e) => [e.action, e.target, e.field, e.from, e.to]);
+    expect(log).toEqual([
+      ["SKIP_WP", "C", "Skipped", "", "yes"],
+      ["MOVE_WP", "Route", "Sequence", "A B C D", "A B D C"],
+    ]);
+    const undone = navlogHistoryReducer(navlogHistoryReducer(s, { type: "UNDO" }), {
+      type: "UNDO",
+    });
+    expect(plan(undone)).toEqual(plan(parsed));
+  });
+
+  it("ignores a move from or to a row that does not exist, or onto itself", () => {
+    for (const payload of [
+      { index: 9, to: 1 },
+      { index: -1, to: 1 },
+      { index: 1, to: 4 },
+      { index: 2, to: 2 },
+    ]) {
+      expect(run({ type: "MOVE_WP", payload })).toBe(parsed);
+    }
+  });
+
+  it("diverting closes the reroute controls and freezes the main-route rows", () => {
+    const diverted = run(
+      { type: "SET_REROUTE_MODE", payload: true },
+      { type: "SET_ACTUAL_WP", payload: { index: 1, time: "1240", fuel: "150.0" } },
+      { type: "DIVERT" }
+    );
+    expect(diverted.rerouteMode).toBe(false);
+    expect(diverted.diversion).toMatchObject({ fromIndex: 1, fromIdent: "B" });
+    for (const action of [
+      { type: "MOVE_WP", payload: { index: 3, to: 1 } },
+      { type: "SKIP_WP", payload: { index: 2, skipped: true } },
+      { type: "INSERT_WP", payload: { after: 0, IDENT: "X", coord: "" } },
+    ]) {
+      expect(navlogHistoryReducer(diverted, action)).toBe(diverted);
+    }
+  });
+
+  it("labels an alternate leg diverted mid-route as planned from the destination", () => {
+    const divertAt = (...actions) => {
+      const s = run(...actions, { type: "DIVERT" });
+      return alternatePlannedFrom(s.diversion, s.waypoints, s.fpl);
+    };
+    const atWp = (index, time) => ({
+      type: "SET_ACTUAL_WP",
+      payload: { index, time, fuel: "150.0" },
+    });
+    expect(alternatePlannedFrom(null, parsed.waypoints, FPL)).toBeNull();
+    expect(divertAt()).toBe("PAJN");
+    expect(divertAt(atWp(1, "1240"))).toBe("PAJN");
+    expect(divertAt(atWp(3, "1300"))).toBeNull();
+    // the last row is skipped: the one before it ends the main route
+    const skipLast = { type: "SKIP_WP", payload: { index: 3, skipped: true } };
+    expect(divertAt(atWp(2, "1250"), skipLast)).toBeNull();
+  });
+});
+
+describe("critical points (ETP / PNR)", () => {
+  // equator route, 60 NM legs at 360 kt still air (10 min) burning 2.0 per 10 min
+  const ROUTE = [
+    { IDENT: "PAAA", coord: "N00 00.0 E000 00.0", T_TME: "0.00", TBO: "0000", FRMG: "1520" },
+    { IDENT: "FIX1", coord: "N00 00.0 E001 00.0", T_TME: "0.10", TBO: "0020", FRMG: "1500" },
+    { IDENT: "FIX2", coord: "N00 00.0 E002 00.0", T_TME: "0.20", TBO: "0040", FRMG: "1480" },
+    { IDENT: "PBBB", coord: "N00 00.0 E003 00.0", T_TME: "0.30", TBO: "0060", FRMG: "1460" },
+  ].map((w) => ({ DIST: "60", TAS: "360", WIND: "000/00", G_S: "360", DSTN: "0135", ...w }));
+
+  const parsed = [
+    { type: "SET_PARSED", payload: { waypoints: ROUTE, fpl: { ...FPL, depTimeHHMM: "1230" } } },
+    { type: "SET_TO", payload: { time: "1230", fuel: "152.0" } },
+  ].reduce(navlogHistoryReducer, initialState);
+  const run = (...actions) => actions.reduce(navlogHistoryReducer, parsed);
+  const summary = (s) =>
+    computeCriticalPoints(s).map((p) => [
+      p.kind === "ETP" ? `ETP ${p.from}/${p.to}` : `PNR ${p.to}`,
+      p.legTo,
+      Math.round(p.fraction * 100) / 100,
+    ]);
+
+  it("defaults to an ETP between the departure and the destination", () => {
+    expect(summary(parsed)).toEqual([["ETP PAAA/PBBB", 2, 0.5]]);
+    const [etp] = computeCriticalPoints(parsed);
+    expect(Math.round(etp.absMin % 1440)).toBe(12 * 60 + 45);
+    expect(Math.round(etp.fuelTenths)).toBe(1490);
+  });
+
+  it("builds ETPs between the chosen airports, Settings airports included", () => {
+    const s = run(
+      { type: "SET_SETTINGS", payload: { etpAirports: "PCCC N00 00.0 E001 00.0" } },
+      { type: "SET_ETP_AIRPORTS", payload: ["PBBB", "PCCC", "PAAA"] }
+    );
+    expect(summary(s)).toEqual([
+      ["ETP PAAA/PCCC", 1, 0.5],
+      ["ETP PCCC/PBBB", 2, 1],
+    ]);
+  });
+
+  it("puts the PNR where the fuel only just returns with the final reserve", () => {
+    // 152.0 - x/30 out - x/30 back = 142.0 -> x = 150 NM
+    const s = run({ type: "SET_SETTINGS", payload: { finalReserveFuel: "142.0" } });
+    expect(summary(s)).toContainEqual(["PNR PAAA", 3, 0.5]);
+  });
+
+  it("moves the PNR back when actual fuel comes in below plan", () => {
+    const s = run(
+      { type: "SET_SETTINGS", payload: { finalReserveFuel: "142.0" } },
+      { type: "SET_ACTUAL_WP", payload: { index: 1, time: "1240", fuel: "148.0" } }
+    );
+    const pnr = computeCriticalPoints(s).find((p) => p.kind === "PNR");
+    expect(pnr.legTo).toBe(2);
+  });
+});
+
+describe("position reports", () => {
+  const ROUTE = [
+    row("PANC", "0.00", "0000", { coord: "N61 10.4 W150 00.6", FL: "CLB" }),
+    row("JOH", "0.16", "0092", { coord: "N60 29.0 W146 35.9", FL: "350" }),
+    row("-CZVR", "0.31", "0120", { coord: "N60 29.0 W146 35.9", FL: "350" }),
+    row("ORCAS", "0.30", "0178", { coord: "N59 25.0 W143 10.2", FL: "350" }),
+    row("", "0.40", "0210", { coord: "N59 30.0 W140 00.0", FL: "350" }),
+    row("PAJN", "1.08", "0385", { coord: "N58 21.3 W134 34.6", FL: "DSC" }),
+  ];
+  const state = [
+    {
+      type: "SET_PARSED",
+      payload: { waypoints: ROUTE, fpl: { ...FPL, callsign: "ASA65", cruiseLevel: "F350" } },
+    },
+    { type: "SET_TO", payload: { time: "2330", fuel: "152.0" } },
+    { type: "SET_ACTUAL_WP", payload: { index: 1, time: "23.48", fuel: "141.0" } },
+  ].reduce(navlogHistoryReducer, initialState);
+
+  it("reports the ATA, then the next two reporting points with the updated ETA", () => {
+    const r = positionReportAt(state.computed, 1, state.fpl);
+    expect(r).toMatchObject({
+      callsign: "ASA65",
+      position: "JOH",
+      time: "2348",
+      timeIsActual: true,
+      level: "FL350",
+      next: { position: "ORCAS", eta: "0002" },
+      following: { position: "5930N14000W" },
+    });
+  });
+
+  it("uses the updated ETA before an ATA and the FPL level on CLB / DSC rows", () => {
+    const r = positionReportAt(state.computed, 5, state.fpl);
+    expect(r).toMatchObject({ position: "PAJN", timeIsActual: false, level: "FL350" });
+    expect(r.time).toBe(state.computed[5]._derived.updatedETAHHMM);
+    expect(r.next).toBeNull();
+  });
+
+  it("leaves skipped waypoints out of next / following", () => {
+    const s = navlogHistoryReducer(state, { type: "SKIP_WP", payload: { index: 3, skipped: true } });
+    const r = positionReportAt(s.computed, 1, s.fpl);
+    expect(r.next.position).toBe("5930N14000W");
+    expect(r.following.position).toBe("PAJN");
+  });
+});
+
+describe("session persistence", () => {
+  beforeEach(() => window.localStorage.clear());
+
+  const flight = (fplNumber, flightDate) => ({
+    ...FPL,
+    raw: fplNumber ? `(FPL-${fplNumber}-IS` : "",
+    flightDate,
+  });
+  const setWp = (index, time, fuel) => ({
+    type: "SET_ACTUAL_WP",
+    payload: { index, time, fuel },
+  });
+  const WAYPOINTS = [row("JOH", "0.16", "0092"), row("ORCAS", "0.46", "0178")];
+  const flown = (fpl, time, fuel) =>
+    [
+      {
+        type: "SET_PARSED",
+        payload: { waypoints: WAYPOINTS, fpl, sessionKey: newSessionKey(fpl) },
+      },
+      { type: "SET_TO", payload: { time: "1230", fuel: "152.0" } },
+      setWp(0, time, fuel),
+    ].reduce(navlogHistoryReducer, initialState);
+
+  it("makes a new key per upload, prefixed with the FPL number and flight date", () => {
+    const fpl = flight("ABC123", "2026-03-01");
+    const [a, b] = [newSessionKey(fpl), newSessionKey(fpl)];
+    expect(a).toMatch(/^ABC123\.2026-03-01\.\w+$/);
+    expect(b).not.toBe(a);
+    expect(newSessionKey(flight("", ""))).toMatch(/^UNKNOWN\.\w+$/);
+  });
+
+  it("SET_PARSED keeps the key it is given (the reducer makes none)", () => {
+    const parse = (sessionKey) =>
+      navlogHistoryReducer(initialState, {
+        type: "SET_PARSED",
+        payload: { waypoints: WAYPOINTS, fpl: FPL, sessionKey },
+      }).sessionKey;
+    expect(parse("ABC123.2026-03-01.k1")).toBe("ABC123.2026-03-01.k1");
+    expect(parse(undefined)).toBeNull();
+  });
+
+  it("round-trips through saveSession, listSessions, loadSession and RESTORE_SESSION", () => {
+    const s = flown(flight("ABC123", "2026-03-01"), "1246", "141.0");
+    saveSession(s);
+    expect(listSessions()).toEqual([
+      expect.objectContaining({
+        key: s.sessionKey,
+        fplNumber: "ABC123",
+        dep: "PANC",
+        dest: "PAJN",
+        flightDate: "2026-03-01",
+        waypointCount: 2,
+        actualCount: 1,
+      }),
+    ]);
+
+    const restored = navlogHistoryReducer(initialState, {
+      type: "RESTORE_SESSION",
+      payload: loadSession(s.sessionKey),
+    });
+    expect(restored.sessionKey).toBe(s.sessionKey);
+    expect(restored.actualTO).toEqual(s.actualTO);
+    expect(restored.waypoints.map((w) => [w.IDENT, w._actualTime, w._actualFuel])).toEqual([
+      ["JOH", "1246", "141.0"],
+      ["ORCAS", "", ""],
+    ]);
+    expect(restored.computed.map((r) => r._derived.updatedFuelTenths)).toEqual(
+      s.computed.map((r) => r._derived.updatedFuelTenths)
+    );
+    expect(restored.auditLog).toEqual(s.auditLog);
+
+    // the resumed flight keeps writing to its own entry
+    saveSession(navlogHistoryReducer(restored, setWp(1, "1316", "133.0")));
+    expect(listSessions().map((e) => [e.key, e.actualCount])).toEqual([[s.sessionKey, 2]]);
+  });
+
+  it("keeps the same flight number on another day, and releases without an FPL, apart", () => {
+    const flights = [
+      flown(flight("ABC123", "2026-03-01"), "1246", "141.0"),
+      flown(flight("ABC123", "2026-03-02"), "1250", "140.0"),
+      flown(flight("", ""), "1247", "139.0"),
+      flown(flight("", ""), "1248", "138.0"),
+    ];
+    flights.forEach(saveSession);
+
+    expect(listSessions().map((e) => e.fplNumber)).toEqual(["", "", "ABC123", "ABC123"]);
+    expect(new Set(listSessions().map((e) => e.key)).size).toBe(4);
+    for (const s of flights) {
+      expect(loadSession(s.sessionKey).waypoints[0]._actualFuel).toBe(s.waypoints[0]._actualFuel);
+    }
+  });
+
+  it("offers the last active session on start until it is deleted", () => {
+    const s = flown(flight("ABC123", "2026-03-01"), "1246", "141.0");
+    saveSession(s);
+    expect(initNavlogState(initialState).resumeOffer).toMatchObject({
+      key: s.sessionKey,
+      fplNumber: "ABC123",
+    });
+
+    deleteSession(s.sessionKey);
+    expect(listSessions()).toEqual([]);
+    expect(loadSession(s.sessionKey)).toBeNull();
+    expect(initNavlogState(initialState).resumeOffer).toBeNull();
+  });
+
+  it("only accepts the same release when one is attached for export", () => {
+    const fpl = flight("ABC123", "2026-03-01");
+    expect(releaseMismatch(fpl, flight("ABC123", "2026-03-02"))).toBeNull();
+    expect(releaseMismatch(fpl, flight("XYZ999", "2026-03-01"))).toBe(
+      "FPL XYZ999 (expected ABC123)"
+    );
+    expect(releaseMismatch(fpl, { ...fpl, dest: "PAKT" })).toBe("DEST PAKT (expected PAJN)");
+    expect(releaseMismatch(fpl, flight("", ""))).toBe("FPL ? (expected ABC123)");
+  });
+});
+
+const TO = { time: "1230", fuel: "152.0" };
+
+function flagsOf(rows, { fpl = FPL, actualTO = TO } = {}) {
+  return applyGuardrails(rows, fpl, actualTO).map((r) => r._derived.flags);
+}
+const typesOf = (rows, opts) => flagsOf(rows, opts).map((fs) => fs.map((f) => f.type));
+
+describe("guardrails", () => {
+  it("has one rule per flag type, in badge order", () => {
+    expect(GUARDRAIL_RULES.map((r) => r.type)).toEqual([
+      "FUEL_INCREASING",
+      "NEGATIVE_UPDATED_FUEL",
+      "AFOB_BELOW_DSTN",
+      "FIR_EET_MISMATCH",
+      "TIME_BEFORE_PREVIOUS",
+      "DIST_MISMATCH",
+      "MC_MISMATCH",
+      "DTGO_MISMATCH",
+      "RESERVE_CONTINGENCY",
+      "RESERVE_DIVERSION",
+      "RESERVE_FINAL",
+    ]);
+  });
+
+  describe("FUEL_INCREASING", () => {
+    it("flags an AFOB above the previous entry", () => {
+      const rows = [
+        row("JOH", "0.16", "0092", { _actualFuel: "141.0" }),
+        row("ORCAS", "0.46", "0178", { _actualFuel: "142.0" }),
+      ];
+      expect(typesOf(rows)).toEqual([[], ["FUEL_INCREASING"]]);
+      expect(flagsOf(rows)[1][0].message).toBe("AFOB 142.0 > 141.0 at JOH");
+    });
+
+    it("compares the first entry with the T/O fuel, skipping rows without one", () => {
+      const rows = [
+        row("JOH", "0.16", "0092"),
+        row("ORCAS", "0.46", "0178", { _actualFuel: "153.0" }),
+      ];
+      expect(flagsOf(rows)[1][0].message).toBe("AFOB 153.0 > 152.0 at T/O");
+    });
+  });
+
+  describe("NEGATIVE_UPDATED_FUEL", () => {
+    const rows = [row("YAK", "0.50", "0336", { _derived: { updatedFuelTenths: -5 } })];
+
+    it("flags a negative updated fuel", () => {
+      expect(flagsOf(rows)).toEqual([
+        [{ type: "NEGATIVE_UPDATED_FUEL", severity: "error", message: "Updated fuel -0.5" }],
+      ]);
+    });
+
+    it("waits for the T/O fuel", () => {
+      expect(typesOf(rows, { actualTO: { time: "1230", fuel: "" } })).toEqual([[]]);
+    });
+
+    it("is not raised by a row with TBO and a blank AFOB (not a fuel anchor)", () => {
+      const out = computeDerivedLocked(
+        [row("JOH", "0.16", "0092", { _actualFuel: "" }), row("ORCAS", "0.46", "0178")],
+        FPL,
+        TO
+      );
+      expect(out.map((r) => r._derived.updatedFuelTenths)).toEqual([1428, 1342]);
+      expect(out.map((r) => r._derived.flags)).toEqual([[], []]);
+    });
+  });
+
+  describe("AFOB_BELOW_DSTN", () => {
+    it("warns when the AFOB entry is below the DSTN", () => {
+      const rows = [row("PAJN", "1.08", "0385", { _actualFuel: "13.0" })];
+      expect(flagsOf(rows)).toEqual([
+        [{ type: "AFOB_BELOW_DSTN", severity: "warn", message: "AFOB 13.0 < DSTN 13.5" }],
+      ]);
+      expect(typesOf([{ ...rows[0], _actualFuel: "13.5" }])).toEqual([[]]);
+    });
+  });
+
+  describe("FIR_EET_MISMATCH", () => {
+    const fpl = { ...FPL, eetByFir: { CZVR: "0025" } };
+
+    it.each([
+      ["0.31", ["FIR_EET_MISMATCH"]],
+      ["0.30", []],
+      ["0.20", []],
+      ["0.19", ["FIR_EET_MISMATCH"]],
+    ])("FIR T/TME %s vs EET/CZVR0025", (T_TME, types) => {
+      expect(typesOf([row("-CZVR", T_TME, "")], { fpl })).toEqual([types]);
+    });
+
+    it("needs an EET/ entry for that FIR", () => {
+      expect(typesOf([row("-PAZA", "0.31", "")], { fpl })).toEqual([[]]);
+    });
+  });
+
+  describe("TIME_BEFORE_PREVIOUS", () => {
+    // compares the absolute ATAs computeDerivedLocked resolves
+    const typesAfterDerive = (rows, actualTO = TO) =>
+      computeDerivedLocked(rows, FPL, actualTO).map((r) => r._derived.flags.map((f) => f.type));
+
+    it("flags an ATA earlier than the previous one", () => {
+      const rows = [
+        row("JOH", "0.16", "0092", { _actualTime: "1250" }),
+        row("ORCAS", "0.46", "0178"),
+        row("YAK", "0.50", "0336", { _actualTime: "1245" }),
+      ];
+      expect(typesAfterDerive(rows)).toEqual([[], [], ["TIME_BEFORE_PREVIOUS"]]);
+      const [, , yak] = computeDerivedLocked(rows, FPL, TO);
+      expect(yak._derived.flags[0].message).toBe("ATA 1245 earlier than 1250 at JOH");
+    });
+
+    it("flags an ATA before the T/O time", () => {
+      const rows = [row("JOH", "0.16", "0092", { _actualTime: "1225" })];
+      expect(typesAfterDerive(rows)).toEqual([["TIME_BEFORE_PREVIOUS"]]);
+    });
+
+    it("allows crossing midnight", () => {
+      const rows = [row("JOH", "0.16", "0092", { _actualTime: "0005" })];
+      expect(typesAfterDerive(rows, { time: "2350", fuel: "152.0" })).toEqual([[]]);
+    });
+  });
+
+  describe("RESERVE_*", () => {
+    // thresholds: contingency 80.0 (ALTN + FINRES + CONT), diversion 70.0, final 30.0
+    const settings = { finalReserveFuel: "30.0", alternateFuel: "40.0", contingencyFuel: "10.0" };
+    const at = (efoa, extra = {}) => {
+      const r = row("JOH", "0.16", "0092", {
+        _actualFuel: "90.0",
+        _derived: { efoaTenths: efoa },
+        ...extra,
+      });
+      return applyGuardrails([r], FPL, TO, null, settings)[0]._derived.flags;
+    };
+
+    it.each([
+      [81.5, []],
+      [76.5, [["RESERVE_CONTINGENCY", "warn", "contingency in use"]]],
+      [66.5, [["RESERVE_DIVERSION", "error", "alternate no longer covered"]]],
+      [26.5, [["RESERVE_FINAL", "error", "MAYDAY FUEL"]]],
+    ])("EFOA %d flags only the highest level breached", (efoa, expected) => {
+      expect(at(efoa).map((f) => [f.type, f.severity, f.message.split(": ")[1]])).toEqual(
+        expected
+      );
+    });
+
+    it("says which threshold was crossed", () => {
+      expect(at(66.5)[0].message).toMatch(/^EFOA 66\.5 < .+ 70\.0: /);
+    });
+
+    it("needs an AFOB entry at that row", () => {
+      expect(at(26.5, { _actualFuel: "" })).toEqual([]);
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 
 import App from "./App";
+import { registerServiceWorker } from "./serviceWorkerRegistration";
 
 const rootElement = document.getElementById("root");
 const root = createRoot(rootElement);
@@ -11,3 +12,6 @@ root.render(
     <App />
   </StrictMode>
 );
+
+// cache the app shell so the tracker works with no network after first load
+registerServiceWorker();
@@ -0,0 +1,272 @@
+import { rowText } from "./text.js";
+import {
+  sliceRowsNotamSection,
+  sliceRowsPerformanceSection,
+  sliceRowsWeatherSection,
+} from "./sections.js";
+
+// ---------------------- Briefing (weather / NOTAM / performance) ----------------------
+// Times are absolute minutes (minutes since 1970-01-01 00:00Z, the tracker's time model)
+// resolved from day-of-month groups against the flight date; null without a flight date.
+
+function sectionLines(sliced) {
+  if (!sliced.ok) return [];
+  return sliced.slicedRows.map(rowText).filter((t) => t && t !== "__PAGE_BREAK__");
+}
+
+// Report lines: a line starting with one of the keywords opens a report, any other line
+// continues the previous one ("  TEMPO 0200/0204 ...").
+function groupReports(lines, startRe) {
+  const out = [];
+  for (const line of lines) {
+    const t = line.trim();
+    if (startRe.test(t) || !out.length) out.push(t);
+    else out[out.length - 1] += ` ${t}`;
+  }
+  return out;
+}
+
+// DD HH MM (day of month) -> absolute minutes in the month that puts it nearest the
+// flight date. Hour 24 is 00 the next day (TAF validity "0124").
+export function dayHourToAbsMin(day, hour, minute, flightDate) {
+  const m = String(flightDate || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m || day < 1 || day > 31 || hour > 24 || minute > 59) return null;
+  const ref = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 60000;
+
+  let best = null;
+  for (const dm of [-1, 0, 1]) {
+    const monthStart = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1 + dm, 1));
+    const t = Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth(), day) / 60000;
+    if (new Date(t * 60000).getUTCMonth() !== monthStart.getUTCMonth()) continue; // 31 Feb
+    const abs = t + hour * 60 + minute;
+    if (best == null || Math.abs(abs - ref) < Math.abs(best - ref)) best = abs;
+  }
+  return best;
+}
+
+// ---------------------- METAR / TAF ----------------------
+const WX_START_RE = /^(METAR|SPECI|TAF)\b/;
+const DDHHMMZ_RE = /^(\d{2})(\d{2})(\d{2})Z$/;
+const VALIDITY_RE = /^(\d{2})(\d{2})\/(\d{2})(\d{2})$/;
+const FM_RE = /^FM(\d{2})(\d{2})(\d{2})$/;
+const PROB_RE = /^PROB(30|40)$/;
+
+function validity(token, flightDate) {
+  const m = String(token).match(VALIDITY_RE);
+  if (!m) return null;
+  return {
+    from: dayHourToAbsMin(Number(m[1]), Number(m[2]), 0, flightDate),
+    to: dayHourToAbsMin(Number(m[3]), Number(m[4]), 0, flightDate),
+  };
+}
+
+// "METAR PAJN 012253Z 11012KT ..." -> { type, station, timeAbsMin, raw }
+export function parseMetar(text, { flightDate } = {}) {
+  const tokens = String(text || "").trim().split(/\s+/);
+  const type = tokens[0];
+  const station = tokens[1] || "";
+  const t = (tokens[2] || "").match(DDHHMMZ_RE);
+  return {
+    type,
+    station,
+    timeAbsMin: t ? dayHourToAbsMin(Number(t[1]), Number(t[2]), Number(t[3]), flightDate) : null,
+    raw: tokens.join(" "),
+  };
+}
+
+// "TAF PAJN 012320Z 0200/0224 12012KT ... TEMPO 0200/0204 ... FM020600 ..." ->
+// { station, issuedAbsMin, from, to, periods: [{ kind, from, to, text }], raw }
+//   kind: BASE | FM | BECMG | TEMPO | PROB30 | PROB40 | PROB30 TEMPO ...
+//   BASE / FM / BECMG set the prevailing conditions from their start (BECMG: from the
+//   start of the change) until the next one; TEMPO / PROB only apply inside their window.
+export function parseTaf(text, { flightDate } = {}) {
+  const tokens = String(text || "").trim().split(/\s+/);
+  let i = 1;
+  while (tokens[i] === "AMD" || tokens[i] === "COR") i++;
+  const station = tokens[i++] || "";
+  const issued = (tokens[i] || "").match(DDHHMMZ_RE);
+  if (issued) i++;
+  const valid = validity(tokens[i], flightDate);
+  if (valid) i++;
+
+  const periods = [];
+  let current = { kind: "BASE", from: valid?.from ?? null, to: null, words: [] };
+  const open = (p) => {
+    periods.push(current);
+    current = { to: null, words: [], ...p };
+  };
+
+  while (i < tokens.length) {
+    const tok = tokens[i];
+    const fm = tok.match(FM_RE);
+    const prob = tok.match(PROB_RE);
+    if (fm) {
+      const at = dayHourToAbsMin(Number(fm[1]), Number(fm[2]), Number(fm[3]), flightDate);
+      open({ kind: "FM", from: at });
+      i++;
+    } else if ((tok === "BECMG" || tok === "TEMPO" || prob) && validity(tokens[i + 1], flightDate)) {
+      open({ kind: tok, ...validity(tokens[i + 1], flightDate) });
+      i += 2;
+    } else if (prob && tokens[i + 1] === "TEMPO" && validity(tokens[i + 2], flightDate)) {
+      open({ kind: `${tok} TEMPO`, ...validity(tokens[i + 2], flightDate) });
+      i += 3;
+    } else {
+      current.words.push(tok);
+      i++;
+    }
+  }
+  periods.push(current);
+
+  // prevailing periods run until the next prevailing change (or the end of validity)
+  const prevailing = periods.filter((p) => isPrevailing(p.kind));
+  prevailing.forEach((p, k) => {
+    if (p.kind === "BECMG") p.window = { from: p.from, to: p.to };
+    p.to = k + 1 < prevailing.length ? prevailing[k + 1].from : valid?.to ?? null;
+  });
+
+  return {
+    station,
+    issuedAbsMin: issued
+      ? dayHourToAbsMin(Number(issued[1]), Number(issued[2]), Number(issued[3]), flightDate)
+      : null,
+    from: valid?.from ?? null,
+    to: valid?.to ?? null,
+    periods: periods.map(({ words, ...p }) => ({ ...p, text: words.join(" ") })),
+    raw: tokens.join(" "),
+  };
+}
+
+function isPrevailing(kind) {
+  return kind === "BASE" || kind === "FM" || kind === "BECMG";
+}
+
+// TAF at a time (absolute minutes), with a margin either side (e.g. ETA ± 60 min):
+// -> { status, prevailing, temporary }
+//   status:     "inside" | "edge" (margin runs past the validity) | "before" | "after"
+//               | "unknown" (no times)
+//   prevailing: the BASE / FM / BECMG period in force at the time
+//   temporary:  TEMPO / PROB periods overlapping the margin window
+export function tafAtTime(taf, absMin, marginMin = 0) {
+  if (!taf || absMin == null || taf.from == null || taf.to == null) {
+    return { status: "unknown", prevailing: null, temporary: [] };
+  }
+  const lo = absMin - marginMin;
+  const hi = absMin + marginMin;
+  const status =
+    absMin < taf.from
+      ? "before"
+      : absMin >= taf.to
+      ? "after"
+      : lo < taf.from || hi > taf.to
+      ? "edge"
+      : "inside";
+
+  const prevailing =
+    [...taf.periods]
+      .reverse()
+      .find((p) => isPrevailing(p.kind) && p.from != null && p.from <= absMin) || null;
+  const temporary = taf.periods.filter(
+    (p) => !isPrevailing(p.kind) && p.from != null && p.to != null && p.from < hi && p.to > lo
+  );
+  return { status, prevailing, temporary };
+}
+
+export function parseWeatherFromRows(rows, { flightDate } = {}) {
+  const reports = groupReports(sectionLines(sliceRowsWeatherSection(rows)), WX_START_RE);
+  return {
+    metars: reports
+      .filter((r) => /^(METAR|SPECI)\b/.test(r))
+      .map((r) => parseMetar(r, { flightDate })),
+    tafs: reports.filter((r) => /^TAF\b/.test(r)).map((r) => parseTaf(r, { flightDate })),
+  };
+}
+
+// ---------------------- NOTAM ----------------------
+// "PAJN A0123/26 RWY 08/26 CLSD ..." (location optional) then continuation lines,
+// validity as "FROM 2603010000 TO 2603152359|PERM" or ICAO "B) 2603010000 C) ...".
+const NOTAM_ID = "[A-Z]\\d{4}\\/\\d{2}";
+const NOTAM_START_RE = new RegExp(`^(?:[A-Z]{4}\\s+)?${NOTAM_ID}\\b`);
+const NOTAM_HEAD_RE = new RegExp(`^(?:([A-Z]{4})\\s+)?(${NOTAM_ID})\\s*(.*)$`);
+const NOTAM_FROM_RE = /\b(?:FROM|B\))\s*(\d{10})\b/;
+const NOTAM_TO_RE = /\b(?:TO|C\))\s*(\d{10}|PERM)\b/;
+
+// YYMMDDHHMM -> absolute minutes
+function yymmddhhmmToAbsMin(s) {
+  const m = String(s || "").match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const [yy, mo, dd, hh, mi] = m.slice(1).map(Number);
+  return Date.UTC(2000 + yy, mo - 1, dd, hh, mi) / 60000;
+}
+
+// -> [{ id, location, text, from, to, permanent, raw }] (from / to null when not printed)
+export function parseNotamsFromRows(rows) {
+  return groupReports(sectionLines(sliceRowsNotamSection(rows)), NOTAM_START_RE)
+    .filter((r) => NOTAM_START_RE.test(r))
+    .map((raw) => {
+      const [, location = "", id, rest] = raw.match(NOTAM_HEAD_RE);
+      const from = raw.match(NOTAM_FROM_RE);
+      const to = raw.match(NOTAM_TO_RE);
+      const text = rest
+        .replace(NOTAM_FROM_RE, "")
+        .replace(NOTAM_TO_RE, "")
+        .replace(/\s+/g, " ")
+        .trim();
+      return {
+        id,
+        location: location || (text.match(/\bA\)\s*([A-Z]{4})\b/) || [])[1] || "",
+        text,
+        from: from ? yymmddhhmmToAbsMin(from[1]) : null,
+        to: to && to[1] !== "PERM" ? yymmddhhmmToAbsMin(to[1]) : null,
+        permanent: to?.[1] === "PERM",
+        raw,
+      };
+    });
+}
+
+// active at a time: inside [from, to]; a NOTAM without times is treated as active
+export function notamActiveAt(notam, absMin) {
+  if (absMin == null) return null;
+  if (notam.from != null && absMin < notam.from) return false;
+  if (notam.to != null && absMin > notam.to) return false;
+  return true;
+}
+
+// ---------------------- Takeoff / landing performance ----------------------
+const PERF_START_RE = /^(TAKEOFF|T\/O|LANDING|LDG)\b/;
+const PERF_VALUE_RE =
+  /\b(RWY|FLAPS|FLAP|V1|VR|V2|VREF|VAPP|TOW|LDW|FLEX|ASSUMED|THRUST|BRAKES|AUTOBRAKE)\s+([A-Z0-9./-]+)/g;
+
+// -> { takeoff: [{ text, values }], landing: [...], other: [...] }
+//    values: the usual figures found in the line ({ RWY: "07R", V1: "142", ... })
+export function parsePerformanceFromRows(rows) {
+  const out = { takeoff: [], landing: [], other: [] };
+  const lines = sectionLines(sliceRowsPerformanceSection(rows));
+  for (const text of groupReports(lines, PERF_START_RE)) {
+    const values = {};
+    for (const m of text.matchAll(PERF_VALUE_RE)) {
+      if (!(m[1] in values)) values[m[1]] = m[2];
+    }
+    const kind = /^(TAKEOFF|T\/O)\b/.test(text)
+      ? "takeoff"
+      : /^(LANDING|LDG)\b/.test(text)
+      ? "landing"
+      : "other";
+    out[kind].push({ text, values });
+  }
+  return out;
+}
+
+export const EMPTY_BRIEFING = {
+  weather: { metars: [], tafs: [] },
+  notams: [],
+  performance: { takeoff: [], landing: [], other: [] },
+};
+
+// everything the release carries besides the navlog; empty lists when a section is absent
+export function parseBriefingFromRows(rows, { flightDate } = {}) {
+  return {
+    weather: parseWeatherFromRows(rows, { flightDate }),
+    notams: parseNotamsFromRows(rows),
+    performance: parsePerformanceFromRows(rows),
+  };
+}
@@ -0,0 +1,156 @@
+import {
+  dayHourToAbsMin,
+  EMPTY_BRIEFING,
+  notamActiveAt,
+  parseBriefingFromRows,
+  parseNotamsFromRows,
+  parseTaf,
+  rowsFromTextLines,
+  sliceRowsWeatherSection,
+  tafAtTime,
+} from "./index.js";
+
+const FLIGHT_DATE = "2026-03-01";
+const at = (iso) => Date.parse(iso) / 60000;
+
+const RELEASE = [
+  "PANC 61 10.5N 149 59.9W",
+  "----------------------- FUEL SUMMARY",
+  "TRIP 0385 CONT 0019",
+  "----------------------- WEATHER",
+  "METAR PAJN 012253Z 11012KT 10SM OVC035 02/M01 A2987",
+  "TAF PAJN 012320Z 0200/0224 12012KT P6SM OVC030",
+  "  TEMPO 0200/0204 4SM -RA BR OVC015",
+  "  FM020600 14015G25KT 3SM -RA OVC010",
+  "----------------------- NOTAMS",
+  "PAJN A0123/26 RWY 08/26 CLSD",
+  "  FROM 2603010000 TO 2603152359",
+  "A0200/26 A) PAGS ILS U/S B) 2603020000 C) PERM",
+  "----------------------- TAKEOFF PERFORMANCE",
+  "TAKEOFF PANC RWY 07R FLAPS 15 V1 142 VR 148 V2 154",
+  "LANDING PAJN RWY 08 VREF 148",
+].join("\n");
+
+describe("dayHourToAbsMin", () => {
+  it("places a day-of-month group in the month nearest the flight date", () => {
+    expect(dayHourToAbsMin(1, 23, 20, FLIGHT_DATE)).toBe(at("2026-03-01T23:20Z"));
+    expect(dayHourToAbsMin(28, 18, 0, FLIGHT_DATE)).toBe(at("2026-02-28T18:00Z"));
+    expect(dayHourToAbsMin(2, 24, 0, FLIGHT_DATE)).toBe(at("2026-03-03T00:00Z"));
+  });
+
+  it("is null without a flight date", () => {
+    expect(dayHourToAbsMin(1, 23, 20, null)).toBeNull();
+  });
+});
+
+describe("sliceRowsWeatherSection", () => {
+  it("runs from its divider to the next one", () => {
+    const res = sliceRowsWeatherSection(rowsFromTextLines(RELEASE));
+    expect(res.ok).toBe(true);
+    expect(res.slicedRows).toHaveLength(4);
+  });
+
+  it("fails without the section", () => {
+    expect(sliceRowsWeatherSection(rowsFromTextLines("TRIP 0385")).ok).toBe(false);
+  });
+});
+
+describe("parseTaf", () => {
+  const taf = parseTaf(
+    "TAF AMD PAJN 012320Z 0200/0224 12012KT P6SM OVC030 TEMPO 0200/0204 4SM -RA " +
+      "FM020600 14015G25KT OVC010 BECMG 0210/0212 OVC020 PROB30 TEMPO 0214/0218 1SM RA",
+    { flightDate: FLIGHT_DATE }
+  );
+
+  it("decodes the validity and the change groups into periods", () => {
+    expect(taf.station).toBe("PAJN");
+    expect(taf.from).toBe(at("2026-03-02T00:00Z"));
+    expect(taf.to).toBe(at("2026-03-03T00:00Z"));
+    expect(taf.periods.map((p) => [p.kind, p.text])).toEqual([
+      ["BASE", "12012KT P6SM OVC030"],
+      ["TEMPO", "4SM -RA"],
+      ["FM", "14015G25KT OVC010"],
+      ["BECMG", "OVC020"],
+      ["PROB30 TEMPO", "1SM RA"],
+    ]);
+  });
+
+  it("runs each prevailing period to the next one, BECMG from the start of its change", () => {
+    const [base, , fm, becmg] = taf.periods;
+    expect(base.to).toBe(at("2026-03-02T06:00Z"));
+    expect(fm.to).toBe(at("2026-03-02T10:00Z"));
+    expect(becmg.to).toBe(taf.to);
+    expect(becmg.window).toEqual({ from: at("2026-03-02T10:00Z"), to: at("2026-03-02T12:00Z") });
+  });
+
+  it.each([
+    ["2026-03-02T02:00Z", 0, "inside", "BASE", ["TEMPO"]],
+    ["2026-03-02T07:00Z", 60, "inside", "FM", []],
+    ["2026-03-02T13:30Z", 60, "inside", "BECMG", ["PROB30 TEMPO"]],
+    ["2026-03-02T23:30Z", 60, "edge", "BECMG", []],
+    ["2026-03-01T23:00Z", 60, "before", null, []],
+    ["2026-03-03T01:00Z", 60, "after", "BECMG", []],
+  ])("at %s ± %i min -> %s", (time, margin, status, prevailing, temporary) => {
+    const res = tafAtTime(taf, at(time), margin);
+    expect(res.status).toBe(status);
+    expect(res.prevailing?.kind ?? null).toBe(prevailing);
+    expect(res.temporary.map((p) => p.kind)).toEqual(temporary);
+  });
+
+  it("is unknown without an ETA", () => {
+    expect(tafAtTime(taf, null).status).toBe("unknown");
+  });
+});
+
+describe("parseNotamsFromRows", () => {
+  const notams = parseNotamsFromRows(rowsFromTextLines(RELEASE));
+
+  it("reads FROM / TO and ICAO B) / C) validity, joining continuation lines", () => {
+    expect(notams).toEqual([
+      expect.objectContaining({
+        id: "A0123/26",
+        location: "PAJN",
+        text: "RWY 08/26 CLSD",
+        from: at("2026-03-01T00:00Z"),
+        to: at("2026-03-15T23:59Z"),
+        permanent: false,
+      }),
+      expect.objectContaining({
+        id: "A0200/26",
+        location: "PAGS",
+        from: at("2026-03-02T00:00Z"),
+        to: null,
+        permanent: true,
+      }),
+    ]);
+  });
+
+  it("is active inside its validity", () => {
+    expect(notamActiveAt(notams[0], at("2026-03-02T01:00Z"))).toBe(true);
+    expect(notamActiveAt(notams[0], at("2026-03-16T00:00Z"))).toBe(false);
+    expect(notamActiveAt(notams[1], at("2026-03-01T23:00Z"))).toBe(false);
+    expect(notamActiveAt(notams[1], null)).toBeNull();
+  });
+});
+
+describe("parseBriefingFromRows", () => {
+  it("collects weather, NOTAMs and performance", () => {
+    const res = parseBriefingFromRows(rowsFromTextLines(RELEASE), { flightDate: FLIGHT_DATE });
+    expect(res.weather.metars.map((m) => m.station)).toEqual(["PAJN"]);
+    expect(res.weather.metars[0].timeAbsMin).toBe(at("2026-03-01T22:53Z"));
+    expect(res.weather.tafs.map((t) => t.periods.length)).toEqual([3]);
+    expect(res.notams).toHaveLength(2);
+    expect(res.performance.takeoff[0].values).toEqual({
+      RWY: "07R",
+      FLAPS: "15",
+      V1: "142",
+      VR: "148",
+      V2: "154",
+    });
+    expect(res.performance.landing[0].values).toEqual({ RWY: "08", VREF: "148" });
+  });
+
+  it("is empty for a release without those sections", () => {
+    expect(parseBriefingFromRows(rowsFromTextLines("TRIP 0385"))).toEqual(EMPTY_BRIEFING);
+  });
+});
@@ -0,0 +1,40 @@
+import { rowText } from "./text.js";
+
+// ---------------------- Flight date (DOF/ or release header) ----------------------
+// Dates are returned as ISO "YYYY-MM-DD" (UTC day), "" when absent or invalid.
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+function isoDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) {
+    return "";
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+// ICAO Item 18 DOF/YYMMDD -> "20YY-MM-DD"
+export function dofToIsoDate(dof) {
+  const m = String(dof || "").match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (!m) return "";
+  return isoDate(2000 + Number(m[1]), Number(m[2]), Number(m[3]));
+}
+
+// "01MAR26" / "1MAR2026" anywhere in a line -> "2026-03-01"
+export function releaseDateFromText(text) {
+  const rx = new RegExp(`\\b(\\d{1,2})(${MONTHS.join("|")})(\\d{4}|\\d{2})\\b`, "i");
+  const m = String(text || "").match(rx);
+  if (!m) return "";
+  const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+  return isoDate(year, MONTHS.indexOf(m[2].toUpperCase()) + 1, Number(m[1]));
+}
+
+// first dated line of the release (the header block comes before the navlog)
+export function releaseDateFromRows(rows) {
+  for (const r of rows || []) {
+    const t = rowText(r);
+    if (t === "__PAGE_BREAK__") continue;
+    const d = releaseDateFromText(t);
+    if (d) return d;
+  }
+  return "";
+}
@@ -0,0 +1,183 @@
+import {
+  coordToDecimal,
+  greatCircleNm,
+  initialTrueCourse,
+  intermediatePoint,
+} from "./geo.js";
+
+// ---------------------- Critical points (ETP / PNR) ----------------------
+// Computed along a track of positioned navlog points, in the order flown:
+//   track: [{ index, ident, pos: { lat, lon }, absMin, fuelTenths, tas, wind, gs }]
+// index is the navlog row, absMin / fuelTenths what we expect (or had) there. Leg k runs
+// track[k - 1] -> track[k] and is flown with track[k]'s TAS / wind / G/S and burn rate;
+// a diversion from a point on that leg is assumed to fly the same TAS in the same wind.
+// - ETP (equal time point) between two airports: same flying time to either of them.
+// - PNR (point of no return) for an airport: the last point from which we can still fly
+//   back to it and land with the reserve.
+
+// "280/50" -> { dir: 280, kt: 50 } (direction the wind blows from, degrees true)
+export function parseWind(s) {
+  const m = String(s || "").trim().match(/^(\d{3})\/(\d{2,3})$/);
+  return m ? { dir: Number(m[1]), kt: Number(m[2]) } : null;
+}
+
+// ground speed flying a true course at a TAS in a wind (wind triangle), null when the
+// crosswind is stronger than the TAS
+export function groundSpeedOnCourse(tas, wind, trueCourse) {
+  if (!(tas > 0)) return null;
+  if (!wind) return tas;
+  const a = ((wind.dir - trueCourse) * Math.PI) / 180;
+  const cross = wind.kt * Math.sin(a);
+  if (Math.abs(cross) >= tas) return null;
+  return Math.sqrt(tas ** 2 - cross ** 2) - wind.kt * Math.cos(a);
+}
+
+// "PACD N55 12.3 W162 43.6" lines -> [{ ident, coord, pos }] (unreadable lines dropped)
+export function parseAirportList(text) {
+  return String(text || "")
+    .split(/\n|;/)
+    .map((line) => line.trim().toUpperCase().match(/^([A-Z0-9]{3,4})\s+(.+)$/))
+    .filter(Boolean)
+    .map(([, ident, coord]) => ({ ident, coord: coord.trim(), pos: coordToDecimal(coord) }))
+    .filter((a) => a.pos);
+}
+
+// ground speed from a point towards an airport, with the leg's TAS / wind (G/S fallback)
+function speedToward(leg, pos, airport) {
+  const course = initialTrueCourse(pos, airport.pos);
+  const gs = groundSpeedOnCourse(leg.tas, parseWind(leg.wind), course);
+  return gs ?? (leg.gs > 0 ? leg.gs : null);
+}
+
+// burn per minute (tenths) on the leg a -> b, else the average over the track
+function burnPerMin(a, b, track) {
+  const rate = (p, q) =>
+    p.fuelTenths != null && q.fuelTenths != null && q.absMin > p.absMin
+      ? (p.fuelTenths - q.fuelTenths) / (q.absMin - p.absMin)
+      : null;
+  const leg = rate(a, b);
+  if (leg > 0) return leg;
+  const avg = rate(track[0], track[track.length - 1]);
+  return avg > 0 ? avg : null;
+}
+
+const lerp = (x, y, f) => (x == null || y == null ? null : x + (y - x) * f);
+
+function pointOnLeg(a, b, f) {
+  return {
+    legFrom: a.index,
+    legTo: b.index,
+    fraction: f,
+    pos: intermediatePoint(a.pos, b.pos, f),
+    legNm: greatCircleNm(a.pos, b.pos) * f, // from a
+    absMin: lerp(a.absMin, b.absMin, f),
+    fuelTenths: lerp(a.fuelTenths, b.fuelTenths, f),
+  };
+}
+
+// First point where g(point, leg end, leg start) goes from negative to >= 0, bisected
+// on the leg; null when it never does (or is already >= 0 at the start of the track).
+const BISECT_STEPS = 40;
+function firstCrossing(track, g) {
+  for (let k = 1; k < track.length; k++) {
+    const a = track[k - 1];
+    const b = track[k];
+    const at = (f) => g(pointOnLeg(a, b, f), b, a);
+    const g0 = at(0);
+    if (g0 == null) continue;
+    if (g0 >= 0) return k === 1 ? null : pointOnLeg(a, b, 0);
+    const g1 = at(1);
+    if (g1 == null || g1 < 0) continue;
+
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < BISECT_STEPS; i++) {
+      const mid = (lo + hi) / 2;
+      const gm = at(mid);
+      if (gm != null && gm >= 0) hi = mid;
+      else lo = mid;
+    }
+    return pointOnLeg(a, b, hi);
+  }
+  return null;
+}
+
+// -> { kind: "ETP", from, to, ...point, minutesToAirport, fuelToAirportTenths } | null
+export function equalTimePoint(track, from, to) {
+  const minutes = (p, leg, airport) => {
+    const gs = speedToward(leg, p.pos, airport);
+    return gs ? (greatCircleNm(p.pos, airport.pos) / gs) * 60 : null;
+  };
+  const pt = firstCrossing(track, (p, leg) => {
+    const tFrom = minutes(p, leg, from);
+    const tTo = minutes(p, leg, to);
+    return tFrom == null || tTo == null ? null : tFrom - tTo;
+  });
+  if (!pt) return null;
+
+  const k = track.findIndex((t) => t.index === pt.legTo);
+  const leg = track[k];
+  const min = minutes(pt, leg, from);
+  const rate = burnPerMin(track[k - 1], leg, track);
+  return {
+    kind: "ETP",
+    from: from.ident,
+    to: to.ident,
+    ...pt,
+    minutesToAirport: Math.round(min),
+    fuelToAirportTenths: rate == null ? null : Math.round(min * rate),
+  };
+}
+
+// -> { kind: "PNR", to, ...point, minutesToAirport, fuelToAirportTenths } | null
+//    (null when we can fly back from anywhere on the track)
+export function pointOfNoReturn(track, airport, { reserveTenths = 0 } = {}) {
+  const back = (p, leg, start) => {
+    const gs = speedToward(leg, p.pos, airport);
+    const rate = burnPerMin(start, leg, track);
+    if (!gs || rate == null || p.fuelTenths == null) return null;
+    const min = (greatCircleNm(p.pos, airport.pos) / gs) * 60;
+    return { min, fuel: min * rate };
+  };
+  const pt = firstCrossing(track, (p, leg, start) => {
+    const r = back(p, leg, start);
+    return r && r.fuel + reserveTenths - p.fuelTenths;
+  });
+  if (!pt) return null;
+
+  const k = track.findIndex((t) => t.index === pt.legTo);
+  const r = back(pt, track[k], track[k - 1]);
+  return {
+    kind: "PNR",
+    to: airport.ident,
+    ...pt,
+    minutesToAirport: Math.round(r.min),
+    fuelToAirportTenths: Math.round(r.fuel),
+  };
+}
+
+// Airports in the order the track passes them (by the nearest track point), ETPs between
+// each consecutive pair and the PNR for the first one. -> sorted along the track
+export function criticalPoints(track, airports, { reserveTenths = 0 } = {}) {
+  const pts = (track || []).filter((t) => t.pos);
+  const ordered = (airports || [])
+    .filter((a) => a.pos)
+    .map((a) => {
+      const dist = pts.map((t) => greatCircleNm(t.pos, a.pos));
+      return { a, k: dist.indexOf(Math.min(...dist)) };
+    })
+    .sort((x, y) => x.k - y.k)
+    .map((x) => x.a);
+  if (pts.length < 2 || !ordered.length) return [];
+
+  const out = [];
+  for (let i = 1; i < ordered.length; i++) {
+    const etp = equalTimePoint(pts, ordered[i - 1], ordered[i]);
+    if (etp) out.push(etp);
+  }
+  const pnr = pointOfNoReturn(pts, ordered[0], { reserveTenths });
+  if (pnr) out.push(pnr);
+
+  const order = (p) => pts.findIndex((t) => t.index === p.legTo) + p.fraction;
+  return out.sort((x, y) => order(x) - order(y));
+}
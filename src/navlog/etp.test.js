@@ -0,0 +1,125 @@
+import {
+  criticalPoints,
+  decimalToCoord,
+  equalTimePoint,
+  groundSpeedOnCourse,
+  intermediatePoint,
+  parseAirportList,
+  parseWind,
+  pointOfNoReturn,
+} from "./index.js";
+
+// equator route, 60 NM legs at 360 kt (10 min), 2 tenths of fuel per minute
+const track = ["A", "B", "C", "D"].map((ident, k) => ({
+  index: k,
+  ident,
+  pos: { lat: 0, lon: k },
+  absMin: 10 * k,
+  fuelTenths: 1000 - 20 * k,
+  tas: 360,
+  wind: "000/00",
+  gs: 360,
+}));
+const airport = (ident, lon) => ({ ident, pos: { lat: 0, lon } });
+const NM_PER_DEG = 60.04; // on the equator
+
+describe("geo helpers", () => {
+  it("intermediatePoint walks the great circle", () => {
+    const p = intermediatePoint({ lat: 0, lon: 0 }, { lat: 0, lon: 2 }, 0.25);
+    expect(p.lat).toBeCloseTo(0, 6);
+    expect(p.lon).toBeCloseTo(0.5, 6);
+  });
+
+  it.each([
+    [{ lat: 61.17333, lon: -150.01 }, "N61 10.4 W150 00.6"],
+    [{ lat: -33.94667, lon: 151.17667 }, "S33 56.8 E151 10.6"],
+    [{ lat: 0, lon: 0 }, "N00 00.0 E000 00.0"],
+  ])("decimalToCoord(%p)", (pos, coord) => {
+    expect(decimalToCoord(pos)).toBe(coord);
+  });
+});
+
+describe("wind", () => {
+  it("parseWind", () => {
+    expect(parseWind("280/50")).toEqual({ dir: 280, kt: 50 });
+    expect(parseWind("CLB")).toBeNull();
+  });
+
+  it.each([
+    [90, 450],
+    [270, 350],
+    [0, Math.sqrt(400 ** 2 - 50 ** 2)],
+  ])("groundSpeedOnCourse TAS 400, wind 270/50, course %i", (course, gs) => {
+    expect(groundSpeedOnCourse(400, { dir: 270, kt: 50 }, course)).toBeCloseTo(gs, 6);
+  });
+
+  it("is null without a TAS or against a crosswind stronger than the TAS", () => {
+    expect(groundSpeedOnCourse(0, null, 90)).toBeNull();
+    expect(groundSpeedOnCourse(40, { dir: 0, kt: 50 }, 90)).toBeNull();
+  });
+});
+
+describe("parseAirportList", () => {
+  it("reads IDENT + navlog coordinate lines", () => {
+    const list = parseAirportList("pacd N55 12.3 W162 43.6\nnonsense\nPASY N52 42.7 E174 06.8");
+    expect(list.map((a) => [a.ident, a.coord])).toEqual([
+      ["PACD", "N55 12.3 W162 43.6"],
+      ["PASY", "N52 42.7 E174 06.8"],
+    ]);
+    expect(list[0].pos.lat).toBeCloseTo(55.205, 3);
+  });
+});
+
+describe("equalTimePoint", () => {
+  it("is half way in still air", () => {
+    const etp = equalTimePoint(track, airport("A", 0), airport("D", 3));
+    expect(etp).toMatchObject({ kind: "ETP", from: "A", to: "D", legFrom: 1, legTo: 2 });
+    expect(etp.fraction).toBeCloseTo(0.5, 6);
+    expect(etp.absMin).toBeCloseTo(15, 6);
+    expect(etp.fuelTenths).toBeCloseTo(970, 6);
+    expect(etp.minutesToAirport).toBe(15);
+    expect(etp.fuelToAirportTenths).toBe(30);
+  });
+
+  it("moves towards the airport into wind", () => {
+    // tailwind to D (420 kt), headwind back to A (300 kt): x / 300 = (180 - x) / 420
+    const windy = track.map((t) => ({ ...t, wind: "270/60" }));
+    const etp = equalTimePoint(windy, airport("A", 0), airport("D", 3));
+    expect(etp.legTo).toBe(2);
+    expect(etp.pos.lon * NM_PER_DEG).toBeCloseTo(75 * (NM_PER_DEG / 60), 0);
+  });
+
+  it("is null when both airports are behind", () => {
+    expect(equalTimePoint(track, airport("X", -2), airport("Y", -1))).toBeNull();
+  });
+});
+
+describe("pointOfNoReturn", () => {
+  it("is where the fuel left only just flies back and keeps the reserve", () => {
+    // 1000 - x/3 (out) - x/3 (back) = 900 -> x = 150 NM
+    const pnr = pointOfNoReturn(track, airport("A", 0), { reserveTenths: 900 });
+    expect(pnr).toMatchObject({ kind: "PNR", to: "A", legFrom: 2, legTo: 3 });
+    expect(pnr.fraction).toBeCloseTo(0.5, 2);
+    expect(pnr.minutesToAirport).toBe(25);
+    expect(pnr.fuelToAirportTenths).toBe(50);
+  });
+
+  it("is null when we can always return", () => {
+    expect(pointOfNoReturn(track, airport("A", 0), { reserveTenths: 0 })).toBeNull();
+  });
+});
+
+describe("criticalPoints", () => {
+  it("orders the airports along the track and sorts the points", () => {
+    const pts = criticalPoints(
+      track,
+      [airport("D", 3), airport("A", 0), airport("B", 1)],
+      { reserveTenths: 900 }
+    );
+    expect(pts.map((p) => `${p.kind} ${p.from || ""}${p.to}`)).toEqual([
+      "ETP AB",
+      "ETP BD",
+      "PNR A",
+    ]);
+  });
+});
@@ -0,0 +1,196 @@
+import { rowText } from "./text.js";
+import { printedFuelToDisplay } from "./units.js";
+
+// ---------------------- ICAO (FPL) parse (Items 7-18) ----------------------
+// "(FPL-ABC123-IS ..." -> "ABC123"
+export function fplNumberFromRaw(raw) {
+  const m = String(raw || "").match(/\(FPL-([A-Z0-9]+)-/i);
+  return m ? m[1] : "";
+}
+
+// Item 18 indicators (ICAO Doc 4444 App 2), in filing order
+export const ITEM18_INDICATORS = [
+  "STS", "PBN", "NAV", "COM", "DAT", "SUR", "DEP", "DEST", "DOF", "REG", "EET", "SEL",
+  "TYP", "CODE", "DLE", "OPR", "ORGN", "PER", "ALTN", "RALT", "TALT", "RIF", "RMK",
+];
+
+// "PBN/A1B1 DOF/260301 RMK/TCAS EQUIPPED" -> { PBN: "A1B1", DOF: "260301", RMK: "TCAS EQUIPPED" }
+// Only known indicators start a new field, so "RMK/NEW TCAS/ACAS" stays one remark.
+// A repeated indicator is appended to the first one (space separated).
+export function parseItem18(text) {
+  const out = {};
+  const s = String(text || "").trim();
+  if (!s || s === "0") return out;
+
+  const rx = new RegExp(`(?:^|\\s)(${ITEM18_INDICATORS.join("|")})\\/`, "g");
+  const starts = [...s.matchAll(rx)].map((m) => ({
+    key: m[1],
+    at: m.index + m[0].length - m[1].length - 1,
+    valueAt: m.index + m[0].length,
+  }));
+  starts.forEach((st, i) => {
+    const value = s.slice(st.valueAt, i + 1 < starts.length ? starts[i + 1].at : s.length).trim();
+    out[st.key] = out[st.key] ? `${out[st.key]} ${value}` : value;
+  });
+  return out;
+}
+
+// Item 15 first element: "N0490F350" -> { speed: "N0490", level: "F350" }
+export function parseSpeedLevel(token) {
+  const m = String(token || "").match(/^([NKM]\d{3,4})(F\d{3}|A\d{3}|S\d{4}|M\d{4}|VFR)$/);
+  return m ? { speed: m[1], level: m[2] } : null;
+}
+
+// "N0490" -> "490 KT", "M082" -> "M.82", "K0900" -> "900 KM/H"
+export function describeSpeed(speed) {
+  const m = String(speed || "").match(/^([NKM])(\d{3,4})$/);
+  if (!m) return "";
+  if (m[1] === "N") return `${Number(m[2])} KT`;
+  if (m[1] === "K") return `${Number(m[2])} KM/H`;
+  return `M.${m[2].slice(1)}`;
+}
+
+// cruising level -> flight level (hundreds of feet), for comparing with the navlog FL column
+// F350 -> 350, A045 -> 45, S1130 (tens of metres) -> 371, M0840 (tens of metres) -> 276
+export function levelToFlightLevel(level) {
+  const m = String(level || "").match(/^([FASM])(\d{3,4})$/);
+  if (!m) return null;
+  const n = Number(m[2]);
+  if (m[1] === "F" || m[1] === "A") return n;
+  return Math.round((n * 10) / 0.3048 / 100);
+}
+
+export function parseIcaoFplFromText(text, { fuelUnit } = {}) {
+  const t = String(text || "");
+
+  // ✅ Parse EST LANDING FUEL (anywhere in the document text, not inside the (FPL-...) block)
+  // Matches examples:
+  // "EST LANDING FUEL 13500" (mass, scaled to the fuel unit)
+  // "EST. LANDING FUEL: 12.3"
+  // "EST LANDING FUEL 15"
+  let estLandingFuelTenths = null;
+  let estLandingFuelRaw = "";
+  {
+    const mFuel = t.match(
+      /\bEST\.?\s+LANDING\s+FUEL\b[^0-9]*([0-9]+(?:\.[0-9]+)?)/i
+    );
+    if (mFuel) {
+      estLandingFuelRaw = mFuel[1];
+      estLandingFuelTenths = printedFuelToDisplay(mFuel[1], fuelUnit);
+    }
+  }
+
+  const m = t.match(/\(FPL-[\s\S]*?\)/);
+  if (!m)
+    return {
+      ok: false,
+      fpl: {
+        dep: "",
+        dest: "",
+        alt: "",
+        depTimeHHMM: "",
+        dof: "",
+        eetByFir: {},
+        estLandingFuelTenths, // ✅ still return it even if FPL block missing
+        estLandingFuelRaw,
+      },
+    };
+
+  const fpl = m[0].replace(/\s+/g, " ").trim();
+
+  // Items are "-" separated; releases print them compact ("-PANC1230-N0490F350 ...")
+  // or one per line ("-PANC1230 -N0490F350 ..."), so split and trim instead of
+  // matching fixed neighbours. Item 18 (and 19, if present) may contain "-" itself.
+  const parts = fpl
+    .slice(1, -1)
+    .split("-")
+    .map((x) => x.trim());
+  const [, item7 = "", item8 = "", item9 = "", item10 = "", item13 = "", item15 = "", item16 = ""] =
+    parts;
+  const rest = parts.slice(8);
+  const item19At = rest.findIndex((x) => /^E\/\d{4}\b/.test(x));
+  const item18 = (item19At === -1 ? rest : rest.slice(0, item19At)).join("-").trim();
+  const item19 = item19At === -1 ? "" : rest.slice(item19At).join("-").trim();
+
+  // Item 8: IS -> rules I, type S
+  const rules8 = item8.replace(/\s/g, "").match(/^([IVYZ])([SNGMX])?$/);
+
+  // Item 9: [count]TYPE/WTC, e.g. B77L/H, 2F18/M
+  const type9 = item9.replace(/\s/g, "").match(/^(\d{0,2})([A-Z0-9]{2,4})\/([LMHJ])$/);
+
+  // Item 10: equipment/surveillance, e.g. SDE3FGHIJ3J4J5M1P2RWXYZ/LB1D1
+  const [equipment = "", surveillance = ""] = item10.replace(/\s/g, "").split("/");
+
+  // Item 13: -PANC1230
+  const dep13 = item13.match(/^([A-Z]{4})(\d{4})$/);
+  const dep = dep13 ? dep13[1] : "";
+  const depTimeHHMM = dep13 ? dep13[2] : "";
+
+  // Item 15: speed/level then the route string
+  const [first15 = "", ...route15] = item15.split(" ");
+  const cruise = parseSpeedLevel(first15);
+
+  // Item 16: -KORD0450 KRFD [2nd alternate]
+  const item16m = item16.match(/^([A-Z]{4})(\d{4})((?:\s+[A-Z]{4}){0,2})$/);
+  const dest = item16m ? item16m[1] : "";
+  const totalEetHHMM = item16m ? item16m[2] : "";
+  const [alt = "", alt2 = ""] = item16m ? item16m[3].trim().split(/\s+/) : [];
+
+  // Item 18: DOF/260301 (YYMMDD) date of flight, EET/CZEG0034 KZMP0316
+  const indicators = parseItem18(item18);
+  const dof = /^\d{6}$/.test(indicators.DOF || "") ? indicators.DOF : "";
+
+  const eetByFir = {};
+  for (const p of String(indicators.EET || "").split(/\s+/)) {
+    const mm = p.match(/^([A-Z0-9]{3,6})(\d{4})$/);
+    if (mm) eetByFir[mm[1]] = mm[2];
+  }
+
+  return {
+    ok: true,
+    fpl: {
+      dep,
+      dest,
+      alt,
+      depTimeHHMM,
+      dof,
+      eetByFir,
+      estLandingFuelTenths, // ✅ added (display units, X.Y)
+      estLandingFuelRaw, // as printed, to re-scale when the fuel unit changes
+      raw: fpl,
+
+      // full decode (Items 7-10, 15, 16, 18)
+      callsign: item7,
+      flightRules: rules8 ? rules8[1] : "",
+      flightType: rules8 ? rules8[2] || "" : "",
+      aircraftCount: type9 && type9[1] ? Number(type9[1]) : 1,
+      aircraftType: type9 ? type9[2] : "",
+      wakeCategory: type9 ? type9[3] : "",
+      equipment,
+      surveillance,
+      cruiseSpeed: cruise ? cruise.speed : "",
+      cruiseLevel: cruise ? cruise.level : "",
+      route: (cruise ? route15 : [first15, ...route15]).join(" ").trim(),
+      totalEetHHMM,
+      alt2,
+      item18: indicators,
+      item19,
+    },
+  };
+}
+
+// Returns tenths (e.g., 12.3 -> 123) or null
+export function parseEstLandingFuelTenthsFromRows(rows) {
+  const rx = /\bEST\.?\s+LANDING\s+FUEL\b[^0-9]*([0-9]+(?:\.[0-9])?)/i;
+
+  for (const r of rows) {
+    const t = typeof r === "string" ? r : rowText(r);
+    const m = String(t || "").match(rx);
+    if (!m) continue;
+
+    const v = parseFloat(m[1]);
+    if (isFinite(v)) return Math.round(v * 10);
+  }
+
+  return null;
+}
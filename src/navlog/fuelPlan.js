@@ -0,0 +1,77 @@
+import { sliceRowsFuelSummary } from "./sections.js";
+import { rowText } from "./text.js";
+import { navlogDigitsToTenths } from "./units.js";
+
+// ---------------------- Release fuel summary (TRIP / CONT / ALTN / FINRES ...) ----------------------
+// Releases print the planned fuel breakdown as "LABEL value" pairs, one or more per line:
+//   TRIP 0385 CONT 0019 ALTN 0060 FINRES 0075 EXTRA 0981 TAXI 0010 TOF 1520 BLOCK 1530
+// Values are navlog fuel digits, read like FRMG / TBO under the release fuel unit. A time
+// printed next to a value ("TRIP 0385 01.38") is ignored.
+
+// fuel plan key -> labels seen on releases (longest first, so "FINAL RESERVE" beats "RESERVE")
+export const FUEL_PLAN_LABELS = {
+  trip: ["TRIP", "BURN"],
+  contingency: ["CONTINGENCY", "CONT"],
+  alternate: ["ALTERNATE", "ALTN"],
+  finalReserve: ["FINAL RESERVE", "FINRES", "FRES", "RESERVE", "RES"],
+  minDiversion: ["MIN DIVERSION", "MIN DIV", "MINDIV"],
+  extra: ["EXTRA", "XTRA", "DISC"],
+  taxi: ["TAXI"],
+  takeoff: ["TAKEOFF", "TOF", "T/O"],
+  block: ["BLOCK", "RAMP"],
+};
+
+export const EMPTY_FUEL_PLAN = Object.fromEntries(
+  Object.keys(FUEL_PLAN_LABELS).map((k) => [k, null])
+);
+
+const LABEL_TO_KEY = Object.entries(FUEL_PLAN_LABELS)
+  .flatMap(([key, labels]) => labels.map((label) => ({ key, label })))
+  .sort((a, b) => b.label.length - a.label.length);
+
+const PAIR_RE = new RegExp(
+  `(?:^|\\s)(${LABEL_TO_KEY.map((l) => l.label.replace(/[/]/g, "\\/")).join("|")})` +
+    `\\s*[:=]?\\s*(\\d{1,6})(?=\\s|$)`,
+  "g"
+);
+
+// "TRIP 0385 CONT 0019" -> { trip: 385, contingency: 19 } (tenths, only the labels found)
+export function parseFuelPlanLine(text, fuelUnit) {
+  const out = {};
+  const t = String(text || "").toUpperCase();
+  for (const m of t.matchAll(PAIR_RE)) {
+    const { key } = LABEL_TO_KEY.find((l) => l.label === m[1]);
+    if (out[key] == null) out[key] = navlogDigitsToTenths(m[2], fuelUnit);
+  }
+  return out;
+}
+
+// Rows of the fuel summary (sliceRowsFuelSummary). Without a marker, any line carrying at
+// least two fuel labels counts (a single "TAXI 0010" could be a remark).
+function fuelSummaryLines(rows) {
+  const summary = sliceRowsFuelSummary(rows || []);
+  const texts = (summary.ok ? summary.slicedRows : rows || [])
+    .map(rowText)
+    .filter((t) => t && t !== "__PAGE_BREAK__");
+  if (summary.ok) return texts;
+  return texts.filter((t) => Object.keys(parseFuelPlanLine(t)).length >= 2);
+}
+
+// -> { ok, fuelPlan: { trip, contingency, alternate, finalReserve, minDiversion, extra,
+//      taxi, takeoff, block } (tenths, null when not printed), lines: source text }
+export function parseFuelPlanFromRows(rows, { fuelUnit } = {}) {
+  const lines = fuelSummaryLines(rows);
+  const found = lines.reduce((acc, t) => ({ ...parseFuelPlanLine(t, fuelUnit), ...acc }), {});
+  const fuelPlan = { ...EMPTY_FUEL_PLAN, ...found };
+  return { ok: Object.keys(found).length > 0, fuelPlan, lines };
+}
+
+// TOF the summary adds up to (trip + contingency + alternate + final reserve + extra),
+// null when trip is missing
+export function fuelPlanTakeoffSum(plan) {
+  if (!plan || plan.trip == null) return null;
+  return ["trip", "contingency", "alternate", "finalReserve", "extra"].reduce(
+    (acc, k) => acc + (plan[k] || 0),
+    0
+  );
+}
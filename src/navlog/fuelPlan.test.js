@@ -0,0 +1,69 @@
+import {
+  EMPTY_FUEL_PLAN,
+  fuelPlanTakeoffSum,
+  parseFuelPlanFromRows,
+  parseFuelPlanLine,
+  rowsFromTextLines,
+} from "./index.js";
+
+describe("parseFuelPlanLine", () => {
+  it.each([
+    [
+      "TRIP 0385 CONT 0019 ALTN 0060 FINRES 0075",
+      { trip: 385, contingency: 19, alternate: 60, finalReserve: 75 },
+    ],
+    ["FINAL RESERVE 0075 RESERVE 0999", { finalReserve: 75 }],
+    ["TRIP 0385 01.38 TAXI 10", { trip: 385, taxi: 10 }],
+    ["T/O 1520 RAMP 1530 MIN DIV 0140", { takeoff: 1520, block: 1530, minDiversion: 140 }],
+    ["TOF: 1520", { takeoff: 1520 }],
+    ["RMK/TRIPLE CHECK ALTN/PAKT", {}],
+  ])("%s", (line, expected) => {
+    expect(parseFuelPlanLine(line)).toEqual(expected);
+  });
+});
+
+describe("parseFuelPlanFromRows", () => {
+  it("reads the lines after the FUEL SUMMARY marker, up to the next section", () => {
+    const rows = rowsFromTextLines(
+      [
+        "EST LANDING FUEL 13500",
+        "----------------------- FUEL SUMMARY",
+        "TRIP 0385 01.38   CONT 0019",
+        "ALTN 0060 00.14   FINRES 0075 00.30",
+        "EXTRA 0981        TAXI 0010",
+        "TOF 1520          BLOCK 1530",
+        "----------------------- WEATHER",
+        "TAXI 0099 TRIP 0999",
+      ].join("\n")
+    );
+    const res = parseFuelPlanFromRows(rows);
+    expect(res.ok).toBe(true);
+    expect(res.fuelPlan).toEqual({
+      ...EMPTY_FUEL_PLAN,
+      trip: 385,
+      contingency: 19,
+      alternate: 60,
+      finalReserve: 75,
+      extra: 981,
+      taxi: 10,
+      takeoff: 1520,
+      block: 1530,
+    });
+    expect(fuelPlanTakeoffSum(res.fuelPlan)).toBe(1520);
+  });
+
+  it("without a marker, takes lines with at least two fuel labels", () => {
+    const rows = rowsFromTextLines("RMK TAXI 0010\nTRIP 0385 TOF 1520");
+    expect(parseFuelPlanFromRows(rows).fuelPlan).toMatchObject({
+      trip: 385,
+      takeoff: 1520,
+      taxi: null,
+    });
+  });
+
+  it("a release without a fuel summary", () => {
+    const res = parseFuelPlanFromRows(rowsFromTextLines("EST LANDING FUEL 13500"));
+    expect(res.ok).toBe(false);
+    expect(fuelPlanTakeoffSum(res.fuelPlan)).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+// ---------------------- Coordinates ----------------------
+// Navlog coordinates look like "N47 12.3 W122 30.1" (degrees + decimal minutes).
+
+// "N47 12.3 W122 30.1" -> { lat: 47.205, lon: -122.501666... }, null if not a coordinate
+export function coordToDecimal(coord) {
+  const m = String(coord || "")
+    .trim()
+    .match(/^([NS])(\d{1,2})\s+(\d{1,2}(?:\.\d+)?)\s+([EW])(\d{1,3})\s+(\d{1,2}(?:\.\d+)?)$/i);
+  if (!m) return null;
+
+  const latDeg = Number(m[2]);
+  const latMin = Number(m[3]);
+  const lonDeg = Number(m[5]);
+  const lonMin = Number(m[6]);
+  if (latDeg > 90 || lonDeg > 180 || latMin >= 60 || lonMin >= 60) return null;
+
+  const lat = (latDeg + latMin / 60) * (m[1].toUpperCase() === "S" ? -1 : 1);
+  const lon = (lonDeg + lonMin / 60) * (m[4].toUpperCase() === "W" ? -1 : 1);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+// { lat, lon } -> "N47 12.3 W122 30.1" (the navlog format, minutes to one decimal)
+export function decimalToCoord({ lat, lon }) {
+  const part = (v, pos, neg, degWidth) => {
+    let tenths = Math.round(Math.abs(v) * 600); // tenths of a minute
+    const d = Math.floor(tenths / 600);
+    tenths -= d * 600;
+    const min = (tenths / 10).toFixed(1).padStart(4, "0");
+    return `${v < 0 ? neg : pos}${String(d).padStart(degWidth, "0")} ${min}`;
+  };
+  return `${part(lat, "N", "S", 2)} ${part(lon, "E", "W", 3)}`;
+}
+
+// Longitudes made continuous along a route (179 -> -179 becomes 179 -> 181), so a
+// trans-Pacific route does not jump across the whole map.
+export function unwrapLongitudes(points) {
+  let prev = null;
+  return points.map((p) => {
+    if (!p) return p;
+    let lon = p.lon;
+    if (prev != null) {
+      while (lon - prev > 180) lon -= 360;
+      while (lon - prev < -180) lon += 360;
+    }
+    prev = lon;
+    return { ...p, lon };
+  });
+}
+
+// ---------------------- Great circle ----------------------
+const EARTH_RADIUS_NM = 3440.065;
+const rad = (d) => (d * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+// signed angle folded into (-180, 180]
+export function wrapDeg180(d) {
+  let x = (((d + 180) % 360) + 360) % 360 - 180;
+  if (x === -180) x = 180;
+  return x;
+}
+
+// haversine distance between { lat, lon } points, nautical miles
+export function greatCircleNm(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// initial true course a -> b, degrees [0, 360)
+export function initialTrueCourse(a, b) {
+  const dLon = rad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(rad(b.lat));
+  const x =
+    Math.cos(rad(a.lat)) * Math.sin(rad(b.lat)) -
+    Math.sin(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.cos(dLon);
+  return (deg(Math.atan2(y, x)) + 360) % 360;
+}
+
+// point a fraction f (0..1) of the way along the great circle a -> b
+export function intermediatePoint(a, b, f) {
+  const d = greatCircleNm(a, b) / EARTH_RADIUS_NM;
+  if (d === 0) return { lat: a.lat, lon: a.lon };
+  const wa = Math.sin((1 - f) * d) / Math.sin(d);
+  const wb = Math.sin(f * d) / Math.sin(d);
+  const x =
+    wa * Math.cos(rad(a.lat)) * Math.cos(rad(a.lon)) +
+    wb * Math.cos(rad(b.lat)) * Math.cos(rad(b.lon));
+  const y =
+    wa * Math.cos(rad(a.lat)) * Math.sin(rad(a.lon)) +
+    wb * Math.cos(rad(b.lat)) * Math.sin(rad(b.lon));
+  const z = wa * Math.sin(rad(a.lat)) + wb * Math.sin(rad(b.lat));
+  return { lat: deg(Math.atan2(z, Math.hypot(x, y))), lon: deg(Math.atan2(y, x)) };
+}
+
+// Per navlog row: the leg flown TO it (from the previous row with a position) and the
+// great-circle distance still to go to the last positioned row. FIR boundary rows
+// ("-CZVR") carry the previous fix's coordinate, so they get no geometry of their own.
+//   -> [{ legNm, trueCourse, dtgoNm } | null]
+export function routeGeometry(rows) {
+  const pts = (rows || []).map((r) =>
+    String(r.IDENT || "").startsWith("-") ? null : coordToDecimal(r.coord)
+  );
+
+  const legs = pts.map(() => null);
+  let prev = null;
+  pts.forEach((p, i) => {
+    if (!p) return;
+    if (prev) legs[i] = { nm: greatCircleNm(prev, p), trueCourse: initialTrueCourse(prev, p) };
+    prev = p;
+  });
+
+  const out = pts.map(() => null);
+  let togo = 0;
+  for (let i = pts.length - 1; i >= 0; i--) {
+    if (!pts[i]) continue;
+    out[i] = {
+      legNm: legs[i] ? legs[i].nm : null,
+      trueCourse: legs[i] ? legs[i].trueCourse : null,
+      dtgoNm: togo,
+    };
+    if (legs[i]) togo += legs[i].nm;
+  }
+  return out;
+}
+
+// Magnetic variation (degrees, East positive) implied by the navlog itself:
+// median of TC - MC over the legs that have both. null with fewer than 3 legs.
+// MC = TC - variation(E), so outliers against this are suspect MC cells.
+export function estimateMagVarDeg(rows, geometry = routeGeometry(rows)) {
+  const diffs = [];
+  (rows || []).forEach((r, i) => {
+    const g = geometry[i];
+    const mc = String(r.MC || "").trim();
+    if (!g || g.trueCourse == null || !/^\d{1,3}$/.test(mc)) return;
+    if (g.legNm < 1) return; // course of a zero-length leg is meaningless
+    diffs.push(wrapDeg180(g.trueCourse - Number(mc)));
+  });
+  if (diffs.length < 3) return null;
+
+  diffs.sort((a, b) => a - b);
+  const mid = Math.floor(diffs.length / 2);
+  return diffs.length % 2 ? diffs[mid] : (diffs[mid - 1] + diffs[mid]) / 2;
+}
@@ -0,0 +1,92 @@
+import {
+  coordToDecimal,
+  estimateMagVarDeg,
+  greatCircleNm,
+  initialTrueCourse,
+  routeGeometry,
+  unwrapLongitudes,
+  wrapDeg180,
+} from "./index.js";
+
+describe("coordToDecimal", () => {
+  it.each([
+    ["N47 12.3 W122 30.1", 47.205, -122.50167],
+    ["N61 10.4 W150 00.6", 61.17333, -150.01],
+    ["S33 56.8 E151 10.6", -33.94667, 151.17667],
+    ["N0 0.0 E0 0.0", 0, 0],
+  ])("%s", (coord, lat, lon) => {
+    const p = coordToDecimal(coord);
+    expect(p.lat).toBeCloseTo(lat, 4);
+    expect(p.lon).toBeCloseTo(lon, 4);
+  });
+
+  it.each(["", "PANC FIELD", "N91 00.0 W100 00.0", "N47 61.0 W122 30.1"])(
+    "rejects %p",
+    (coord) => {
+      expect(coordToDecimal(coord)).toBeNull();
+    }
+  );
+});
+
+describe("unwrapLongitudes", () => {
+  it("keeps a date line crossing continuous and passes gaps through", () => {
+    const out = unwrapLongitudes([{ lat: 0, lon: 179 }, null, { lat: 0, lon: -179 }]);
+    expect(out.map((p) => p && p.lon)).toEqual([179, null, 181]);
+  });
+});
+
+describe("great circle", () => {
+  const anc = { lat: 61.17333, lon: -150.01 };
+  const jnu = { lat: 58.355, lon: -134.57667 };
+
+  it("distance and initial course between two points", () => {
+    expect(greatCircleNm(anc, jnu)).toBeCloseTo(495, 0);
+    expect(initialTrueCourse(anc, jnu)).toBeCloseTo(103, 0);
+    expect(greatCircleNm(anc, anc)).toBe(0);
+  });
+
+  it("courses along the equator and the meridian", () => {
+    expect(initialTrueCourse({ lat: 0, lon: 0 }, { lat: 0, lon: 1 })).toBeCloseTo(90, 6);
+    expect(initialTrueCourse({ lat: 1, lon: 0 }, { lat: 0, lon: 0 })).toBeCloseTo(180, 6);
+    expect(greatCircleNm({ lat: 0, lon: 0 }, { lat: 1, lon: 0 })).toBeCloseTo(60.04, 2);
+  });
+
+  it.each([
+    [190, -170],
+    [-190, 170],
+    [180, 180],
+    [-180, 180],
+    [359, -1],
+  ])("wrapDeg180(%p) = %p", (d, expected) => {
+    expect(wrapDeg180(d)).toBe(expected);
+  });
+});
+
+describe("routeGeometry", () => {
+  const rows = [
+    { IDENT: "A", coord: "N00 00.0 E000 00.0", MC: "" },
+    { IDENT: "B", coord: "N00 00.0 E001 00.0", MC: "080" },
+    { IDENT: "-FIR", coord: "N00 00.0 E001 00.0", MC: "" },
+    { IDENT: "C", coord: "N01 00.0 E001 00.0", MC: "350" },
+    { IDENT: "D", coord: "", MC: "" },
+    { IDENT: "E", coord: "N02 00.0 E001 00.0", MC: "350" },
+  ];
+
+  it("legs come from the previous positioned row, DTGO from the end", () => {
+    const g = routeGeometry(rows);
+    expect(g[0]).toEqual({ legNm: null, trueCourse: null, dtgoNm: expect.any(Number) });
+    expect(g[0].dtgoNm).toBeCloseTo(180.1, 1);
+    expect(g[1].legNm).toBeCloseTo(60.04, 2);
+    expect(g[1].trueCourse).toBeCloseTo(90, 6);
+    expect(g[2]).toBeNull(); // FIR boundary
+    expect(g[3].trueCourse).toBeCloseTo(0, 6);
+    expect(g[4]).toBeNull(); // no coordinate
+    expect(g[5].legNm).toBeCloseTo(60.04, 2); // from C, across the gap
+    expect(g[5].dtgoNm).toBe(0);
+  });
+
+  it("estimates the variation as the median TC - MC", () => {
+    expect(estimateMagVarDeg(rows)).toBeCloseTo(10, 6);
+    expect(estimateMagVarDeg(rows.slice(0, 4))).toBeNull(); // fewer than 3 legs
+  });
+});
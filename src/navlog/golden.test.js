@@ -0,0 +1,121 @@
+// Golden-file suite: every src/__fixtures__/<name>.<mode>.golden.json is the expected
+// parse of <name>.txt in that parser mode. The same text is also drawn into a
+// synthetic PDF with pdf-lib and run through extractPdfRows, so the PDF path must
+// land on the same waypoints.
+//
+// After an intended parser change, regenerate with:
+//   UPDATE_GOLDEN=1 CI=1 npm test -- golden
+// and review the JSON diff like any other code change.
+import fs from "fs";
+import path from "path";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+
+import { extractPdfRows, parseReleaseRows, parseReleaseText } from "./index.js";
+
+const FIXTURES = path.join(__dirname, "..", "__fixtures__");
+const GOLDEN_RE = /^(.+)\.(tokens|columns)\.golden\.json$/;
+const UPDATE = !!process.env.UPDATE_GOLDEN;
+
+const goldenCases = fs
+  .readdirSync(FIXTURES)
+  .map((f) => f.match(GOLDEN_RE))
+  .filter(Boolean)
+  .map(([goldenFile, name, mode]) => ({ goldenFile, name, mode }));
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.txt`), "utf8");
+}
+
+// what the golden files pin down: positions (__pos) depend on the row source, not the parse
+function stripPositions(waypoints) {
+  return waypoints.map(({ __pos, ...w }) => w);
+}
+function goldenView(res) {
+  if (!res.ok) return { ok: false, error: res.error };
+  return {
+    ok: true,
+    profileId: res.profileId,
+    mode: res.mode,
+    fpl: res.fpl,
+    waypoints: stripPositions(res.waypoints),
+    alternateWaypoints: stripPositions(res.alternateWaypoints),
+    briefing: res.briefing,
+  };
+}
+
+// ---------------------- synthetic release PDF (pdf-lib) ----------------------
+// One text item per word at its monospace column, like a dispatch system lays out
+// a release. "__PAGE_BREAK__" lines start a new page.
+const PDF_FONT_SIZE = 8;
+const PDF_MARGIN_X = 20;
+const PDF_TOP_Y = 780;
+const PDF_LINE_HEIGHT = 12;
+
+async function releasePdfFromText(text) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Courier);
+  const charW = font.widthOfTextAtSize("0", PDF_FONT_SIZE);
+
+  let page = doc.addPage();
+  let y = PDF_TOP_Y;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (line.trim() === "__PAGE_BREAK__") {
+      page = doc.addPage();
+      y = PDF_TOP_Y;
+      continue;
+    }
+    for (const m of line.matchAll(/\S+/g)) {
+      page.drawText(m[0], {
+        x: PDF_MARGIN_X + m.index * charW,
+        y,
+        size: PDF_FONT_SIZE,
+        font,
+      });
+    }
+    y -= PDF_LINE_HEIGHT;
+  }
+  return doc.save();
+}
+
+async function loadPdfjsNode() {
+  // jest's jsdom environment has no WHATWG streams; getTextContent() reads through one
+  if (typeof ReadableStream === "undefined") {
+    global.ReadableStream = require("stream/web").ReadableStream;
+  }
+  // pdf.js warns on load that `canvas` is missing (rendering only): keep the test output clean
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return require("pdfjs-dist/legacy/build/pdf.js");
+  } finally {
+    console.log = log;
+  }
+}
+
+describe("golden files", () => {
+  it("has at least one golden case", () => {
+    expect(goldenCases.length).toBeGreaterThan(0);
+  });
+
+  describe.each(goldenCases)("$name ($mode)", ({ goldenFile, name, mode }) => {
+    const goldenPath = path.join(FIXTURES, goldenFile);
+
+    it("text rows match the golden JSON", () => {
+      const actual = goldenView(parseReleaseText(readFixture(name), { mode }));
+      if (UPDATE) {
+        fs.writeFileSync(goldenPath, `${JSON.stringify(actual, null, 2)}\n`);
+      }
+      expect(actual).toEqual(JSON.parse(fs.readFileSync(goldenPath, "utf8")));
+    });
+
+    it("a synthetic PDF of the same release parses to the same waypoints", async () => {
+      const golden = JSON.parse(fs.readFileSync(goldenPath, "utf8"));
+      const pdfjs = await loadPdfjsNode();
+
+      const bytes = await releasePdfFromText(readFixture(name));
+      const rows = await extractPdfRows(bytes, pdfjs);
+      expect(goldenView(parseReleaseRows(rows, { mode }))).toEqual(golden);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// Headless navlog parsing library: release PDF (or text) -> waypoints + FPL.
+// No React / DOM in here, so the same code runs in the app and in the CLI (bin/navlog.mjs).
+import { parseBriefingFromRows } from "./briefing.js";
+import { dofToIsoDate, releaseDateFromRows } from "./dates.js";
+import { parseIcaoFplFromText } from "./fpl.js";
+import { parseFuelPlanFromRows } from "./fuelPlan.js";
+import { extractPdfRows } from "./pdfRows.js";
+import {
+  detectNavlogProfile,
+  sliceRowsAlternateSection,
+} from "./sections.js";
+import { rowsFromTextLines, rowText } from "./text.js";
+import { detectFuelUnit } from "./units.js";
+import { parseWaypointsOneRowPerIdent } from "./waypoints.js";
+
+export * from "./briefing.js";
+export * from "./dates.js";
+export * from "./etp.js";
+export * from "./fpl.js";
+export * from "./fuelPlan.js";
+export * from "./geo.js";
+export * from "./pdfRows.js";
+export * from "./positionReport.js";
+export * from "./profiles.js";
+export * from "./route.js";
+export * from "./sections.js";
+export * from "./text.js";
+export * from "./units.js";
+export * from "./waypoints.js";
+
+export const EMPTY_FPL = {
+  dep: "",
+  dest: "",
+  alt: "",
+  depTimeHHMM: "",
+  dof: "",
+  flightDate: "", // ISO YYYY-MM-DD: DOF/ if filed, else the release header date
+  eetByFir: {},
+  raw: "",
+
+  // full ICAO decode (see parseIcaoFplFromText)
+  callsign: "",
+  flightRules: "",
+  flightType: "",
+  aircraftCount: 1,
+  aircraftType: "",
+  wakeCategory: "",
+  equipment: "",
+  surveillance: "",
+  cruiseSpeed: "",
+  cruiseLevel: "",
+  route: "",
+  totalEetHHMM: "",
+  alt2: "",
+  item18: {},
+  item19: "",
+
+  // release fuel summary (see parseFuelPlanFromRows), null when the release has none
+  fuelPlan: null,
+
+  // fuel unit id (see FUEL_UNITS): detected from the release wording, or chosen per session
+  fuelUnit: "",
+  fuelUnitDetected: false,
+  estLandingFuelRaw: "",
+};
+
+// rows (extractPdfRows / rowsFromTextLines) -> everything the tracker needs from a release
+export function parseReleaseRows(rows, { mode = "tokens", profiles } = {}) {
+  // pick the dispatch-system layout (section markers + header) this release uses
+  const sliced = detectNavlogProfile(rows, profiles);
+  if (!sliced.ok) return { ok: false, error: sliced.error };
+  const { profile } = sliced;
+
+  // Build a text blob for ICAO FPL parse from sliced rows
+  const sliceText = sliced.slicedRows
+    .map((r) => rowText(r))
+    .filter((x) => x && x !== "__PAGE_BREAK__")
+    .join("\n");
+
+  const unit = detectFuelUnit(rows, { profile });
+  const fplRes = parseIcaoFplFromText(sliceText, { fuelUnit: unit.id });
+  const fpl = fplRes.ok ? fplRes.fpl : { ...EMPTY_FPL, ...fplRes.fpl };
+  fpl.flightDate = dofToIsoDate(fpl.dof) || releaseDateFromRows(rows);
+  fpl.fuelUnit = unit.id;
+  fpl.fuelUnitDetected = unit.detected;
+
+  const fuelRes = parseFuelPlanFromRows(rows, { fuelUnit: unit.id });
+  fpl.fuelPlan = fuelRes.ok ? fuelRes.fuelPlan : null;
+
+  const parsed = parseWaypointsOneRowPerIdent(sliced.slicedRows, {
+    profile,
+    mode,
+  });
+  if (!parsed.ok) return { ok: false, error: parsed.error, profileId: profile.id };
+
+  // destination -> alternate leg (optional: not every release carries one)
+  const altSliced = sliceRowsAlternateSection(rows, profile);
+  const altParsed = altSliced.ok
+    ? parseWaypointsOneRowPerIdent(altSliced.slicedRows, {
+        requireHeader: false,
+        profile,
+        mode,
+        columns: parsed.columns, // alternate section usually has no header of its own
+      })
+    : null;
+
+  return {
+    ok: true,
+    profileId: profile.id,
+    mode: parsed.mode,
+    fpl,
+    waypoints: parsed.waypoints,
+    alternateWaypoints: altParsed?.ok ? altParsed.waypoints : [],
+    briefing: parseBriefingFromRows(rows, { flightDate: fpl.flightDate }),
+    layout: parsed.layout,
+    columns: parsed.columns,
+  };
+}
+
+export async function parseReleasePdf(data, { pdfjs, ...opts }) {
+  const rows = await extractPdfRows(data, pdfjs);
+  return parseReleaseRows(rows, opts);
+}
+
+export function parseReleaseText(text, opts) {
+  return parseReleaseRows(rowsFromTextLines(text), opts);
+}
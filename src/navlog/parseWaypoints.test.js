@@ -0,0 +1,241 @@
+import fs from "fs";
+import path from "path";
+
+import {
+  ALTERNATE_MARKER,
+  DEFAULT_PROFILE,
+  detectNavlogProfile,
+  dofToIsoDate,
+  HEADER_LINE_1,
+  HEADER_LINE_2,
+  levelToFlightLevel,
+  parseIcaoFplFromText,
+  parseItem18,
+  parseReleaseText,
+  releaseDateFromText,
+  parseWaypointsOneRowPerIdent,
+  rowsFromTextLines,
+  sliceRowsAlternateSection,
+  sliceRowsRequestedSection,
+} from "./index.js";
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "..", "__fixtures__", name), "utf8");
+}
+function rowsFromFixture(name) {
+  return rowsFromTextLines(readFixture(name));
+}
+
+describe("parseWaypointsOneRowPerIdent", () => {
+  it("keeps a fix crossed twice as two rows in route order", () => {
+    const sliced = sliceRowsRequestedSection(rowsFromFixture("repeated-fix.txt"));
+    expect(sliced.ok).toBe(true);
+
+    const parsed = parseWaypointsOneRowPerIdent(sliced.slicedRows);
+    expect(parsed.ok).toBe(true);
+    expect(parsed.waypoints.map((w) => w.IDENT)).toEqual([
+      "PANC",
+      "JOH",
+      "ORCAS",
+      "JOH",
+      "YAK",
+    ]);
+
+    const [first, second] = parsed.waypoints.filter((w) => w.IDENT === "JOH");
+    expect(first).toMatchObject({ DIST: "110", MC: "095", T_TME: "0.16", TBO: "0092" });
+    expect(second).toMatchObject({ DIST: "118", MC: "303", T_TME: "0.46", TBO: "0265" });
+    expect(first.coord).toBe("N60 29.0 W146 35.9");
+    expect(second.coord).toBe("N60 29.0 W146 35.9");
+  });
+});
+
+describe("sliceRowsAlternateSection", () => {
+  it("parses the alternate leg without a repeated header, up to the next section", () => {
+    const sliced = sliceRowsAlternateSection(rowsFromFixture("alternate-leg.txt"));
+    expect(sliced.ok).toBe(true);
+
+    const parsed = parseWaypointsOneRowPerIdent(sliced.slicedRows, {
+      requireHeader: false,
+    });
+    expect(parsed.ok).toBe(true);
+    expect(parsed.layout).toBeNull();
+    expect(parsed.waypoints.map((w) => w.IDENT)).toEqual(["PAYA", "HNS", "PAGS"]);
+    expect(parsed.waypoints[2]).toMatchObject({ T_TME: "0.32", TBO: "0101" });
+  });
+
+  it("reports a missing alternate marker", () => {
+    const sliced = sliceRowsAlternateSection(rowsFromFixture("repeated-fix.txt").slice(0, 5));
+    expect(sliced.ok).toBe(false);
+  });
+});
+
+describe("detectNavlogProfile", () => {
+  it("picks the default profile for the standard 2-line header", () => {
+    const res = detectNavlogProfile(rowsFromFixture("repeated-fix.txt"));
+    expect(res.ok).toBe(true);
+    expect(res.profile.id).toBe("default");
+  });
+
+  it("names every profile it tried when none matches", () => {
+    const rows = rowsFromFixture("repeated-fix.txt").filter(
+      (r) => !r.cells[0].text.startsWith("FRQ")
+    );
+    const res = detectNavlogProfile(rows);
+    expect(res.ok).toBe(false);
+    expect(res.error).toMatch(/Tried: default \(.+\): header not found/);
+  });
+
+  // a second layout: the same columns under WPT / FREQ labels, and an "ALTN" divider
+  const WPT_PROFILE = {
+    ...DEFAULT_PROFILE,
+    id: "wpt",
+    name: "2-line WPT/FREQ navlog",
+    header: [HEADER_LINE_1.replace("IDENT", "WPT  "), HEADER_LINE_2.replace("FRQ", "FREQ")],
+    headerFields: { ...DEFAULT_PROFILE.headerFields, WPT: ["IDENT"], FREQ: ["FRQ"] },
+    endMarker: "----------------------- ALTN",
+  };
+  const PROFILES = [DEFAULT_PROFILE, WPT_PROFILE];
+  const wptRelease = () =>
+    readFixture("repeated-fix.txt")
+      .replace(HEADER_LINE_1, WPT_PROFILE.header[0])
+      .replace(HEADER_LINE_2, WPT_PROFILE.header[1])
+      .replace(ALTERNATE_MARKER, WPT_PROFILE.endMarker);
+
+  it("tries the profiles in order and takes the first whose markers and header match", () => {
+    expect(detectNavlogProfile(rowsFromFixture("repeated-fix.txt"), PROFILES).profile.id).toBe(
+      "default"
+    );
+    expect(detectNavlogProfile(rowsFromTextLines(wptRelease()), PROFILES).profile.id).toBe(
+      "wpt"
+    );
+  });
+
+  it("parses a release with the profile it detected", () => {
+    const res = parseReleaseText(wptRelease(), { profiles: PROFILES });
+    expect(res.ok).toBe(true);
+    expect(res.profileId).toBe("wpt");
+    expect(res.waypoints.map((w) => w.IDENT)).toEqual(["PANC", "JOH", "ORCAS", "JOH", "YAK"]);
+    expect(res.waypoints[1]).toMatchObject({ FRQ: "116.70", T_TME: "0.16", TBO: "0092" });
+  });
+
+  it("gives the reason for each profile it tried", () => {
+    const rows = rowsFromFixture("repeated-fix.txt").filter(
+      (r) => !r.cells[0].text.startsWith("FRQ")
+    );
+    const res = detectNavlogProfile(rows, PROFILES);
+    expect(res.ok).toBe(false);
+    expect(res.tried).toEqual([
+      "default (2-line IDENT/FRQ navlog): header not found",
+      "wpt (2-line WPT/FREQ navlog): section markers not found",
+    ]);
+    expect(res.error).toBe(`No known navlog format found. Tried: ${res.tried.join("; ")}.`);
+  });
+});
+
+describe("column-position parser mode", () => {
+  const parse = (mode) => {
+    const sliced = sliceRowsRequestedSection(rowsFromFixture("blank-cells.txt"));
+    return parseWaypointsOneRowPerIdent(sliced.slicedRows, { mode });
+  };
+
+  it("keeps a blank ATA from shifting the following columns", () => {
+    const parsed = parse("columns");
+    expect(parsed.mode).toBe("columns");
+
+    const [joh, orcas] = parsed.waypoints;
+    expect(joh).toMatchObject({
+      IDENT: "JOH",
+      TAS: "480",
+      MAC: "M84",
+      ETA: "1246",
+      ATA: "",
+      TBO: "0092",
+      FRMG: "1428",
+      EFB: "0092",
+    });
+    expect(joh).toMatchObject({ FRQ: "116.70", T_TME: "0.16", ABO: "", AFOB: "", DSTN: "0135" });
+    expect(orcas).toMatchObject({ ATA: "...", TBO: "178", FRQ: "", DTGO: "0270", AFOB: "..." });
+  });
+
+  it("token mode shifts the same row (why column mode exists)", () => {
+    const [joh] = parse("tokens").waypoints;
+    expect(joh.ATA).toBe("0092");
+    expect(joh.TBO).toBe("1428");
+  });
+});
+
+describe("flight date", () => {
+  it("reads DOF/ as YYMMDD", () => {
+    expect(dofToIsoDate("260301")).toBe("2026-03-01");
+    expect(dofToIsoDate("260230")).toBe("");
+    expect(dofToIsoDate("")).toBe("");
+  });
+
+  it("finds a DDMONYY date in the release header", () => {
+    expect(releaseDateFromText("FLIGHT RELEASE ABC123 PANC-PAJN 01MAR26")).toBe("2026-03-01");
+    expect(releaseDateFromText("DATE 9DEC2025 ETD 2330")).toBe("2025-12-09");
+    expect(releaseDateFromText("PIC .... DISP ....")).toBe("");
+  });
+});
+
+describe("parseIcaoFplFromText", () => {
+  it("decodes items 7-18 whether items are compact or one per line", () => {
+    const compact =
+      "(FPL-ABC123-IS-2F18/M-SDE3/LB1-PANC2330-M082F350 JOH J501 YAK-PAJN0138 PAKT PAKN-0)";
+    const perLine = [
+      "(FPL-ABC123-IS",
+      "-2F18/M-SDE3/LB1",
+      "-PANC2330",
+      "-M082F350 JOH J501 YAK",
+      "-PAJN0138 PAKT PAKN",
+      "-0)",
+    ].join("\n");
+
+    for (const text of [compact, perLine]) {
+      const { ok, fpl } = parseIcaoFplFromText(text);
+      expect(ok).toBe(true);
+      expect(fpl).toMatchObject({
+        callsign: "ABC123",
+        flightRules: "I",
+        flightType: "S",
+        aircraftCount: 2,
+        aircraftType: "F18",
+        wakeCategory: "M",
+        equipment: "SDE3",
+        surveillance: "LB1",
+        dep: "PANC",
+        depTimeHHMM: "2330",
+        cruiseSpeed: "M082",
+        cruiseLevel: "F350",
+        route: "JOH J501 YAK",
+        dest: "PAJN",
+        totalEetHHMM: "0138",
+        alt: "PAKT",
+        alt2: "PAKN",
+        item18: {},
+      });
+    }
+  });
+
+  it("splits item 18 on known indicators only and keeps item 19 apart", () => {
+    expect(parseItem18("PBN/A1B1 OPR/ABC-AIR RMK/NEW TCAS/ACAS SEL/ABCD RMK/X")).toEqual({
+      PBN: "A1B1",
+      OPR: "ABC-AIR",
+      RMK: "NEW TCAS/ACAS X",
+      SEL: "ABCD",
+    });
+
+    const { fpl } = parseIcaoFplFromText(
+      "(FPL-ABC123-IS-B77L/H-S/C-PANC1230-N0490F350 DCT-PAJN0138-DOF/260301 OPR/ABC-AIR-E/0745 P/TBN)"
+    );
+    expect(fpl.item18).toEqual({ DOF: "260301", OPR: "ABC-AIR" });
+    expect(fpl.dof).toBe("260301");
+    expect(fpl.item19).toBe("E/0745 P/TBN");
+  });
+
+  it("converts cruising levels to flight levels", () => {
+    expect(levelToFlightLevel("F350")).toBe(350);
+    expect(levelToFlightLevel("S1130")).toBe(371);
+    expect(levelToFlightLevel("VFR")).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+import { normalizeSpaces } from "./text.js";
+
+// ---------------------- PDF rows extraction (X-aware) ----------------------
+// pdfjsLib is injected: the browser passes the bundled-worker build (src/pdfjs.js),
+// the CLI passes pdfjs-dist/legacy loaded in Node.
+export async function extractPdfRows(data, pdfjsLib) {
+  const pdf = await pdfjsLib.getDocument({ data, verbosity: 0 }).promise;
+
+  const yTol = 2.0;
+  const gapTol = 10;
+
+  const rows = [];
+  for (let p = 1; p <= pdf.numPages; p++) {
+    const page = await pdf.getPage(p);
+    const content = await page.getTextContent();
+
+    const linesByY = new Map();
+    for (const it of content.items) {
+      const str = (it.str ?? "").toString();
+      if (!str.trim()) continue;
+
+      const tr = it.transform;
+      const x = tr?.[4] ?? 0;
+      const y = tr?.[5] ?? 0;
+      const w = Number(it.width) || 0;
+
+      const yKey = Math.round(y / yTol) * yTol;
+      if (!linesByY.has(yKey)) linesByY.set(yKey, []);
+      linesByY.get(yKey).push({ x, w, text: str.trim() });
+    }
+
+    const ys = Array.from(linesByY.keys()).sort((a, b) => b - a);
+    for (const y of ys) {
+      const items = (linesByY.get(y) || []).sort((a, b) => a.x - b.x);
+
+      const merged = [];
+      for (const it of items) {
+        const last = merged[merged.length - 1];
+        if (!last) merged.push({ x: it.x, w: it.w, text: it.text });
+        else if (it.x - last.x < gapTol) {
+          last.text = normalizeSpaces(last.text + " " + it.text);
+          last.w = Math.max(last.w, it.x + it.w - last.x);
+        } else merged.push({ x: it.x, w: it.w, text: it.text });
+      }
+      rows.push({ page: p, y, cells: merged });
+    }
+
+    rows.push({
+      page: p,
+      y: -999999,
+      cells: [{ x: 0, text: "__PAGE_BREAK__" }],
+    });
+  }
+  return rows;
+}
@@ -0,0 +1,66 @@
+// ---------------------- Position reports ----------------------
+// Built from a report description:
+//   { callsign, position, pos, time, level, next: { position, pos, eta },
+//     following: { position, pos } }
+// position: the name used on the radio ("ORCAS", "50N040W"), pos: { lat, lon } or null,
+// time / eta: HHMM (UTC), level: "FL350". next / following are null at the end of the route.
+
+const pad = (n, width) => String(n).padStart(width, "0");
+
+// { lat, lon } -> ICAO lat/long position: "50N040W" on whole degrees, else degrees and
+// minutes on both ("5030N04015W")
+export function latLonPositionName({ lat, lon }) {
+  const lat60 = Math.round(Math.abs(lat) * 60);
+  const lon60 = Math.round(Math.abs(lon) * 60);
+  const withMin = lat60 % 60 !== 0 || lon60 % 60 !== 0;
+  const part = (t, degWidth, hemi) =>
+    `${pad(Math.floor(t / 60), degWidth)}${withMin ? pad(t % 60, 2) : ""}${hemi}`;
+  return `${part(lat60, 2, lat < 0 ? "S" : "N")}${part(lon60, 3, lon < 0 ? "W" : "E")}`;
+}
+
+// Voice / datalink free text, the standard oceanic order:
+//   UAL123 POSITION ORCAS 2348 FL350
+//   ESTIMATING 5930N13930W 0007
+//   NEXT PAJN
+export function formatPositionReport(r) {
+  const lines = [
+    [r.callsign, "POSITION", r.position, r.time, r.level].filter(Boolean).join(" "),
+  ];
+  if (r.next) lines.push(["ESTIMATING", r.next.position, r.next.eta].filter(Boolean).join(" "));
+  if (r.following) lines.push(`NEXT ${r.following.position}`);
+  return lines.join("\n");
+}
+
+const field = (label, value) => `${label.padEnd(10)}${value ?? "-"}`;
+const timeZ = (hhmm) => (hhmm ? `${hhmm}Z` : null);
+
+// CPDLC downlink DM48 POSITION REPORT, as the fields the avionics fill in
+export function formatCpdlcPositionReport(r) {
+  return [
+    `DM48 POSITION REPORT ${r.callsign || ""}`.trim(),
+    field("POSITION", r.position),
+    field("TIME", timeZ(r.time)),
+    field("LEVEL", r.level),
+    field("NEXT", r.next && [r.next.position, timeZ(r.next.eta)].filter(Boolean).join(" ")),
+    field("NEXT+1", r.following?.position),
+  ].join("\n");
+}
+
+const latLonText = (pos) =>
+  pos
+    ? `${Math.abs(pos.lat).toFixed(4)}${pos.lat < 0 ? "S" : "N"} ` +
+      `${Math.abs(pos.lon).toFixed(4)}${pos.lon < 0 ? "W" : "E"}`
+    : null;
+
+// ADS-C waypoint change event: basic group + predicted route group
+export function formatAdsCReport(r) {
+  return [
+    `ADS-C WAYPOINT CHANGE ${r.callsign || ""}`.trim(),
+    field("BASIC", [latLonText(r.pos), r.level, timeZ(r.time)].filter(Boolean).join(" ")),
+    field(
+      "NEXT",
+      r.next && [latLonText(r.next.pos), timeZ(r.next.eta)].filter(Boolean).join(" ")
+    ),
+    field("NEXT+1", r.following && latLonText(r.following.pos)),
+  ].join("\n");
+}
@@ -0,0 +1,65 @@
+import {
+  formatAdsCReport,
+  formatCpdlcPositionReport,
+  formatPositionReport,
+  latLonPositionName,
+} from "./index.js";
+
+const REPORT = {
+  callsign: "ASA65",
+  position: "ORCAS",
+  pos: { lat: 59.41667, lon: -143.17 },
+  time: "2348",
+  level: "FL350",
+  next: { position: "5930N13939W", pos: { lat: 59.5, lon: -139.65 }, eta: "0007" },
+  following: { position: "PAJN", pos: { lat: 58.355, lon: -134.57667 } },
+};
+
+describe("latLonPositionName", () => {
+  it.each([
+    [{ lat: 50, lon: -40 }, "50N040W"],
+    [{ lat: 50.5, lon: -40 }, "5030N04000W"],
+    [{ lat: -33.94667, lon: 151.17667 }, "3357S15111E"],
+  ])("%p -> %s", (pos, name) => {
+    expect(latLonPositionName(pos)).toBe(name);
+  });
+});
+
+describe("formatPositionReport", () => {
+  it("position, time, level, then the next and following positions", () => {
+    expect(formatPositionReport(REPORT)).toBe(
+      ["ASA65 POSITION ORCAS 2348 FL350", "ESTIMATING 5930N13939W 0007", "NEXT PAJN"].join("\n")
+    );
+  });
+
+  it("stops where the route does", () => {
+    expect(formatPositionReport({ ...REPORT, next: REPORT.next, following: null })).toBe(
+      ["ASA65 POSITION ORCAS 2348 FL350", "ESTIMATING 5930N13939W 0007"].join("\n")
+    );
+    expect(formatPositionReport({ ...REPORT, next: null, following: null })).toBe(
+      "ASA65 POSITION ORCAS 2348 FL350"
+    );
+  });
+});
+
+describe("datalink previews", () => {
+  it("CPDLC DM48 fields", () => {
+    expect(formatCpdlcPositionReport(REPORT).split("\n")).toEqual([
+      "DM48 POSITION REPORT ASA65",
+      "POSITION  ORCAS",
+      "TIME      2348Z",
+      "LEVEL     FL350",
+      "NEXT      5930N13939W 0007Z",
+      "NEXT+1    PAJN",
+    ]);
+  });
+
+  it("ADS-C basic and predicted route groups", () => {
+    expect(formatAdsCReport({ ...REPORT, following: null }).split("\n")).toEqual([
+      "ADS-C WAYPOINT CHANGE ASA65",
+      "BASIC     59.4167N 143.1700W FL350 2348Z",
+      "NEXT      59.5000N 139.6500W 0007Z",
+      "NEXT+1    -",
+    ]);
+  });
+});
@@ -0,0 +1,124 @@
+// ---------------------- Navlog line classifiers (token heuristics) ----------------------
+const isFreqToken = (s) => /^\d{1,3}\.\d{2}$/.test(s || "");
+const isIntToken = (s) => /^-?\d+$/.test(s || "");
+const isFLToken = (s) => /^\d{2,3}$/.test(s || "");
+const isMachToken = (s) =>
+  /^M\.?\d{2,3}$/i.test(s || "") || /^\.\d{2,3}$/.test(s || "");
+const isWindToken = (s) => /^-?\d{1,3}\/-?\d{1,3}$/.test(s || "");
+export const cleanTok = (s) => String(s || "").replace(/[|,;]+$/g, "");
+const isIdentToken = (s) => {
+  if (!s) return false;
+  if (isIntToken(s)) return false;
+  if (/^__PAGE_BREAK__$/i.test(s)) return false;
+  const t = cleanTok(s);
+  // 3..8 chars typical fixes/airports; allow hyphen
+  return /^[A-Z0-9][A-Z0-9-]{2,7}$/i.test(t);
+};
+
+function classifyMainLine(toks) {
+  // IDENT DIST MC FL WIND CMP ...
+  const t0 = toks[0] || "";
+  const t1 = toks[1] || "";
+  if (!isIdentToken(t0)) return false;
+  if (!(isIntToken(t1) || /^\d+(\.\d+)?$/.test(t1))) return false;
+
+  // heuristics: look for FL-ish or Mach/TAS-ish in early tokens
+  let sawFL = false;
+  let sawMachOrTAS = false;
+
+  for (let i = 2; i < Math.min(toks.length, 10); i++) {
+    const tok = toks[i] || "";
+    if (isFLToken(tok)) sawFL = true;
+    if (isMachToken(tok)) sawMachOrTAS = true;
+    // TAS often 2-3 digits and appears after CMP, so treat later numeric as TAS-ish
+    if (/^\d{2,3}$/.test(tok) && i >= 5) sawMachOrTAS = true;
+    if (isWindToken(tok)) {
+      // wind is supportive but not required
+    }
+  }
+
+  return sawFL || sawMachOrTAS;
+}
+
+// Line type for the 2-line IDENT/FRQ layout: "fir" | "freq" | "cont" | "main" | "other"
+function classifyDefaultLine(t, toks) {
+  // FIR label line
+  if (/^FIR\b/i.test(t) || /FIR->/i.test(t)) return "fir";
+
+  // Frequency line (starts with 116.60)
+  if (isFreqToken(toks[0])) return "freq";
+
+  // Continuation line (often starts with DTGO)
+  if (isIntToken(toks[0]) && toks.length >= 5) {
+    const looksLikeMH = /^\d{3}$/.test(toks[1] || "");
+    const looksLikeWS = /^-?\d{1,3}$/.test(toks[2] || "");
+    if (looksLikeMH || looksLikeWS) return "cont";
+  }
+
+  // Main line (starts with IDENT)
+  if (classifyMainLine(toks)) return "main";
+
+  return "other";
+}
+
+// ---------------------- Navlog format profiles ----------------------
+// A profile describes one dispatch system's release layout:
+// - header:      the exact navlog header lines (whitespace-normalized match)
+// - startRe:     first row of the navlog section
+// - endMarker:   end of the navlog section (= start of the alternate section)
+// - classifyLine(text, tokens) -> "fir" | "freq" | "cont" | "main" | "other"
+// - columns:     per line type, field names in token order; `last` takes the final
+//                token once the line is longer than `lastFrom` (trailing DSTN)
+// - headerFields: header label -> field(s), used by the column-position parser mode
+// Profiles are tried in order on upload; add new ones to NAVLOG_PROFILES.
+export const HEADER_LINE_1 =
+  "IDENT  DIST MC  FL  WIND   CMP  TAS/MAC TIME  ETA ATA TBO  FRMG EFB";
+export const HEADER_LINE_2 =
+  "FRQ    DTGO MH      W/S    OAT  G/S     T/TME REV REM ABO  AFOB DSTN";
+
+export const ALTERNATE_MARKER = "----------------------- ALTERNATE";
+
+export const DEFAULT_PROFILE = {
+  id: "default",
+  name: "2-line IDENT/FRQ navlog",
+  header: [HEADER_LINE_1, HEADER_LINE_2],
+  // header label -> locked field(s), for column-position parsing
+  headerFields: {
+    "TAS/MAC": ["TAS", "MAC"],
+    "W/S": ["W_S"],
+    "G/S": ["G_S"],
+    "T/TME": ["T_TME"],
+  },
+  columnSlackChars: 1.5,
+  startRe: /PIC\s+\.{10,}|\(FPL-/,
+  endMarker: ALTERNATE_MARKER,
+  classifyLine: classifyDefaultLine,
+  columns: {
+    main: {
+      fields: [
+        "IDENT", "DIST", "MC", "FL", "WIND", "CMP",
+        "TAS", "MAC", "TIME", "ETA", "ATA", "TBO", "FRMG", "EFB",
+      ],
+    },
+    freq: {
+      fields: [
+        "FRQ", "DTGO", "MH", "W_S", "OAT", "G_S",
+        "T_TME", "REV", "REM", "ABO", "AFOB", "DSTN",
+      ],
+    },
+    cont: {
+      fields: [
+        "DTGO", "MH", "W_S", "OAT", "G_S", "T_TME",
+        "REV", "REM", "ABO", "AFOB",
+      ],
+      last: "DSTN",
+      lastFrom: 6,
+    },
+  },
+};
+
+export const NAVLOG_PROFILES = [DEFAULT_PROFILE];
+
+export function profileLabel(profile) {
+  return `${profile.id} (${profile.name})`;
+}
@@ -0,0 +1,178 @@
+import { levelToFlightLevel, parseSpeedLevel } from "./fpl.js";
+import { coordToDecimal } from "./geo.js";
+
+// ---------------------- Item 15 route vs navlog reconciler ----------------------
+// Item 15 lists only the significant points; the navlog also lists every fix along
+// an airway and usually the SID/STAR fixes. So a navlog fix missing from the route is
+// only reported when the route says DCT (or nothing) around it.
+
+const AIRWAY_RE = /^[KUS]?[A-Z]\d{1,3}[A-Z]?$/; // J501, UL620, Q35, T228
+const PROCEDURE_RE = /^[A-Z]{3,5}\d[A-Z]?$/; // SID / STAR: ANC6, BRUCK1A
+const COORD_RE = /^(\d{2}|\d{4})[NS](\d{3}|\d{5})[EW]$/; // 55N020W, 5530N02000W
+const FIX_RE = /^[A-Z]{2,5}$/;
+const COORD_TOLERANCE_DEG = 0.05; // ~3 NM: navlog positions are printed to 0.1'
+
+// "N0490F350 JOH J501 ORCAS/N0480F370 DCT YAK" ->
+// [{ type: "speedLevel" }, { type: "fix", ident: "JOH" }, { type: "airway", ident: "J501" },
+//  { type: "fix", ident: "ORCAS", speed: "N0480", level: "F370" }, { type: "dct" }, ...]
+export function tokenizeRoute(route) {
+  const tokens = String(route || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return tokens.map((tok, i) => {
+    if (tok === "DCT") return { type: "dct", ident: tok };
+    if (tok === "IFR" || tok === "VFR") return { type: "rules", ident: tok };
+
+    const sl = parseSpeedLevel(tok);
+    if (sl) return { type: "speedLevel", ident: tok, ...sl };
+
+    // point with a speed/level change: ORCAS/N0480F370
+    const [point, change] = tok.split("/");
+    const changeSl = change ? parseSpeedLevel(change) : null;
+    const extra = changeSl ? { speed: changeSl.speed, level: changeSl.level } : {};
+
+    if (COORD_RE.test(point)) return { type: "coord", ident: point, ...extra };
+    // a SID/STAR can only be the first/last element
+    if ((i === 0 || i === tokens.length - 1) && PROCEDURE_RE.test(point)) {
+      return { type: "procedure", ident: point };
+    }
+    if (!changeSl && AIRWAY_RE.test(point) && i > 0 && i < tokens.length - 1) {
+      return { type: "airway", ident: point };
+    }
+    if (FIX_RE.test(point)) return { type: "fix", ident: point, ...extra };
+    return { type: "unknown", ident: tok };
+  });
+}
+
+// Item 15 lat/long -> { lat, lon }: "5530N02000W" -> { lat: 55.5, lon: -20 }
+function routeCoordToDecimal(ident) {
+  const m = ident.match(/^(\d{2})(\d{2})?([NS])(\d{3})(\d{2})?([EW])$/);
+  if (!m) return null;
+  const lat = (Number(m[1]) + Number(m[2] || 0) / 60) * (m[3] === "S" ? -1 : 1);
+  const lon = (Number(m[4]) + Number(m[5] || 0) / 60) * (m[6] === "W" ? -1 : 1);
+  return { lat, lon };
+}
+
+// A route point names a navlog point by ident; a lat/long also by position, since the
+// navlog prints it in a short form of its own ("5930N", "59N40", "5940N").
+function sameRoutePoint(tok, p) {
+  if (p.ident === tok.ident) return true;
+  if (tok.type !== "coord" || !p.pos) return false;
+  const want = routeCoordToDecimal(tok.ident);
+  return (
+    !!want &&
+    Math.abs(want.lat - p.pos.lat) <= COORD_TOLERANCE_DEG &&
+    Math.abs(want.lon - p.pos.lon) <= COORD_TOLERANCE_DEG
+  );
+}
+
+// navlog FL column -> number, or null for CLB / DES / blanks
+function navlogFlightLevel(fl) {
+  const s = String(fl || "").trim();
+  return /^\d{2,3}$/.test(s) ? Number(s) : null;
+}
+
+// Compare the FPL route (fpl.route + fpl.cruiseLevel) with the parsed navlog rows.
+// Returns:
+//   points:          one entry per navlog point, { index, ident, status, via }
+//                    status: "route" | "airway" | "procedure" | "navlogOnly"
+//   navlogOnly:      navlog fixes the route does not account for
+//   routeOnly:       route points (fixes / coordinates) not found in the navlog
+//   levelMismatches: { index, ident, navlogFL, fplFL } for numeric FL cells that differ
+//                    from the Item 15 level in effect on the leg to that point
+export function reconcileRoute(fpl, waypoints) {
+  const route = tokenizeRoute(fpl?.route);
+  const hasRoute = route.length > 0;
+
+  // navlog points to compare: skip FIR boundary rows and the dep / dest airports
+  const airports = new Set([fpl?.dep, fpl?.dest].filter(Boolean));
+  const navlog = (waypoints || [])
+    .map((w, index) => ({
+      index,
+      ident: String(w.IDENT || "").trim(),
+      fl: w.FL,
+      pos: coordToDecimal(w.coord),
+    }))
+    .filter((p) => p.ident && !p.ident.startsWith("-") && !airports.has(p.ident));
+
+  const status = new Array(navlog.length).fill(null);
+  const via = new Array(navlog.length).fill("");
+  const routeOnly = [];
+  const levelChangeAt = new Map(); // navlog position -> new level after that point
+
+  let pos = 0; // next unmatched navlog position
+  let connector = route[0]?.type === "procedure" ? route[0] : null; // how we got here
+  for (const tok of route) {
+    if (tok.type === "airway" || tok.type === "dct") {
+      connector = tok;
+      continue;
+    }
+    if (tok.type !== "fix" && tok.type !== "coord") continue;
+
+    let found = -1;
+    for (let k = pos; k < navlog.length; k++) {
+      if (sameRoutePoint(tok, navlog[k])) {
+        found = k;
+        break;
+      }
+    }
+    if (found === -1) {
+      routeOnly.push({ ident: tok.ident, type: tok.type });
+      continue;
+    }
+
+    // fixes skipped on the way are fine along an airway / procedure, not on a DCT
+    for (let k = pos; k < found; k++) {
+      if (connector?.type === "airway" || connector?.type === "procedure") {
+        status[k] = connector.type;
+        via[k] = connector.ident;
+      } else {
+        status[k] = "navlogOnly";
+      }
+    }
+    status[found] = "route";
+    if (tok.level) levelChangeAt.set(found, tok.level);
+    pos = found + 1;
+    connector = null;
+  }
+
+  // after the last route point: STAR fixes if the route ends with one
+  const last = route[route.length - 1];
+  for (let k = pos; k < navlog.length; k++) {
+    if (last?.type === "procedure" && route.length > 1) {
+      status[k] = "procedure";
+      via[k] = last.ident;
+    } else {
+      status[k] = "navlogOnly";
+    }
+  }
+
+  // cruise level in effect on each leg (a change at a point applies after it)
+  const levelMismatches = [];
+  let level = fpl?.cruiseLevel || "";
+  navlog.forEach((p, k) => {
+    const navFL = navlogFlightLevel(p.fl);
+    const fplFL = levelToFlightLevel(level);
+    if (hasRoute && navFL != null && fplFL != null && navFL !== fplFL) {
+      levelMismatches.push({ index: p.index, ident: p.ident, navlogFL: navFL, fplFL });
+    }
+    if (levelChangeAt.has(k)) level = levelChangeAt.get(k);
+  });
+
+  const points = navlog.map((p, k) => ({
+    index: p.index,
+    ident: p.ident,
+    status: hasRoute ? status[k] : "navlogOnly",
+    via: via[k],
+  }));
+
+  return {
+    ok: hasRoute,
+    points,
+    navlogOnly: hasRoute ? points.filter((p) => p.status === "navlogOnly") : [],
+    routeOnly,
+    levelMismatches,
+  };
+}
@@ -0,0 +1,103 @@
+import { reconcileRoute, tokenizeRoute } from "./index.js";
+
+const FPL = { dep: "PANC", dest: "PAJN", cruiseLevel: "F350" };
+
+function wps(spec) {
+  // "PANC:CLB JOH:350 -CZVR ..." -> waypoint rows
+  return spec.split(" ").map((s) => {
+    const [IDENT, FL = ""] = s.split(":");
+    return { IDENT, FL };
+  });
+}
+
+describe("tokenizeRoute", () => {
+  it("classifies airways, fixes, DCT, procedures, coordinates and level changes", () => {
+    const toks = tokenizeRoute("ANC6 JOH J501 ORCAS/N0480F370 DCT 5930N14000W DCT YAK BRUCK1A");
+    expect(toks.map((t) => `${t.type}:${t.ident}`)).toEqual([
+      "procedure:ANC6",
+      "fix:JOH",
+      "airway:J501",
+      "fix:ORCAS",
+      "dct:DCT",
+      "coord:5930N14000W",
+      "dct:DCT",
+      "fix:YAK",
+      "procedure:BRUCK1A",
+    ]);
+    expect(toks[3]).toMatchObject({ speed: "N0480", level: "F370" });
+  });
+});
+
+describe("reconcileRoute", () => {
+  it("accepts airway and procedure fixes that Item 15 does not list", () => {
+    const res = reconcileRoute(
+      { ...FPL, route: "ANC6 JOH J501 ORCAS DCT YAK" },
+      wps("PANC:CLB ANCHR:CLB JOH:350 -CZVR MIDWY:350 ORCAS:350 YAK:DES PAJN:DES")
+    );
+    expect(res.ok).toBe(true);
+    expect(res.points.map((p) => `${p.ident}:${p.status}`)).toEqual([
+      "ANCHR:procedure",
+      "JOH:route",
+      "MIDWY:airway",
+      "ORCAS:route",
+      "YAK:route",
+    ]);
+    expect(res.points[2].via).toBe("J501");
+    expect(res.navlogOnly).toEqual([]);
+    expect(res.routeOnly).toEqual([]);
+    expect(res.levelMismatches).toEqual([]);
+  });
+
+  it("reports fixes present on only one side", () => {
+    const res = reconcileRoute(
+      { ...FPL, route: "JOH DCT ORCAS DCT SSR DCT YAK" },
+      wps("PANC JOH:350 EXTRA:350 ORCAS:350 YAK:DES PAJN")
+    );
+    expect(res.navlogOnly.map((p) => p.ident)).toEqual(["EXTRA"]);
+    expect(res.routeOnly).toEqual([{ ident: "SSR", type: "fix" }]);
+  });
+
+  it("keeps a fix crossed twice in route order", () => {
+    const res = reconcileRoute(
+      { ...FPL, route: "JOH J501 ORCAS DCT JOH DCT YAK" },
+      wps("PANC JOH:350 ORCAS:350 JOH:350 YAK:350 PAJN")
+    );
+    expect(res.points.every((p) => p.status === "route")).toBe(true);
+  });
+
+  it("checks the FL column against the Item 15 level in effect on each leg", () => {
+    const res = reconcileRoute(
+      { ...FPL, route: "JOH J501 ORCAS/N0480F370 DCT YAK DCT SSR" },
+      wps("PANC:CLB JOH:350 ORCAS:350 YAK:370 SSR:390 PAJN:DES")
+    );
+    expect(res.levelMismatches).toEqual([
+      { index: 4, ident: "SSR", navlogFL: 390, fplFL: 370 },
+    ]);
+  });
+
+  it("matches a lat/long point by position, whatever short form the navlog prints", () => {
+    const at = (IDENT, coord) => ({ IDENT, FL: "350", coord });
+    const res = reconcileRoute({ ...FPL, route: "JOH DCT 5930N14000W DCT 59N150W DCT YAK" }, [
+      at("PANC", ""),
+      at("JOH", "N61 05.0 W146 30.0"),
+      at("5930N", "N59 30.0 W140 00.0"),
+      at("59N50", "N59 00.0 W150 00.0"),
+      at("YAK", "N59 30.8 W139 38.9"),
+      at("PAJN", ""),
+    ]);
+    expect(res.points.map((p) => `${p.ident}:${p.status}`)).toEqual([
+      "JOH:route",
+      "5930N:route",
+      "59N50:route",
+      "YAK:route",
+    ]);
+    expect(res.routeOnly).toEqual([]);
+    expect(res.navlogOnly).toEqual([]);
+  });
+
+  it("is not ok without a route", () => {
+    const res = reconcileRoute({ ...FPL, route: "" }, wps("PANC JOH PAJN"));
+    expect(res.ok).toBe(false);
+    expect(res.navlogOnly).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+import { rowText } from "./text.js";
+import { DEFAULT_PROFILE, NAVLOG_PROFILES, profileLabel } from "./profiles.js";
+
+// ---------------------- Section slicer ----------------------
+export function sliceRowsRequestedSection(rows, profile = DEFAULT_PROFILE) {
+  const startRe = profile.startRe;
+  const endStr = profile.endMarker;
+
+  let start = -1;
+  let end = -1;
+
+  for (let i = 0; i < rows.length; i++) {
+    const t = rowText(rows[i]);
+    if (start === -1 && startRe.test(t)) start = i;
+    if (start !== -1 && t.includes(endStr)) {
+      end = i;
+      break;
+    }
+  }
+
+  if (start === -1 || end === -1 || end <= start) {
+    return {
+      ok: false,
+      error: `Could not find start (${profile.startRe}) and/or end marker ("${endStr.trim()}").`,
+    };
+  }
+  return { ok: true, slicedRows: rows.slice(start, end) };
+}
+
+// Alternate section: from the end marker to the next "------ XXX" divider (or end).
+export function sliceRowsAlternateSection(rows, profile = DEFAULT_PROFILE) {
+  const nextSectionRe = /^-{10,}\s*[A-Z]/;
+
+  let start = -1;
+  let end = rows.length;
+
+  for (let i = 0; i < rows.length; i++) {
+    const t = rowText(rows[i]);
+    if (start === -1) {
+      if (t.includes(profile.endMarker)) start = i;
+      continue;
+    }
+    if (nextSectionRe.test(t)) {
+      end = i;
+      break;
+    }
+  }
+
+  if (start === -1) {
+    return { ok: false, error: `Alternate marker ("${profile.endMarker.trim()}") not found.` };
+  }
+  return { ok: true, slicedRows: rows.slice(start + 1, end) };
+}
+
+// ---------------------- Briefing sections (weather / NOTAM / performance) ----------------------
+// Everything after the navlog is a run of "------ NAME" sections. A named section runs
+// from its divider to the next divider (or the end of the release).
+const DIVIDER_RE = /^-{10,}\s*([A-Z].*)$/;
+
+export const BRIEFING_SECTIONS = {
+  weather: /^(WEATHER|WX|METAR|TAF)\b/,
+  notam: /^NOTAMS?\b/,
+  performance: /^((TAKEOFF|T\/O|LANDING|TO\/LDG)\s*(\/\s*LANDING\s*)?)?PERF(ORMANCE)?\b/,
+};
+
+export function sliceRowsDividerSection(rows, nameRe) {
+  let start = -1;
+  let end = rows.length;
+
+  for (let i = 0; i < rows.length; i++) {
+    const m = rowText(rows[i]).match(DIVIDER_RE);
+    if (!m) continue;
+    if (start !== -1) {
+      end = i;
+      break;
+    }
+    if (nameRe.test(m[1].trim())) start = i;
+  }
+
+  if (start === -1) return { ok: false, error: `Section ${nameRe} not found.` };
+  return { ok: true, slicedRows: rows.slice(start + 1, end) };
+}
+
+export function sliceRowsWeatherSection(rows) {
+  return sliceRowsDividerSection(rows, BRIEFING_SECTIONS.weather);
+}
+export function sliceRowsNotamSection(rows) {
+  return sliceRowsDividerSection(rows, BRIEFING_SECTIONS.notam);
+}
+export function sliceRowsPerformanceSection(rows) {
+  return sliceRowsDividerSection(rows, BRIEFING_SECTIONS.performance);
+}
+
+// ---------------------- Fuel summary ----------------------
+// From a "FUEL SUMMARY" / "FUEL PLAN" marker (kept: it may carry the unit) to the next
+// "------ XXX" divider (or the end of the release).
+const FUEL_SUMMARY_MARKER_RE = /\bFUEL\s+(SUMMARY|PLAN)\b/i;
+
+export function sliceRowsFuelSummary(rows) {
+  const start = rows.findIndex((r) => FUEL_SUMMARY_MARKER_RE.test(rowText(r)));
+  if (start === -1) return { ok: false, error: "Fuel summary marker not found." };
+  const end = rows.findIndex((r, i) => i > start && DIVIDER_RE.test(rowText(r)));
+  return { ok: true, slicedRows: rows.slice(start, end === -1 ? rows.length : end) };
+}
+
+// ---------------------- Exact header detection ----------------------
+function normalizeHeaderLine(s) {
+  return String(s).toUpperCase().replace(/\s+/g, " ").trim();
+}
+export function findExactTwoLineHeader(rows, profile = DEFAULT_PROFILE) {
+  const [h1, h2] = profile.header.map(normalizeHeaderLine);
+  for (let i = 0; i < rows.length - 1; i++) {
+    const a = normalizeHeaderLine(rowText(rows[i]));
+    const b = normalizeHeaderLine(rowText(rows[i + 1]));
+    if (a === h1 && b === h2) return i;
+  }
+  return -1;
+}
+
+// Release header: everything up to and including the navlog header lines. Without the
+// header, everything before the first "------ XXX" divider.
+export function sliceRowsReleaseHeader(rows, profile = DEFAULT_PROFILE) {
+  const headerIdx = findExactTwoLineHeader(rows, profile);
+  if (headerIdx !== -1) return { ok: true, slicedRows: rows.slice(0, headerIdx + 2) };
+  const divider = rows.findIndex((r) => DIVIDER_RE.test(rowText(r)));
+  return { ok: false, slicedRows: rows.slice(0, divider === -1 ? rows.length : divider) };
+}
+
+// Tries every profile: first one whose section markers AND header are found wins.
+export function detectNavlogProfile(rows, profiles = NAVLOG_PROFILES) {
+  const tried = [];
+  for (const profile of profiles) {
+    const sliced = sliceRowsRequestedSection(rows, profile);
+    if (!sliced.ok) {
+      tried.push(`${profileLabel(profile)}: section markers not found`);
+      continue;
+    }
+    if (findExactTwoLineHeader(sliced.slicedRows, profile) === -1) {
+      tried.push(`${profileLabel(profile)}: header not found`);
+      continue;
+    }
+    return { ok: true, profile, slicedRows: sliced.slicedRows };
+  }
+  return {
+    ok: false,
+    error: `No known navlog format found. Tried: ${tried.join("; ")}.`,
+    tried,
+  };
+}
@@ -0,0 +1,55 @@
+// Row / text helpers shared by the navlog slicers and parsers.
+// A "row" is one visual line of the release: { page, y, cells: [{ x, w, text }] }.
+
+export function normalizeSpaces(s) {
+  return String(s || "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+export function rowText(row) {
+  return normalizeSpaces(row.cells.map((c) => c.text).join(" "));
+}
+export function isPlaceholder(x) {
+  return (
+    x === "..." ||
+    x === "...." ||
+    x === "---" ||
+    x === "----" ||
+    x === "------" ||
+    x === "--/---"
+  );
+}
+export function extractCoordFromText(t) {
+  const m = String(t).match(
+    /([NS]\d{1,2}\s+\d{1,2}(?:\.\d+)?\s+[EW]\d{2,3}\s+\d{1,2}(?:\.\d+)?)/
+  );
+  return m ? m[1].trim() : "";
+}
+export function isPureCoordRow(t) {
+  return /^[NS]\d{1,2}\s+\d{1,2}(?:\.\d+)?\s+[EW]\d{2,3}\s+\d{1,2}(?:\.\d+)?$/.test(
+    String(t).trim()
+  );
+}
+export function isFormattingOnlyRow(t) {
+  const u = String(t).toUpperCase().trim();
+  return /^-?\s*_?\s*FL\s*[-–]\s*\d{2,3}\s*$/.test(u);
+}
+export function extractFirIdent(t) {
+  const m = String(t)
+    .toUpperCase()
+    .match(/FIR\s*-?>\s*([A-Z0-9]{3,6})\s*(?:<-)?/);
+  return m ? `-${m[1]}` : "";
+}
+
+// Plain-text release (one line per row) -> rows shaped like extractPdfRows output.
+// Words keep their column via the char offset (DEFAULT char width in waypoints.js).
+export function rowsFromTextLines(text, { page = 1, lineHeight = 10 } = {}) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim())
+    .map((line, i) => ({
+      page,
+      y: 800 - i * lineHeight,
+      cells: [{ x: 0, w: 0, text: line }],
+    }));
+}
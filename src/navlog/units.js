@@ -0,0 +1,108 @@
+import { sliceRowsFuelSummary, sliceRowsReleaseHeader } from "./sections.js";
+import { rowText } from "./text.js";
+
+// ---------------------- Fuel units ----------------------
+// The tracker keeps fuel as integer "tenths" of the release's display unit (152.0 -> 1520).
+// A fuel unit says what that display unit is and how the navlog columns print it:
+// - mass:           "kg" | "lb"
+// - scale:          mass per display unit (1000: "152.0" means 152 000 kg)
+// - navlogDecimals: implied decimals in the navlog digit columns (FRMG "1520" = 152.0 -> 1;
+//                   FRMG "152" = 152 hundreds -> 0)
+export const FUEL_UNITS = [
+  { id: "kg1000", mass: "kg", scale: 1000, navlogDecimals: 1, label: "t" },
+  { id: "lb1000", mass: "lb", scale: 1000, navlogDecimals: 1, label: "klb" },
+  { id: "kg100", mass: "kg", scale: 100, navlogDecimals: 0, label: "×100 kg" },
+  { id: "lb100", mass: "lb", scale: 100, navlogDecimals: 0, label: "×100 lb" },
+  { id: "kg", mass: "kg", scale: 1, navlogDecimals: 0, label: "kg" },
+  { id: "lb", mass: "lb", scale: 1, navlogDecimals: 0, label: "lb" },
+];
+
+// what every release was assumed to use before units existed
+export const DEFAULT_FUEL_UNIT = "kg1000";
+
+const LB_PER_KG = 1 / 0.45359237;
+
+// unit id (or unit) -> unit; unknown / blank -> the default unit
+export function fuelUnit(idOrUnit) {
+  if (idOrUnit && typeof idOrUnit === "object") return idOrUnit;
+  return (
+    FUEL_UNITS.find((u) => u.id === idOrUnit) ||
+    FUEL_UNITS.find((u) => u.id === DEFAULT_FUEL_UNIT)
+  );
+}
+
+// navlog column digits ("1520", "0152") -> tenths of the display unit
+export function navlogDigitsToTenths(digits, unit) {
+  return Number(digits) * 10 ** (1 - fuelUnit(unit).navlogDecimals);
+}
+
+// tenths parsed under one unit, re-read under another (same digits, different meaning)
+export function rescaleNavlogTenths(tenths, fromUnit, toUnit) {
+  if (tenths == null) return tenths;
+  return tenths * 10 ** (fuelUnit(fromUnit).navlogDecimals - fuelUnit(toUnit).navlogDecimals);
+}
+
+// display value (152.0) in one unit -> display value in another, one decimal
+export function convertFuel(value, fromUnit, toUnit) {
+  const from = fuelUnit(fromUnit);
+  const to = fuelUnit(toUnit);
+  let mass = Number(value) * from.scale;
+  if (from.mass !== to.mass) mass = from.mass === "kg" ? mass * LB_PER_KG : mass / LB_PER_KG;
+  return Math.round((mass / to.scale) * 10) / 10;
+}
+
+// A summary figure such as EST LANDING FUEL is printed either as a plain mass ("13500")
+// or already in display units ("13.5", "15"): -> display value, one decimal
+export function printedFuelToDisplay(printed, unit) {
+  const s = String(printed ?? "").trim();
+  const v = parseFloat(s);
+  if (!Number.isFinite(v)) return null;
+  const { scale } = fuelUnit(unit);
+  const display = s.includes(".") || v < scale ? v : v / scale;
+  return Math.round(display * 10) / 10;
+}
+
+// Unit from the release wording ("ALL FUEL IN LBS", "FUEL X100 KG", "WEIGHTS IN HUNDREDS"):
+// -> { id, detected } where detected says whether anything in the text pointed to it.
+// Only the release header, the navlog header and the fuel summary are read: briefing text
+// ("MAX WEIGHT 200000 LBS" in a NOTAM) says nothing about the fuel figures. When both
+// masses (or scales) are worded, the first one printed wins.
+const MASS_RES = [
+  ["lb", /\b(LBS?|POUNDS)\b/],
+  ["kg", /\b(KGS?|KILOS?|KILOGRAMS?)\b/],
+];
+const SCALE_RES = [
+  [1000, /\b(X\s?1000|THOUSANDS)\b/],
+  [100, /\b(X\s?100|HUNDREDS)\b/],
+];
+
+function firstWorded(res, text) {
+  let best = null;
+  for (const [value, re] of res) {
+    const at = text.search(re);
+    if (at !== -1 && (best == null || at < best.at)) best = { value, at };
+  }
+  return best?.value;
+}
+
+export function detectFuelUnit(rows, { profile } = {}) {
+  const summary = sliceRowsFuelSummary(rows || []);
+  const text = [
+    ...sliceRowsReleaseHeader(rows || [], profile).slicedRows,
+    ...(summary.ok ? summary.slicedRows : []),
+  ]
+    .map(rowText)
+    .filter((t) => t && t !== "__PAGE_BREAK__")
+    .join("\n")
+    .toUpperCase();
+
+  const mass = firstWorded(MASS_RES, text);
+  const scale = firstWorded(SCALE_RES, text);
+  if (!mass && !scale) return { id: DEFAULT_FUEL_UNIT, detected: false };
+
+  const base = fuelUnit(DEFAULT_FUEL_UNIT);
+  const unit = FUEL_UNITS.find(
+    (u) => u.mass === (mass || base.mass) && u.scale === (scale || base.scale)
+  );
+  return { id: unit.id, detected: true };
+}
@@ -0,0 +1,99 @@
+import {
+  convertFuel,
+  detectFuelUnit,
+  fuelUnit,
+  HEADER_LINE_1,
+  HEADER_LINE_2,
+  navlogDigitsToTenths,
+  printedFuelToDisplay,
+  rescaleNavlogTenths,
+  rowsFromTextLines,
+} from "./index.js";
+
+describe("fuelUnit", () => {
+  it("falls back to tonnes for an unknown or blank id", () => {
+    expect(fuelUnit("").id).toBe("kg1000");
+    expect(fuelUnit("gallons").id).toBe("kg1000");
+    expect(fuelUnit("lb100").label).toBe("×100 lb");
+  });
+});
+
+describe("navlog digits", () => {
+  it.each([
+    ["1520", "kg1000", 1520], // 152.0 t
+    ["1520", "lb1000", 1520],
+    ["152", "kg100", 1520], // 152 hundreds
+    ["0092", "lb", 920],
+  ])("%s under %s -> %i tenths", (digits, unit, tenths) => {
+    expect(navlogDigitsToTenths(digits, unit)).toBe(tenths);
+  });
+
+  it("re-reads the same digits under another unit", () => {
+    expect(rescaleNavlogTenths(1520, "kg1000", "kg100")).toBe(15200);
+    expect(rescaleNavlogTenths(15200, "kg100", "lb1000")).toBe(1520);
+    expect(rescaleNavlogTenths(null, "kg1000", "kg100")).toBe(null);
+  });
+});
+
+describe("convertFuel", () => {
+  it.each([
+    [10, "kg1000", "lb1000", 22.0],
+    [22.0, "lb1000", "kg1000", 10.0],
+    [152.0, "kg1000", "kg100", 1520],
+    [3300, "lb", "kg1000", 1.5],
+    [45.6, "kg100", "kg100", 45.6],
+  ])("%d %s -> %s", (value, from, to, expected) => {
+    expect(convertFuel(value, from, to)).toBe(expected);
+  });
+});
+
+describe("printedFuelToDisplay", () => {
+  it.each([
+    ["13500", "kg1000", 13.5],
+    ["13.5", "kg1000", 13.5],
+    ["15", "kg1000", 15],
+    ["13500", "kg100", 135],
+    ["13500", "lb", 13500],
+    ["", "kg1000", null],
+  ])("%s under %s -> %s", (printed, unit, expected) => {
+    expect(printedFuelToDisplay(printed, unit)).toBe(expected);
+  });
+});
+
+describe("detectFuelUnit", () => {
+  const detect = (lines) => detectFuelUnit(rowsFromTextLines(lines.join("\n")));
+
+  it.each([
+    [["ALL FUEL IN LBS"], { id: "lb1000", detected: true }],
+    [["FUEL X100 KG"], { id: "kg100", detected: true }],
+    [["WEIGHTS IN HUNDREDS"], { id: "kg100", detected: true }],
+    [["FUEL X1000 LB"], { id: "lb1000", detected: true }],
+    [["TRIP 0385 TOF 1520"], { id: "kg1000", detected: false }],
+    [["ALL FUEL IN KGS X100", "MTOW 661000 LBS"], { id: "kg100", detected: true }],
+  ])("%j", (lines, expected) => {
+    expect(detect(lines)).toEqual(expected);
+  });
+
+  it("ignores weights in the briefing sections", () => {
+    const lines = [
+      "FUEL IN KG X1000",
+      "----------------------- NOTAMS",
+      "PAJN A0123/26 TWY B MAX WEIGHT 200000 LBS",
+    ];
+    expect(detect(lines)).toEqual({ id: "kg1000", detected: true });
+  });
+
+  it("reads the navlog header and the fuel summary, not the navlog rows", () => {
+    const lines = [
+      "(FPL-ABC123-IS",
+      HEADER_LINE_1,
+      HEADER_LINE_2,
+      "LBS    110  095 350 270/45 P40  480 M84 016   2346    0092 1428 0092",
+      "----------------------- FUEL SUMMARY X100",
+      "TRIP 0385 CONT 0019",
+      "----------------------- PERFORMANCE",
+      "TAKEOFF PANC RWY 07R TOW 285.0 POUNDS",
+    ];
+    expect(detect(lines)).toEqual({ id: "kg100", detected: true });
+  });
+});
@@ -0,0 +1,308 @@
+import {
+  extractCoordFromText,
+  extractFirIdent,
+  isFormattingOnlyRow,
+  isPlaceholder,
+  isPureCoordRow,
+  rowText,
+} from "./text.js";
+import { cleanTok, DEFAULT_PROFILE, profileLabel } from "./profiles.js";
+import { findExactTwoLineHeader } from "./sections.js";
+
+// ---------------------- Row words with x ----------------------
+// Words of a row with their x (PDF units). A merged cell may hold several words
+// ("TAS/MAC TIME", "480 M84"), so words inside a cell are offset by an estimated char width.
+export const DEFAULT_CHAR_WIDTH = 5;
+
+export function rowTokensWithX(row) {
+  const out = [];
+  for (const c of row?.cells || []) {
+    const text = String(c.text || "");
+    const charW = c.w && text.length ? c.w / text.length : DEFAULT_CHAR_WIDTH;
+    const re = /\S+/g;
+    let m;
+    while ((m = re.exec(text))) {
+      out.push({ text: m[0], x: c.x + m.index * charW, charW });
+    }
+  }
+  return out;
+}
+
+// Column label -> x for one header row
+export function headerColumnXs(row) {
+  const out = {};
+  for (const tok of rowTokensWithX(row)) {
+    const label = tok.text.toUpperCase();
+    if (out[label] == null) out[label] = tok.x;
+  }
+  return out;
+}
+
+// ---------------------- Column-position mapping (pdf.js x) ----------------------
+// Header row -> [{ label, x, fields }] sorted by x. A label may cover several fields
+// (TAS/MAC -> TAS, MAC); labels not in profile.headerFields map to themselves.
+function headerColumns(row, profile) {
+  return rowTokensWithX(row)
+    .map((tok) => {
+      const label = tok.text.toUpperCase();
+      return {
+        label,
+        x: tok.x,
+        charW: tok.charW,
+        fields: profile.headerFields?.[label] || [label],
+      };
+    })
+    .sort((a, b) => a.x - b.x);
+}
+
+// Assign every word of `row` to the header column it falls under. Values may start a
+// little left of their (left-aligned) label, hence the slack. Blank cells stay "",
+// so a missing ATA no longer shifts TBO/FRMG/EFB.
+function mapRowByColumns(row, columns, profile) {
+  if (!columns.length) return {};
+
+  const slack =
+    (columns[0].charW || DEFAULT_CHAR_WIDTH) * (profile.columnSlackChars ?? 1.5);
+  const buckets = columns.map(() => []);
+
+  for (const tok of rowTokensWithX(row)) {
+    let idx = 0;
+    for (let i = 0; i < columns.length; i++) {
+      if (tok.x >= columns[i].x - slack) idx = i;
+    }
+    buckets[idx].push(tok.text);
+  }
+
+  const fields = {};
+  columns.forEach((col, i) => {
+    const words = buckets[i];
+    col.fields.forEach((f, j) => {
+      // the last field of a column takes any leftover words
+      fields[f] =
+        j === col.fields.length - 1 ? words.slice(j).join(" ") : words[j] || "";
+    });
+  });
+  return fields;
+}
+
+// ---------------------- Locked output keys ----------------------
+export const LOCKED_KEYS = [
+  "coord",
+  "IDENT",
+  "DIST",
+  "MC",
+  "FL",
+  "WIND",
+  "CMP",
+  "TAS",
+  "MAC",
+  "TIME",
+  "ETA",
+  "ATA",
+  "TBO",
+  "FRMG",
+  "EFB",
+  "FRQ",
+  "DTGO",
+  "MH",
+  "W_S",
+  "OAT",
+  "G_S",
+  "T_TME",
+  "REV",
+  "REM",
+  "ABO",
+  "AFOB",
+  "DSTN",
+  "__raw",
+  "__pos",
+];
+
+function emptyLockedRow() {
+  const o = {};
+  for (const k of LOCKED_KEYS) o[k] = "";
+  return o;
+}
+function orderedObject(rec) {
+  const o = {};
+  for (const k of LOCKED_KEYS) o[k] = rec[k] ?? "";
+  return o;
+}
+
+// Token -> field mapping of one classified line, driven by profile.columns
+export function mapLineToFields(t, profile = DEFAULT_PROFILE) {
+  const toks = t.split(/\s+/).filter(Boolean);
+  if (!toks.length) return { type: "other", ident: "", fields: {} };
+
+  const type = profile.classifyLine(t, toks);
+
+  if (type === "fir") {
+    const fir = extractFirIdent(t);
+    return { type, ident: fir || "", fields: { IDENT: fir || "" } };
+  }
+
+  const spec = profile.columns[type];
+  if (!spec) return { type: "other", ident: "", fields: {} };
+
+  const fields = {};
+  spec.fields.forEach((k, i) => {
+    fields[k] = toks[i] || "";
+  });
+  if (spec.last) {
+    fields[spec.last] = toks.length > spec.lastFrom ? toks[toks.length - 1] : "";
+  }
+
+  const ident = fields.IDENT ? cleanTok(fields.IDENT) : "";
+  if (ident) fields.IDENT = ident;
+
+  return { type, ident, fields };
+}
+
+// ---------------------- Parse: ONE row per waypoint (continuation absorbed) ----------------------
+// requireHeader=false: the alternate section may not repeat the header; parse from row 0
+// mode:
+// - "tokens":  split the joined row text on whitespace, fields by token order
+// - "columns": fields by pdf.js x under the header labels (blank cells stay blank);
+//              `columns` may be passed in when the slice has no header of its own
+export const PARSER_MODES = ["tokens", "columns"];
+
+export function parseWaypointsOneRowPerIdent(
+  slicedRows,
+  {
+    requireHeader = true,
+    profile = DEFAULT_PROFILE,
+    mode = "tokens",
+    columns = null,
+  } = {}
+) {
+  const headerIdx = findExactTwoLineHeader(slicedRows, profile);
+  if (headerIdx === -1 && requireHeader) {
+    return {
+      ok: false,
+      error: `Navlog header for profile ${profileLabel(profile)} not found (must match exactly).`,
+    };
+  }
+
+  const headerCols =
+    headerIdx === -1
+      ? columns
+      : {
+          line1: headerColumns(slicedRows[headerIdx], profile),
+          line2: headerColumns(slicedRows[headerIdx + 1], profile),
+        };
+  const byColumns = mode === "columns" && !!headerCols;
+
+  let currentCoord = "";
+
+  // Records in route order, keyed by sequence position (NOT by ident): a route may
+  // cross the same fix twice (holding, oceanic re-entry, repeated FIR labels).
+  // entry = { rec, raw: [lines], pos: { main: {page,y}, second: {page,y} }, seen: Set(line types) }
+  const seq = [];
+  let cur = null;
+
+  const startRecord = (ident) => {
+    const rec = emptyLockedRow();
+    rec.coord = currentCoord || "";
+    rec.IDENT = ident;
+    cur = { rec, raw: [], pos: {}, seen: new Set() };
+    seq.push(cur);
+  };
+
+  // Iterate after header
+  const firstDataIdx = headerIdx === -1 ? 0 : headerIdx + 2;
+  for (let i = firstDataIdx; i < slicedRows.length; i++) {
+    const row = slicedRows[i];
+    const t = rowText(row);
+    if (!t || t === "__PAGE_BREAK__") continue;
+
+    // ✅ DO NOT parse "xxx FIELD" coordinate header lines at all
+    // (do not set coord, do not set ident, do not add raw)
+    if (/^\s*[A-Z0-9]{1,8}\s+FIELD\b/i.test(t)) continue;
+
+    // Coordinate capture (but not on FIELD lines due to skip above)
+    const coord = extractCoordFromText(t);
+    if (coord) {
+      currentCoord = coord;
+      if (isPureCoordRow(t)) continue;
+    }
+
+    if (isFormattingOnlyRow(t)) continue;
+
+    const parsed = mapLineToFields(t, profile);
+
+    // column mode: keep the line type from the classifier, take values by position
+    if (byColumns && ["main", "freq", "cont"].includes(parsed.type)) {
+      const cols = parsed.type === "main" ? headerCols.line1 : headerCols.line2;
+      const fields = mapRowByColumns(row, cols, profile);
+      if (parsed.type === "main") {
+        fields.IDENT = cleanTok(fields.IDENT) || parsed.ident;
+        parsed.ident = fields.IDENT;
+      }
+      parsed.fields = fields;
+    }
+
+    // Decide record rules based on line type
+    if (parsed.type === "main" || parsed.type === "fir") {
+      let ident = parsed.ident || parsed.fields.IDENT || "";
+      if (!ident && parsed.type === "fir") ident = extractFirIdent(t);
+      if (!ident) continue;
+
+      // New row unless this line continues the current one: a FIR label split over
+      // lines merges, but a second main line for the same fix is a second pass over it.
+      const continues =
+        cur &&
+        cur.rec.IDENT === ident &&
+        (parsed.type === "fir" || !cur.seen.has("main"));
+      if (!continues) startRecord(ident);
+    } else if (parsed.type === "freq" || parsed.type === "cont") {
+      // carry-forward ONLY for continuation/freq lines
+      if (!cur) continue;
+    } else {
+      // never carry-forward for random lines
+      continue;
+    }
+
+    const rec = cur.rec;
+    if (!rec.coord && currentCoord) rec.coord = currentCoord;
+
+    // Fill rule: fill empty; replace placeholders with real values
+    const patch = {};
+    const fields = parsed.fields || {};
+    for (const [k, v] of Object.entries(fields)) {
+      if (k === "IDENT") continue;
+      if (v === undefined) continue;
+
+      if (rec[k] === "" || rec[k] == null) patch[k] = v;
+      else if (isPlaceholder(rec[k]) && v && !isPlaceholder(v)) patch[k] = v;
+    }
+
+    Object.assign(rec, patch);
+    cur.raw.push(t);
+    cur.seen.add(parsed.type);
+
+    // remember where the two navlog lines sit on the page (for the annotated PDF export)
+    const slot = parsed.type === "main" || parsed.type === "fir" ? "main" : "second";
+    if (!cur.pos[slot]) cur.pos[slot] = { page: row.page, y: row.y };
+  }
+
+  const waypoints = seq.map(({ rec, raw, pos }) =>
+    orderedObject({ ...rec, __raw: raw.join(" | "), __pos: pos })
+  );
+
+  const layout =
+    headerIdx === -1
+      ? null
+      : {
+          line1: headerColumnXs(slicedRows[headerIdx]),
+          line2: headerColumnXs(slicedRows[headerIdx + 1]),
+        };
+
+  return {
+    ok: true,
+    waypoints,
+    layout,
+    columns: headerCols,
+    mode: byColumns ? "columns" : "tokens",
+    profileId: profile.id,
+  };
+}
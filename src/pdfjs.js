@@ -0,0 +1,16 @@
+// Lazy-load pdf.js (legacy build).
+// The worker is emitted by webpack as a hashed asset of our own bundle (no CDN), so
+// parsing works offline once the service worker has cached the app shell.
+// Kept out of App.js: `import.meta` does not parse under jest (tests mock this module).
+const PDF_WORKER_URL = new URL(
+  "pdfjs-dist/legacy/build/pdf.worker.min.js",
+  import.meta.url
+).toString();
+
+export async function loadPdfjs() {
+  const pdfjsLib = await import("pdfjs-dist/legacy/build/pdf");
+  try {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+  } catch {}
+  return pdfjsLib;
+}
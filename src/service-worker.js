@@ -0,0 +1,34 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline app shell for the tracker. react-scripts compiles this file with
+// workbox InjectManifest, so self.__WB_MANIFEST lists every emitted asset
+// (JS chunks, the bundled pdf.js worker, index.html).
+import { clientsClaim } from "workbox-core";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations (reload on the ramp, in flight) always get the cached index.html
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (fileExtensionRegexp.test(url.pathname)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Anything else same-origin and not precached (manifest.json, favicon): serve the
+// cached copy, refresh in the background when the network is there
+registerRoute(
+  ({ request, url }) =>
+    request.method === "GET" && url.origin === self.location.origin,
+  new StaleWhileRevalidate({ cacheName: "navlog-runtime" })
+);
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
@@ -0,0 +1,34 @@
+// Registers the offline service worker (src/service-worker.js, built by react-scripts).
+// Production only: the dev server does not emit service-worker.js.
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== "production") return;
+  if (!("serviceWorker" in navigator)) return;
+
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        // a new version was downloaded: activate it on next load, the shell stays cached
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state === "installed" && registration.waiting) {
+              registration.waiting.postMessage({ type: "SKIP_WAITING" });
+            }
+          };
+        };
+      })
+      .catch((err) => console.error("Service worker registration failed:", err));
+  });
+}
+
+export function unregisterServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((err) => console.error(err));
+}